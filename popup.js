@@ -5,20 +5,64 @@
 
 import { 
   formatJSON, 
-  minifyJSON, 
-  validateJSON, 
-  getJSONStats, 
-  highlightJSON 
+  parseJSON,
+  repairJSON,
+  highlightJSON,
+  stringifyJSON,
+  collapseEmbeddedJSON,
+  parseNDJSON,
+  stringifyNDJSON,
+  getErrorPosition
 } from './utils/formatter.js';
 
+import { isLosslessNumber } from './utils/lossless.js';
+
+import { renderJSONTree } from './utils/tree.js';
+
+import { escapeHtml } from './utils/html.js';
+
+import {
+  getValueType,
+  getValueAt,
+  getEditText,
+  parseEditedValue,
+  convertValue,
+  setValueAt,
+  renameKeyAt,
+  removeAt,
+  insertAt,
+  createEditHistory
+} from './utils/edit.js';
+
+import { detectFormat, importFormat } from './utils/importer.js';
+
+import { parsePriorityList } from './utils/sort.js';
+
+import { createLineViewport, indexLines } from './utils/viewport.js';
+
+import { createPipeline, isCancelled } from './utils/pipeline.js';
+
 import {
   jsonToYAML,
   jsonToXML,
+  jsonToCSV,
+  jsonToTOML,
+  jsonToEnv,
+  jsonToProperties,
   jsonToTypeScript,
+  jsonToZod,
+  jsonToIoTs,
   jsonToPython,
+  jsonToGo,
+  jsonToRust,
+  jsonToJava,
+  jsonToKotlin,
+  jsonToCSharp,
   jsonToSchema
 } from './utils/converter.js';
 
+import { generateMockData } from './utils/mock.js';
+
 import {
   diffJSON,
   formatDiffOutput,
@@ -27,18 +71,159 @@ import {
 
 import {
   queryJSONPath,
+  queryRecords,
   formatQueryResult
 } from './utils/query.js';
 
 // DOM Elements
 const elements = {};
 
+// Format, minify and validate share one worker; stats get their own so
+// refreshing them on every keystroke never cancels a running format
+const formatPipeline = createPipeline(new URL('./worker.js', import.meta.url));
+const statsPipeline = createPipeline(new URL('./worker.js', import.meta.url));
+const reportPipeline = createPipeline(new URL('./worker.js', import.meta.url));
+
+// Undo/redo for the edit view
+const editHistory = createEditHistory();
+
+// Delay before showing the progress bar, so quick tasks don't flash it
+const PROGRESS_DELAY = 150;
+
+// Larger outputs are only shown as raw text; the tree renders every node
+const TREE_VIEW_LIMIT = 2 * 1024 * 1024;
+
+// Formats the input can be imported from, as named in messages
+const IMPORT_LABELS = {
+  yaml: 'YAML',
+  xml: 'XML',
+  csv: 'CSV',
+  tsv: 'TSV',
+  toml: 'TOML',
+  query: 'query string'
+};
+
+// Languages generated as classes, with the name of their package declaration
+const CLASS_LANGUAGES = {
+  java: { label: 'Java', packageLabel: 'Package', placeholder: 'com.example.model' },
+  kotlin: { label: 'Kotlin', packageLabel: 'Package', placeholder: 'com.example.model' },
+  csharp: { label: 'C#', packageLabel: 'Namespace', placeholder: 'Example.Models' }
+};
+
+// Download name and MIME type for each kind of output
+const OUTPUT_FILES = {
+  json: { name: 'formatted.json', type: 'application/json' },
+  ndjson: { name: 'formatted.jsonl', type: 'application/x-ndjson' },
+  yaml: { name: 'converted.yaml', type: 'application/yaml' },
+  xml: { name: 'converted.xml', type: 'application/xml' },
+  csv: { name: 'converted.csv', type: 'text/csv' },
+  tsv: { name: 'converted.tsv', type: 'text/tab-separated-values' },
+  toml: { name: 'converted.toml', type: 'application/toml' },
+  env: { name: 'converted.env', type: 'text/plain' },
+  properties: { name: 'application.properties', type: 'text/x-java-properties' },
+  typescript: { name: 'types.ts', type: 'text/plain' },
+  python: { name: 'models.py', type: 'text/x-python' },
+  go: { name: 'models.go', type: 'text/x-go' },
+  rust: { name: 'models.rs', type: 'text/x-rust' },
+  java: { name: 'Root.java', type: 'text/x-java' },
+  kotlin: { name: 'Models.kt', type: 'text/x-kotlin' },
+  csharp: { name: 'Models.cs', type: 'text/x-csharp' },
+  schema: { name: 'schema.json', type: 'application/schema+json' },
+  text: { name: 'output.txt', type: 'text/plain' }
+};
+
+// Uploaded files read as another format, by extension
+const IMPORT_EXTENSIONS = {
+  yaml: 'yaml',
+  yml: 'yaml',
+  xml: 'xml',
+  csv: 'csv',
+  tsv: 'tsv',
+  toml: 'toml'
+};
+
+// Output pane line renderer, set up in initElements
+let outputViewport = null;
+
 // State
 let state = {
   currentMode: 'format',
   autoFormat: false,
   indent: 2,
-  theme: 'light'
+  maxWidth: 0,
+  alignValues: false,
+  compactArrays: false,
+  dialect: 'strict',
+  duplicateKeys: 'last',
+  keepComments: false,
+  expandEmbedded: false,
+  losslessNumbers: true,
+  theme: 'light',
+  sortOptions: {
+    natural: false,
+    ignoreCase: false,
+    reverse: false,
+    priority: '',
+    arrayKey: ''
+  },
+  csvOptions: {
+    delimiter: ',',
+    quote: 'minimal',
+    arrays: 'join',
+    header: true,
+    sortColumns: false,
+    columns: ''
+  },
+  xmlOptions: {
+    rootName: '',
+    arrays: 'repeat',
+    arrayItem: 'item',
+    prefix: '',
+    namespaceURI: '',
+    indent: '2',
+    cdata: false,
+    inferTypes: true
+  },
+  schemaOptions: {
+    samples: 'document',
+    enumLimit: 10,
+    formats: true,
+    ranges: true
+  },
+  typescriptOptions: {
+    output: 'types',
+    declaration: 'interface',
+    readonly: false
+  },
+  pythonOptions: {
+    target: 'dataclass'
+  },
+  mockOptions: {
+    source: 'document',
+    count: 10,
+    seed: '',
+    arrayMin: 1,
+    arrayMax: 5,
+    nullProbability: 10
+  },
+  classOptions: {
+    packages: { java: '', kotlin: '', csharp: '' },
+    javaStyle: 'class',
+    nullable: 'detected'
+  },
+  outputView: 'raw',
+  treeDepth: Infinity,
+  outputText: '',
+  outputIsJSON: false,
+  outputFormat: 'text',
+  outputTreeDialect: null,
+  outputLines: null,
+  outputLineClasses: new Map(),
+  outputEmbedded: [],
+  outputParsed: undefined,
+  editValue: undefined,
+  editSource: null,
+  repairedJson: null
 };
 
 // Initialize application
@@ -75,26 +260,119 @@ const initElements = () => {
   // Format section
   elements.inputJson = document.getElementById('input-json');
   elements.outputJson = document.getElementById('output-json');
+  elements.outputProgress = document.getElementById('output-progress');
+  elements.progressBar = document.getElementById('progress-bar');
+  elements.progressLabel = document.getElementById('progress-label');
+  elements.btnCancelTask = document.getElementById('btn-cancel-task');
   elements.inputError = document.getElementById('input-error');
+  elements.inputIssues = document.getElementById('input-issues');
   elements.indentSelect = document.getElementById('indent-select');
+  elements.widthSelect = document.getElementById('width-select');
+  elements.alignValues = document.getElementById('align-values');
+  elements.compactArrays = document.getElementById('compact-arrays');
+  elements.dialectSelect = document.getElementById('dialect-select');
+  elements.duplicateKeysSelect = document.getElementById('duplicate-keys-select');
+  elements.keepComments = document.getElementById('keep-comments');
+  elements.expandEmbedded = document.getElementById('expand-embedded');
   elements.autoFormat = document.getElementById('auto-format');
+  elements.losslessNumbers = document.getElementById('lossless-numbers');
   
   // Buttons
   elements.btnFormat = document.getElementById('btn-format');
   elements.btnMinify = document.getElementById('btn-minify');
   elements.btnValidate = document.getElementById('btn-validate');
+  elements.btnRepair = document.getElementById('btn-repair');
   elements.btnConvert = document.getElementById('btn-convert');
   elements.btnSortKeys = document.getElementById('btn-sort-keys');
+  elements.btnSchema = document.getElementById('btn-schema');
+  elements.viewButtons = document.querySelectorAll('.view-btn');
+  elements.treeLevel = document.getElementById('tree-level');
+  elements.btnRestringify = document.getElementById('btn-restringify');
+  elements.editHistory = document.getElementById('edit-history');
+  elements.btnUndo = document.getElementById('btn-undo');
+  elements.btnRedo = document.getElementById('btn-redo');
   elements.btnCopy = document.getElementById('btn-copy');
   elements.btnDownload = document.getElementById('btn-download');
   elements.btnClearInput = document.getElementById('btn-clear-input');
   elements.fileInput = document.getElementById('file-input');
   
+  // Schema validation
+  elements.schemaPanel = document.getElementById('schema-panel');
+  elements.schemaInput = document.getElementById('schema-input');
+  elements.schemaFileInput = document.getElementById('schema-file-input');
+  elements.btnClearSchema = document.getElementById('btn-clear-schema');
+  elements.btnValidateSchema = document.getElementById('btn-validate-schema');
+  
+  // Sort dialog
+  elements.sortDialog = document.getElementById('sort-dialog');
+  elements.sortNatural = document.getElementById('sort-natural');
+  elements.sortIgnoreCase = document.getElementById('sort-ignore-case');
+  elements.sortReverse = document.getElementById('sort-reverse');
+  elements.sortPriority = document.getElementById('sort-priority');
+  elements.sortArrayKey = document.getElementById('sort-array-key');
+  elements.btnCancelSort = document.getElementById('btn-cancel-sort');
+  elements.csvDialog = document.getElementById('csv-dialog');
+  elements.csvDelimiter = document.getElementById('csv-delimiter');
+  elements.csvQuote = document.getElementById('csv-quote');
+  elements.csvArrays = document.getElementById('csv-arrays');
+  elements.csvHeader = document.getElementById('csv-header');
+  elements.csvSortColumns = document.getElementById('csv-sort-columns');
+  elements.csvColumns = document.getElementById('csv-columns');
+  elements.btnCancelCsv = document.getElementById('btn-cancel-csv');
+  elements.xmlDialog = document.getElementById('xml-dialog');
+  elements.xmlRoot = document.getElementById('xml-root');
+  elements.xmlArrays = document.getElementById('xml-arrays');
+  elements.xmlArrayItemField = document.getElementById('xml-array-item-field');
+  elements.xmlArrayItem = document.getElementById('xml-array-item');
+  elements.xmlPrefix = document.getElementById('xml-prefix');
+  elements.xmlNamespace = document.getElementById('xml-namespace');
+  elements.xmlIndent = document.getElementById('xml-indent');
+  elements.xmlCdata = document.getElementById('xml-cdata');
+  elements.xmlInferTypes = document.getElementById('xml-infer-types');
+  elements.btnCancelXml = document.getElementById('btn-cancel-xml');
+  elements.schemaDialog = document.getElementById('schema-dialog');
+  elements.schemaSamples = document.getElementById('schema-samples');
+  elements.schemaFiles = document.getElementById('schema-files');
+  elements.schemaEnumLimit = document.getElementById('schema-enum-limit');
+  elements.schemaFormats = document.getElementById('schema-formats');
+  elements.schemaRanges = document.getElementById('schema-ranges');
+  elements.btnCancelSchemaOptions = document.getElementById('btn-cancel-schema-options');
+  elements.typescriptDialog = document.getElementById('typescript-dialog');
+  elements.tsOutput = document.getElementById('ts-output');
+  elements.tsDeclarationField = document.getElementById('ts-declaration-field');
+  elements.tsDeclaration = document.getElementById('ts-declaration');
+  elements.tsReadonlyField = document.getElementById('ts-readonly-field');
+  elements.tsReadonly = document.getElementById('ts-readonly');
+  elements.btnCancelTs = document.getElementById('btn-cancel-ts');
+  elements.pythonDialog = document.getElementById('python-dialog');
+  elements.pythonTarget = document.getElementById('python-target');
+  elements.btnCancelPython = document.getElementById('btn-cancel-python');
+  elements.mockDialog = document.getElementById('mock-dialog');
+  elements.mockSource = document.getElementById('mock-source');
+  elements.mockCount = document.getElementById('mock-count');
+  elements.mockSeed = document.getElementById('mock-seed');
+  elements.mockArrayMin = document.getElementById('mock-array-min');
+  elements.mockArrayMax = document.getElementById('mock-array-max');
+  elements.mockNull = document.getElementById('mock-null');
+  elements.btnCancelMock = document.getElementById('btn-cancel-mock');
+  elements.classDialog = document.getElementById('class-dialog');
+  elements.classTitle = document.getElementById('class-title');
+  elements.classPackageLabel = document.getElementById('class-package-label');
+  elements.classPackage = document.getElementById('class-package');
+  elements.classStyleField = document.getElementById('class-style-field');
+  elements.classStyle = document.getElementById('class-style');
+  elements.classNullable = document.getElementById('class-nullable');
+  elements.btnCancelClass = document.getElementById('btn-cancel-class');
+  
   // Stats
   elements.statLines = document.getElementById('stat-lines');
   elements.statChars = document.getElementById('stat-chars');
   elements.statKeys = document.getElementById('stat-keys');
   elements.statDepth = document.getElementById('stat-depth');
+  elements.statRecords = document.getElementById('stat-records');
+  elements.statRecordsItem = document.getElementById('stat-records-item');
+  elements.statsReport = document.getElementById('stats-report');
+  elements.statsReportBody = document.getElementById('stats-report-body');
   
   // Diff section
   elements.diffInput1 = document.getElementById('diff-input-1');
@@ -110,6 +388,7 @@ const initElements = () => {
   elements.queryInput = document.getElementById('query-input');
   elements.queryOutput = document.getElementById('query-output');
   elements.jsonpathInput = document.getElementById('jsonpath-input');
+  elements.queryNdjson = document.getElementById('query-ndjson');
   elements.btnQuery = document.getElementById('btn-query');
   
   // Tools section
@@ -123,6 +402,8 @@ const initElements = () => {
   
   // Toast container
   elements.toastContainer = document.getElementById('toast-container');
+  
+  outputViewport = createLineViewport(elements.outputJson);
 };
 
 /**
@@ -138,7 +419,91 @@ const initEventListeners = () => {
   elements.btnFormat.addEventListener('click', handleFormat);
   elements.btnMinify.addEventListener('click', handleMinify);
   elements.btnValidate.addEventListener('click', handleValidate);
-  elements.btnSortKeys.addEventListener('click', handleSortKeys);
+  elements.btnRepair.addEventListener('click', handleRepair);
+  elements.btnSortKeys.addEventListener('click', openSortDialog);
+  elements.btnSchema.addEventListener('click', toggleSchemaPanel);
+  elements.btnValidateSchema.addEventListener('click', handleValidateSchema);
+  elements.btnClearSchema.addEventListener('click', () => {
+    elements.schemaInput.value = '';
+  });
+  elements.schemaFileInput.addEventListener('change', handleSchemaUpload);
+  elements.btnCancelSort.addEventListener('click', () => elements.sortDialog.close());
+  elements.sortDialog.addEventListener('close', () => {
+    if (elements.sortDialog.returnValue === 'sort') {
+      applySortOptions();
+    }
+  });
+  elements.btnCancelCsv.addEventListener('click', () => elements.csvDialog.close());
+  elements.csvDialog.addEventListener('close', () => {
+    if (elements.csvDialog.returnValue === 'csv') {
+      applyCSVOptions();
+    }
+  });
+  elements.btnCancelXml.addEventListener('click', () => elements.xmlDialog.close());
+  elements.xmlArrays.addEventListener('change', updateXMLDialog);
+  elements.xmlDialog.addEventListener('close', () => {
+    if (elements.xmlDialog.returnValue === 'convert') {
+      applyXMLOptions();
+    }
+  });
+  elements.btnCancelSchemaOptions.addEventListener('click', () => elements.schemaDialog.close());
+  elements.schemaDialog.addEventListener('close', () => {
+    if (elements.schemaDialog.returnValue === 'convert') {
+      applySchemaOptions();
+    }
+  });
+  elements.btnCancelTs.addEventListener('click', () => elements.typescriptDialog.close());
+  elements.tsOutput.addEventListener('change', updateTypeScriptDialog);
+  elements.typescriptDialog.addEventListener('close', () => {
+    if (elements.typescriptDialog.returnValue === 'convert') {
+      applyTypeScriptOptions();
+    }
+  });
+  elements.btnCancelPython.addEventListener('click', () => elements.pythonDialog.close());
+  elements.pythonDialog.addEventListener('close', () => {
+    if (elements.pythonDialog.returnValue === 'convert') {
+      applyPythonOptions();
+    }
+  });
+  elements.btnCancelMock.addEventListener('click', () => elements.mockDialog.close());
+  elements.mockDialog.addEventListener('close', () => {
+    if (elements.mockDialog.returnValue === 'generate') {
+      applyMockOptions();
+    }
+  });
+  elements.btnCancelClass.addEventListener('click', () => elements.classDialog.close());
+  elements.classDialog.addEventListener('close', () => {
+    if (elements.classDialog.returnValue === 'convert') {
+      applyClassOptions();
+    }
+  });
+  elements.viewButtons.forEach(btn => {
+    btn.addEventListener('click', () => setOutputView(btn.dataset.view));
+  });
+  elements.treeLevel.addEventListener('change', (e) => {
+    state.treeDepth = e.target.value === 'all' ? Infinity : parseInt(e.target.value);
+    setTreeDepth(state.treeDepth);
+  });
+  elements.btnCancelTask.addEventListener('click', handleCancelTask);
+  elements.btnRestringify.addEventListener('click', handleRestringify);
+  elements.btnUndo.addEventListener('click', handleUndo);
+  elements.btnRedo.addEventListener('click', handleRedo);
+  elements.outputJson.addEventListener('click', handleTreeEditClick);
+  elements.outputJson.addEventListener('change', handleTreeTypeChange);
+  document.addEventListener('keydown', (e) => {
+    // Inputs and the textarea keep their own undo
+    if (state.outputView !== 'edit' || !(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return;
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' || key === 'y') {
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) {
+        handleRedo();
+      } else {
+        handleUndo();
+      }
+    }
+  });
   elements.btnCopy.addEventListener('click', handleCopy);
   elements.btnDownload.addEventListener('click', handleDownload);
   elements.btnClearInput.addEventListener('click', handleClearInput);
@@ -149,17 +514,94 @@ const initEventListeners = () => {
     if (state.autoFormat) handleFormat();
   });
   
+  elements.widthSelect.addEventListener('change', (e) => {
+    state.maxWidth = parseInt(e.target.value);
+    saveSettings();
+    handleFormat();
+  });
+  
+  elements.alignValues.addEventListener('change', (e) => {
+    state.alignValues = e.target.checked;
+    saveSettings();
+    handleFormat();
+  });
+  
+  elements.compactArrays.addEventListener('change', (e) => {
+    state.compactArrays = e.target.checked;
+    saveSettings();
+    handleFormat();
+  });
+  
+  elements.dialectSelect.addEventListener('change', (e) => {
+    state.dialect = e.target.value;
+    saveSettings();
+    handleFormat();
+  });
+  
+  elements.duplicateKeysSelect.addEventListener('change', (e) => {
+    state.duplicateKeys = e.target.value;
+    saveSettings();
+    handleFormat();
+  });
+  
+  elements.keepComments.addEventListener('change', (e) => {
+    state.keepComments = e.target.checked;
+    saveSettings();
+    handleFormat();
+  });
+  
+  elements.expandEmbedded.addEventListener('change', (e) => {
+    state.expandEmbedded = e.target.checked;
+    saveSettings();
+    handleFormat();
+  });
+  
   elements.autoFormat.addEventListener('change', (e) => {
     state.autoFormat = e.target.checked;
     saveSettings();
   });
   
+  elements.losslessNumbers.addEventListener('change', (e) => {
+    state.losslessNumbers = e.target.checked;
+    saveSettings();
+    handleFormat();
+  });
+  
+  // Issue list: jump to the position in the input or output, or apply a repair
+  elements.inputIssues.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-index]');
+    const outputItem = e.target.closest('[data-output-line]');
+    if (item) {
+      selectInputPosition(parseInt(item.dataset.index));
+    } else if (outputItem) {
+      showOutputLine(parseInt(outputItem.dataset.outputLine));
+    } else if (e.target.closest('[data-action="apply-repair"]')) {
+      applyRepair();
+    }
+  });
+  
   // Input JSON auto-format on change
+  const debouncedFormat = debounce(handleFormat, 500);
+  const debouncedStats = debounce(updateStats, 300);
+  const debouncedEditView = debounce(renderOutput, 500);
+  elements.inputJson.addEventListener('paste', handlePaste);
   elements.inputJson.addEventListener('input', () => {
+    hideIssues();
     if (state.autoFormat) {
-      debounce(handleFormat, 500)();
+      debouncedFormat();
+    } else if (state.outputView === 'edit') {
+      debouncedEditView();
+    }
+    debouncedStats();
+  });
+  
+  // Detailed stats report, built only while it is open
+  elements.statsReport.addEventListener('toggle', () => {
+    if (elements.statsReport.open) {
+      updateStatsReport();
+    } else {
+      reportPipeline.cancel();
     }
-    updateStats();
   });
   
   // Convert dropdown
@@ -217,137 +659,1254 @@ const initEventListeners = () => {
     btn.addEventListener('click', () => handleToolAction(btn.dataset.tool));
   });
   
-  // Theme toggle
-  elements.btnTheme.addEventListener('click', toggleTheme);
+  // Theme toggle
+  elements.btnTheme.addEventListener('click', toggleTheme);
+};
+
+/**
+ * Switch between modes (Format, Diff, Query, Tools)
+ */
+const switchMode = (mode) => {
+  state.currentMode = mode;
+  
+  elements.modeTabs.forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.mode === mode);
+  });
+  
+  elements.sections.forEach(section => {
+    section.classList.toggle('active', section.id === `section-${mode}`);
+  });
+  
+  if (mode === 'format') {
+    outputViewport.refresh();
+  }
+};
+
+/**
+ * Handle JSON formatting
+ */
+const handleFormat = async () => {
+  const result = await runFormatTask('format', {
+    ...getParseOptions(),
+    ...getLayoutOptions(),
+    indent: state.indent,
+    sortKeys: false,
+    keepComments: state.keepComments,
+    expandEmbedded: state.expandEmbedded
+  });
+  if (!result) return;
+  
+  if (result.success) {
+    // Pretty-printed JSON Lines records are neither one document nor valid JSON Lines
+    showJSONOutput(result.output, result.lines, state.dialect === 'ndjson' ? null : 'jsonc', getEmbeddedMarks(result.embedded));
+    hideError();
+    showDuplicateKeys(result.duplicates);
+    warnUnsafeNumbers(result.unsafeNumbers);
+  } else {
+    showParseError(result);
+  }
+  
+  updateStats();
+};
+
+/**
+ * Handle JSON minification
+ */
+const handleMinify = async () => {
+  const result = await runFormatTask('minify', getParseOptions());
+  if (!result) return;
+  
+  if (result.success) {
+    showJSONOutput(result.output, result.lines, state.dialect === 'ndjson' ? 'ndjson' : 'jsonc');
+    hideError();
+    showDuplicateKeys(result.duplicates);
+    showToast('JSON minified successfully', 'success');
+    warnUnsafeNumbers(result.unsafeNumbers);
+  } else {
+    showParseError(result);
+  }
+};
+
+/**
+ * Handle JSON validation
+ */
+const handleValidate = async () => {
+  const result = await runFormatTask('validate', getParseOptions());
+  if (!result) return;
+  
+  if (result.valid) {
+    showToast(`✓ ${result.message}`, result.duplicates.length > 0 ? 'warning' : 'success');
+    hideError();
+    showDuplicateKeys(result.duplicates);
+  } else {
+    showError(result.message, result.position);
+    renderSyntaxErrors(result.errors);
+  }
+};
+
+/**
+ * Show or hide the schema editor
+ */
+const toggleSchemaPanel = () => {
+  const show = !elements.schemaPanel.classList.contains('show');
+  elements.schemaPanel.classList.toggle('show', show);
+  if (show) {
+    elements.schemaInput.focus();
+  }
+};
+
+/**
+ * Handle validating the input against the schema: errors are listed under the input
+ * and their lines marked in the formatted output
+ */
+const handleValidateSchema = async () => {
+  const result = await runFormatTask('schema', {
+    ...getParseOptions(),
+    indent: state.indent,
+    schema: elements.schemaInput.value
+  });
+  if (!result) return;
+  
+  if (!result.success) {
+    // Input syntax errors come with positions; schema problems do not
+    if (result.position) {
+      showParseError(result);
+    } else {
+      showToast(result.error, 'error');
+    }
+    return;
+  }
+  
+  showJSONOutput(result.output, result.lines, state.dialect === 'ndjson' ? 'ndjson' : 'jsonc', {
+    lineClasses: new Map(result.errors.map(error => [error.line, 'line-error']))
+  });
+  hideError();
+  warnUnsafeNumbers(result.unsafeNumbers);
+  
+  if (result.valid) {
+    showToast(`✓ ${result.message}`, 'success');
+    showDuplicateKeys(result.duplicates);
+  } else {
+    renderSchemaErrors(result.errors);
+  }
+};
+
+/**
+ * Handle schema file upload
+ */
+const handleSchemaUpload = (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = (event) => {
+    elements.schemaInput.value = event.target.result;
+    showToast(`Loaded schema ${file.name}`, 'success');
+  };
+  reader.onerror = () => {
+    showToast('Failed to read file', 'error');
+  };
+  reader.readAsText(file);
+};
+
+/**
+ * Handle JSON repair: show the repaired result and the fixes applied,
+ * leaving the input untouched until the user accepts it
+ */
+const handleRepair = () => {
+  const input = elements.inputJson.value;
+  const result = repairJSON(input);
+  
+  if (result.fixes.length === 0) {
+    hideIssues();
+    if (result.success) {
+      showToast('Nothing to repair', 'success');
+    } else {
+      showError(result.error, result.position);
+    }
+    return;
+  }
+  
+  state.repairedJson = result.output;
+  if (result.success) {
+    showJSONOutput(result.output);
+  } else {
+    showPlainOutput(result.output);
+  }
+  
+  const count = `${result.fixes.length} fix${result.fixes.length === 1 ? '' : 'es'}`;
+  const title = result.success ? `Repair applied ${count}` : `Repair applied ${count}, but the result is still not valid JSON`;
+  const action = result.success
+    ? '<button class="btn-sm btn-primary" data-action="apply-repair">Use repaired JSON</button>'
+    : '';
+  renderIssues(title, result.fixes, action);
+  
+  if (result.success) {
+    hideError();
+    showToast(title, 'success');
+  } else {
+    showError(`Still invalid after repair: ${result.error}`);
+  }
+};
+
+/**
+ * Replace the input with the last repaired JSON
+ */
+const applyRepair = () => {
+  if (!state.repairedJson) return;
+  
+  elements.inputJson.value = state.repairedJson;
+  state.repairedJson = null;
+  hideIssues();
+  handleFormat();
+  showToast('Repaired JSON applied', 'success');
+};
+
+/**
+ * Handle JSON conversion
+ * @param {string} format - Value of the menu item's data-convert
+ * @param {Object} options - Inputs of this run only: fileSamples for 'schema'
+ */
+const handleConvert = (format, options = {}) => {
+  if (format === 'json-array' || format === 'ndjson') {
+    handleLinesConvert(format);
+    return;
+  }
+  if (format.startsWith('from-')) {
+    handleImport(format.slice('from-'.length));
+    return;
+  }
+  if (format === 'csv-options') {
+    elements.btnConvert.parentElement.classList.remove('open');
+    openCSVDialog();
+    return;
+  }
+  if (format === 'xml-options') {
+    elements.btnConvert.parentElement.classList.remove('open');
+    openXMLDialog();
+    return;
+  }
+  if (format === 'schema-options') {
+    elements.btnConvert.parentElement.classList.remove('open');
+    openSchemaDialog();
+    return;
+  }
+  if (format === 'typescript-options') {
+    elements.btnConvert.parentElement.classList.remove('open');
+    openTypeScriptDialog();
+    return;
+  }
+  if (format === 'mock-options') {
+    elements.btnConvert.parentElement.classList.remove('open');
+    openMockDialog();
+    return;
+  }
+  if (format === 'python-options') {
+    elements.btnConvert.parentElement.classList.remove('open');
+    openPythonDialog();
+    return;
+  }
+  if (format.endsWith('-options') && CLASS_LANGUAGES[format.slice(0, -'-options'.length)]) {
+    elements.btnConvert.parentElement.classList.remove('open');
+    openClassDialog(format.slice(0, -'-options'.length));
+    return;
+  }
+  
+  const input = elements.inputJson.value;
+  const parseResult = formatJSON(input, 2, false, getParseOptions());
+  
+  if (!parseResult.success) {
+    showParseError(parseResult);
+    return;
+  }
+  
+  const json = parseResult.parsed;
+  let output = '';
+  
+  try {
+    switch (format) {
+      case 'yaml':
+        // YAML cannot indent with tabs
+        output = jsonToYAML(json, { indent: state.indent === 'tab' ? 2 : state.indent });
+        break;
+      case 'xml':
+        output = jsonToXML(json, getXMLOptions());
+        break;
+      case 'typescript':
+        output = convertToTypeScript(json);
+        break;
+      case 'python':
+        output = jsonToPython(json, { target: state.pythonOptions.target });
+        break;
+      case 'go':
+        output = jsonToGo(json);
+        break;
+      case 'rust':
+        output = jsonToRust(json);
+        break;
+      case 'java':
+        output = jsonToJava(json, getClassOptions('java'));
+        break;
+      case 'kotlin':
+        output = jsonToKotlin(json, getClassOptions('kotlin'));
+        break;
+      case 'csharp':
+        output = jsonToCSharp(json, getClassOptions('csharp'));
+        break;
+      case 'schema':
+        output = jsonToSchema(getSchemaSamples(json, options.fileSamples), { ...getSchemaOptions(), samples: true });
+        break;
+      case 'csv':
+        output = jsonToCSV(json, getCSVOptions());
+        break;
+      case 'toml':
+        output = jsonToTOML(json);
+        break;
+      case 'env':
+        output = jsonToEnv(json);
+        break;
+      case 'properties':
+        output = jsonToProperties(json);
+        break;
+    }
+  } catch (error) {
+    // Some formats cannot hold every document (TOML has no null)
+    showError(`Cannot convert to ${CLASS_LANGUAGES[format]?.label ?? format.toUpperCase()}: ${error.message}`);
+    elements.btnConvert.parentElement.classList.remove('open');
+    return;
+  }
+  
+  const outputFormat = format === 'csv' && state.csvOptions.delimiter === 'tab' ? 'tsv' : format;
+  showPlainOutput(output, outputFormat);
+  showToast(`Converted to ${CLASS_LANGUAGES[format]?.label ?? outputFormat.toUpperCase()}`, 'success');
+  
+  // Close dropdown
+  elements.btnConvert.parentElement.classList.remove('open');
+};
+
+/**
+ * Open the CSV dialog with the last used options
+ */
+const openCSVDialog = () => {
+  const { delimiter, quote, arrays, header, sortColumns, columns } = state.csvOptions;
+  elements.csvDelimiter.value = delimiter;
+  elements.csvQuote.value = quote;
+  elements.csvArrays.value = arrays;
+  elements.csvHeader.checked = header;
+  elements.csvSortColumns.checked = sortColumns;
+  elements.csvColumns.value = columns;
+  
+  elements.csvDialog.returnValue = '';
+  elements.csvDialog.showModal();
+};
+
+/**
+ * Save the options chosen in the CSV dialog and convert
+ */
+const applyCSVOptions = () => {
+  state.csvOptions = {
+    delimiter: elements.csvDelimiter.value,
+    quote: elements.csvQuote.value,
+    arrays: elements.csvArrays.value,
+    header: elements.csvHeader.checked,
+    sortColumns: elements.csvSortColumns.checked,
+    columns: elements.csvColumns.value.trim()
+  };
+  saveSettings();
+  handleConvert('csv');
+};
+
+/**
+ * Get the jsonToCSV options for the saved CSV settings
+ * @returns {Object} Options for jsonToCSV
+ */
+const getCSVOptions = () => {
+  const { delimiter, columns, ...rest } = state.csvOptions;
+  return {
+    ...rest,
+    delimiter: delimiter === 'tab' ? '\t' : delimiter,
+    columns: parsePriorityList(columns)
+  };
+};
+
+/**
+ * Open the XML dialog with the last used options
+ */
+const openXMLDialog = () => {
+  const { rootName, arrays, arrayItem, prefix, namespaceURI, indent, cdata, inferTypes } = state.xmlOptions;
+  elements.xmlRoot.value = rootName;
+  elements.xmlArrays.value = arrays;
+  elements.xmlArrayItem.value = arrayItem;
+  elements.xmlPrefix.value = prefix;
+  elements.xmlNamespace.value = namespaceURI;
+  elements.xmlIndent.value = indent;
+  elements.xmlCdata.checked = cdata;
+  elements.xmlInferTypes.checked = inferTypes;
+  updateXMLDialog();
+  
+  elements.xmlDialog.returnValue = '';
+  elements.xmlDialog.showModal();
+};
+
+/**
+ * Show the item element name only when arrays are wrapped
+ */
+const updateXMLDialog = () => {
+  elements.xmlArrayItemField.classList.toggle('show', elements.xmlArrays.value === 'wrap');
+};
+
+/**
+ * Save the options chosen in the XML dialog and convert
+ */
+const applyXMLOptions = () => {
+  state.xmlOptions = {
+    rootName: elements.xmlRoot.value.trim(),
+    arrays: elements.xmlArrays.value,
+    arrayItem: elements.xmlArrayItem.value.trim(),
+    prefix: elements.xmlPrefix.value.trim(),
+    namespaceURI: elements.xmlNamespace.value.trim(),
+    indent: elements.xmlIndent.value,
+    cdata: elements.xmlCdata.checked,
+    inferTypes: elements.xmlInferTypes.checked
+  };
+  saveSettings();
+  handleConvert('xml');
+};
+
+/**
+ * Get the jsonToXML options for the saved XML settings
+ * @returns {Object} Options for jsonToXML
+ */
+const getXMLOptions = () => {
+  const { rootName, prefix, namespaceURI, indent, cdata } = state.xmlOptions;
+  return {
+    arrayItem: getXMLReadOptions().arrayItem,
+    rootName,
+    prefix,
+    namespaceURI,
+    cdata,
+    indent: indent === 'tab' ? '\t' : Number(indent)
+  };
+};
+
+/**
+ * Get the xmlToJSON options that read back what the saved XML settings write
+ * @returns {Object} Options for xmlToJSON
+ */
+const getXMLReadOptions = () => {
+  const { arrays, arrayItem, prefix, inferTypes } = state.xmlOptions;
+  return { arrayItem: arrays === 'wrap' ? arrayItem || 'item' : '', prefix, inferTypes };
+};
+
+/**
+ * Open the schema generation dialog with the last used options
+ */
+const openSchemaDialog = () => {
+  const { samples, enumLimit, formats, ranges } = state.schemaOptions;
+  elements.schemaSamples.value = samples;
+  elements.schemaEnumLimit.value = enumLimit;
+  elements.schemaFormats.checked = formats;
+  elements.schemaRanges.checked = ranges;
+  
+  elements.schemaDialog.returnValue = '';
+  elements.schemaDialog.showModal();
+};
+
+/**
+ * Save the options chosen in the schema dialog, read the sample files and generate
+ */
+const applySchemaOptions = async () => {
+  state.schemaOptions = {
+    samples: elements.schemaSamples.value,
+    enumLimit: Math.max(0, parseInt(elements.schemaEnumLimit.value, 10) || 0),
+    formats: elements.schemaFormats.checked,
+    ranges: elements.schemaRanges.checked
+  };
+  saveSettings();
+  
+  const samples = [];
+  for (const file of elements.schemaFiles.files) {
+    const isLines = /\.(jsonl|ndjson)$/i.test(file.name);
+    try {
+      const text = await file.text();
+      const dialect = isLines ? 'ndjson' : state.dialect === 'ndjson' ? 'strict' : state.dialect;
+      const value = parseJSON(text, { dialect, lossless: state.losslessNumbers });
+      const isItems = isLines || (state.schemaOptions.samples === 'items' && Array.isArray(value));
+      samples.push(...(isItems ? value : [value]));
+    } catch (error) {
+      showError(`Cannot read ${file.name}: ${error.message}`);
+      return;
+    }
+  }
+  handleConvert('schema', { fileSamples: samples });
+};
+
+/**
+ * Get the samples to infer a schema from: the input (each line for JSON Lines,
+ * each item when chosen) followed by the samples read from files
+ * @param {*} json - Parsed input
+ * @param {Array} fileSamples - Samples read from the files chosen in the schema dialog
+ * @returns {Array} Samples
+ */
+const getSchemaSamples = (json, fileSamples = []) => {
+  const isItems = state.dialect === 'ndjson' || (state.schemaOptions.samples === 'items' && Array.isArray(json));
+  return [...(isItems ? json : [json]), ...fileSamples];
+};
+
+/**
+ * Get the jsonToSchema options for the saved schema settings
+ * @returns {Object} Options for jsonToSchema
+ */
+const getSchemaOptions = () => {
+  const { enumLimit, formats, ranges } = state.schemaOptions;
+  return { enumLimit, formats, ranges };
+};
+
+/**
+ * Open the TypeScript dialog with the last used options
+ */
+const openTypeScriptDialog = () => {
+  const { output, declaration, readonly } = state.typescriptOptions;
+  elements.tsOutput.value = output;
+  elements.tsDeclaration.value = declaration;
+  elements.tsReadonly.checked = readonly;
+  updateTypeScriptDialog();
+  
+  elements.typescriptDialog.returnValue = '';
+  elements.typescriptDialog.showModal();
+};
+
+/**
+ * Show the declaration options only for plain types
+ */
+const updateTypeScriptDialog = () => {
+  const isTypes = elements.tsOutput.value === 'types';
+  elements.tsDeclarationField.classList.toggle('show', isTypes);
+  elements.tsReadonlyField.classList.toggle('show', isTypes);
+};
+
+/**
+ * Save the options chosen in the TypeScript dialog and convert
+ */
+const applyTypeScriptOptions = () => {
+  state.typescriptOptions = {
+    output: elements.tsOutput.value,
+    declaration: elements.tsDeclaration.value,
+    readonly: elements.tsReadonly.checked
+  };
+  saveSettings();
+  handleConvert('typescript');
+};
+
+/**
+ * Generate TypeScript types, Zod schemas or io-ts codecs as last chosen
+ * @param {*} json - Parsed JSON value
+ * @returns {string} TypeScript source
+ */
+const convertToTypeScript = (json) => {
+  const { output, declaration, readonly } = state.typescriptOptions;
+  if (output === 'zod') return jsonToZod(json);
+  if (output === 'io-ts') return jsonToIoTs(json);
+  return jsonToTypeScript(json, { declaration, readonly });
+};
+
+/**
+ * Open the Python dialog with the last used target
+ */
+const openPythonDialog = () => {
+  elements.pythonTarget.value = state.pythonOptions.target;
+  elements.pythonDialog.returnValue = '';
+  elements.pythonDialog.showModal();
+};
+
+/**
+ * Save the target chosen in the Python dialog and convert
+ */
+const applyPythonOptions = () => {
+  state.pythonOptions = { target: elements.pythonTarget.value };
+  saveSettings();
+  handleConvert('python');
+};
+
+/**
+ * Open the class generation dialog for a language with the last used options
+ * @param {string} language - Key of CLASS_LANGUAGES
+ */
+const openClassDialog = (language) => {
+  const { label, packageLabel, placeholder } = CLASS_LANGUAGES[language];
+  elements.classTitle.textContent = `Convert to ${label}`;
+  elements.classPackageLabel.textContent = packageLabel;
+  elements.classPackage.placeholder = placeholder;
+  elements.classPackage.value = state.classOptions.packages[language] ?? '';
+  elements.classStyleField.classList.toggle('show', language === 'java');
+  elements.classStyle.value = state.classOptions.javaStyle;
+  elements.classNullable.value = state.classOptions.nullable;
+  
+  elements.classDialog.dataset.language = language;
+  elements.classDialog.returnValue = '';
+  elements.classDialog.showModal();
+};
+
+/**
+ * Save the options chosen in the class dialog and convert
+ */
+const applyClassOptions = () => {
+  const { language } = elements.classDialog.dataset;
+  state.classOptions = {
+    packages: { ...state.classOptions.packages, [language]: elements.classPackage.value.trim() },
+    javaStyle: elements.classStyle.value,
+    nullable: elements.classNullable.value
+  };
+  saveSettings();
+  handleConvert(language);
+};
+
+/**
+ * Get the generator options for a class language from the saved settings
+ * @param {string} language - Key of CLASS_LANGUAGES
+ * @returns {Object} Options for jsonToJava, jsonToKotlin or jsonToCSharp
+ */
+const getClassOptions = (language) => {
+  const { packages, javaStyle, nullable } = state.classOptions;
+  const packageName = packages[language] ?? '';
+  return language === 'csharp'
+    ? { namespace: packageName, nullable }
+    : { packageName, style: javaStyle, nullable };
+};
+
+/**
+ * Replace the input with its JSON equivalent
+ * @param {string} format - Key of IMPORT_LABELS
+ * @param {string} text - Text to import (the input by default)
+ */
+const handleImport = (format, text = elements.inputJson.value) => {
+  elements.btnConvert.parentElement.classList.remove('open');
+  
+  let value;
+  try {
+    value = importFormat(text, format, getXMLReadOptions());
+  } catch (error) {
+    elements.inputJson.value = text;
+    showError(`Invalid ${IMPORT_LABELS[format]}: ${error.message}`, error.position);
+    return;
+  }
+  setImportedInput(value, format);
+};
+
+/**
+ * Write an imported value to the input as JSON and format it
+ * @param {*} value - Imported value
+ * @param {string} format - Key of IMPORT_LABELS it came from
+ */
+const setImportedInput = (value, format) => {
+  // Imported data is one document, never JSON Lines
+  if (state.dialect === 'ndjson') {
+    state.dialect = 'strict';
+    elements.dialectSelect.value = 'strict';
+    saveSettings();
+  }
+  
+  const indent = state.indent === 'tab' ? '\t' : ' '.repeat(state.indent);
+  elements.inputJson.value = stringifyJSON(value, indent, getLayoutOptions());
+  hideIssues();
+  handleFormat();
+  showToast(`Imported ${IMPORT_LABELS[format]} as JSON`, 'success');
+};
+
+/**
+ * Import pasted YAML, XML, CSV, TOML or query strings when they replace the whole input
+ */
+const handlePaste = (e) => {
+  const text = e.clipboardData.getData('text/plain');
+  const input = elements.inputJson;
+  if (input.selectionEnd - input.selectionStart !== input.value.length) return;
+  
+  const format = detectFormat(text);
+  if (!format || format === 'json') return;
+  
+  let value;
+  try {
+    value = importFormat(text, format, getXMLReadOptions());
+  } catch {
+    // Not valid after all: paste it as is
+    return;
+  }
+  e.preventDefault();
+  setImportedInput(value, format);
+};
+
+/**
+ * Handle conversion between JSON Lines and a JSON array
+ * @param {string} format - 'json-array' (input read as JSON Lines) or 'ndjson' (input holds an array)
+ */
+const handleLinesConvert = (format) => {
+  const toArray = format === 'json-array';
+  const parseResult = formatJSON(elements.inputJson.value, state.indent, false, {
+    ...getParseOptions(),
+    dialect: toArray ? 'ndjson' : state.dialect
+  });
+  
+  elements.btnConvert.parentElement.classList.remove('open');
+  
+  if (!parseResult.success) {
+    showParseError(parseResult);
+    return;
+  }
+  
+  const records = parseResult.parsed;
+  if (!Array.isArray(records)) {
+    showToast('JSON Lines output needs a top-level array', 'error');
+    return;
+  }
+  
+  if (toArray) {
+    const indent = state.indent === 'tab' ? '\t' : ' '.repeat(state.indent);
+    showJSONOutput(stringifyJSON(records, indent, getLayoutOptions()));
+  } else {
+    showJSONOutput(stringifyNDJSON(records), null, 'ndjson');
+  }
+  hideError();
+  showToast(`Converted ${records.length} record${records.length === 1 ? '' : 's'} to ${toArray ? 'a JSON array' : 'JSON Lines'}`, 'success');
+};
+
+/**
+ * Open the mock data dialog with the last used options
+ */
+const openMockDialog = () => {
+  const { source, count, seed, arrayMin, arrayMax, nullProbability } = state.mockOptions;
+  elements.mockSource.value = source;
+  elements.mockCount.value = count;
+  elements.mockSeed.value = seed;
+  elements.mockArrayMin.value = arrayMin;
+  elements.mockArrayMax.value = arrayMax;
+  elements.mockNull.value = nullProbability;
+  
+  elements.mockDialog.returnValue = '';
+  elements.mockDialog.showModal();
+};
+
+/**
+ * Save the options chosen in the mock data dialog and generate
+ */
+const applyMockOptions = () => {
+  const clamp = (value, min, max, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+  };
+  const arrayMin = clamp(elements.mockArrayMin.value, 0, 100, 1);
+  
+  state.mockOptions = {
+    source: elements.mockSource.value,
+    count: clamp(elements.mockCount.value, 1, 1000, 10),
+    seed: elements.mockSeed.value.trim(),
+    arrayMin,
+    arrayMax: clamp(elements.mockArrayMax.value, arrayMin, 100, Math.max(arrayMin, 5)),
+    nullProbability: clamp(elements.mockNull.value, 0, 100, 10)
+  };
+  saveSettings();
+  handleMockData();
+};
+
+/**
+ * Generate documents shaped like the input (through the schema jsonToSchema infers
+ * from it) or following the pasted schema. JSON Lines input gives JSON Lines output.
+ */
+const handleMockData = () => {
+  const { source, count, seed, arrayMin, arrayMax, nullProbability } = state.mockOptions;
+  let schema;
+  
+  if (source === 'schema') {
+    if (!elements.schemaInput.value.trim()) {
+      showToast('Paste a JSON Schema in the schema panel first', 'error');
+      return;
+    }
+    try {
+      schema = parseJSON(elements.schemaInput.value);
+    } catch (error) {
+      showError(`Cannot read the schema: ${error.message}`);
+      return;
+    }
+  } else {
+    const parseResult = formatJSON(elements.inputJson.value, 2, false, getParseOptions());
+    if (!parseResult.success) {
+      showParseError(parseResult);
+      return;
+    }
+    
+    const json = parseResult.parsed;
+    const isItems = state.dialect === 'ndjson' || (source === 'items' && Array.isArray(json));
+    const samples = isItems ? json : [json];
+    // A range seen in one sample would give every number the same value
+    schema = JSON.parse(jsonToSchema(samples, { samples: true, enumLimit: 10, formats: true, ranges: samples.length > 1 }));
+  }
+  
+  // Show a random seed so a run worth keeping can be repeated
+  const usedSeed = seed || String(Math.floor(Math.random() * 1e9));
+  let documents;
+  try {
+    documents = generateMockData(schema, { count, seed: usedSeed, arrayMin, arrayMax, nullProbability: nullProbability / 100 });
+  } catch (error) {
+    showError(`Cannot generate mock data: ${error.message}`);
+    return;
+  }
+  
+  if (state.dialect === 'ndjson') {
+    showJSONOutput(stringifyNDJSON(documents), null, 'ndjson');
+  } else {
+    const indent = state.indent === 'tab' ? '\t' : ' '.repeat(state.indent);
+    showJSONOutput(stringifyJSON(count === 1 ? documents[0] : documents, indent, getLayoutOptions()));
+  }
+  hideError();
+  showToast(`Generated ${count} document${count === 1 ? '' : 's'} with seed ${usedSeed}`, 'success');
 };
 
 /**
- * Switch between modes (Format, Diff, Query, Tools)
+ * Open the sort dialog with the last used options
  */
-const switchMode = (mode) => {
-  state.currentMode = mode;
+const openSortDialog = () => {
+  const { natural, ignoreCase, reverse, priority, arrayKey } = state.sortOptions;
+  elements.sortNatural.checked = natural;
+  elements.sortIgnoreCase.checked = ignoreCase;
+  elements.sortReverse.checked = reverse;
+  elements.sortPriority.value = priority;
+  elements.sortArrayKey.value = arrayKey;
   
-  elements.modeTabs.forEach(tab => {
-    tab.classList.toggle('active', tab.dataset.mode === mode);
+  elements.sortDialog.returnValue = '';
+  elements.sortDialog.showModal();
+};
+
+/**
+ * Save the options chosen in the sort dialog and sort
+ */
+const applySortOptions = () => {
+  state.sortOptions = {
+    natural: elements.sortNatural.checked,
+    ignoreCase: elements.sortIgnoreCase.checked,
+    reverse: elements.sortReverse.checked,
+    priority: elements.sortPriority.value.trim(),
+    arrayKey: elements.sortArrayKey.value.trim()
+  };
+  saveSettings();
+  handleSortKeys();
+};
+
+/**
+ * Handle sort keys
+ */
+const handleSortKeys = async () => {
+  const { priority, arrayKey } = state.sortOptions;
+  const result = await runFormatTask('format', {
+    ...getParseOptions(),
+    ...getLayoutOptions(),
+    indent: state.indent,
+    sortKeys: true,
+    sort: { ...state.sortOptions, priority: parsePriorityList(priority) },
+    expandEmbedded: state.expandEmbedded
   });
+  if (!result) return;
   
-  elements.sections.forEach(section => {
-    section.classList.toggle('active', section.id === `section-${mode}`);
-  });
+  if (result.success) {
+    showJSONOutput(result.output, result.lines, state.dialect === 'ndjson' ? null : 'jsonc', getEmbeddedMarks(result.embedded));
+    showDuplicateKeys(result.duplicates);
+    showToast(arrayKey ? `Keys sorted, arrays of objects sorted by ${arrayKey}` : 'Keys sorted', 'success');
+    warnUnsafeNumbers(result.unsafeNumbers);
+  } else {
+    showParseError(result);
+  }
 };
 
 /**
- * Handle JSON formatting
+ * Run a task on the input in the format worker, showing progress if it takes a while
+ * @param {string} task - 'format', 'minify' or 'validate'
+ * @param {Object} options - Task options
+ * @returns {Promise<Object|null>} Task result, or null if it was cancelled or failed
  */
-const handleFormat = () => {
-  const input = elements.inputJson.value;
-  const indent = state.indent;
+const runFormatTask = async (task, options) => {
+  const timer = setTimeout(() => elements.outputProgress.classList.add('show'), PROGRESS_DELAY);
+  showProgress({ label: 'Starting', step: 0, steps: 1 });
   
-  const result = formatJSON(input, indent);
+  try {
+    return await formatPipeline.run(task, elements.inputJson.value, options, showProgress);
+  } catch (error) {
+    if (!isCancelled(error)) {
+      showToast(`Failed to ${task} JSON: ${error.message}`, 'error');
+    }
+    return null;
+  } finally {
+    clearTimeout(timer);
+    elements.outputProgress.classList.remove('show');
+  }
+};
+
+/**
+ * Update the progress bar
+ * @param {Object} progress - { label, step, steps } from the worker
+ */
+const showProgress = ({ label, step, steps }) => {
+  elements.progressBar.style.width = `${Math.round((step + 1) / steps * 100)}%`;
+  elements.progressLabel.textContent = `${label}…`;
+};
+
+/**
+ * Handle cancelling the running worker task
+ */
+const handleCancelTask = () => {
+  if (formatPipeline.cancel()) {
+    showToast('Cancelled', 'warning');
+  }
+};
+
+/**
+ * Show JSON output in the current view
+ * @param {string} text - Formatted JSON text
+ * @param {Object} lines - Line index from the worker (computed here if missing)
+ * @param {string|null} treeDialect - Dialect to parse the text with for the tree view,
+ *   or null if it cannot be shown as a tree
+ * @param {Object} marks - Highlights (see setOutput)
+ */
+const showJSONOutput = (text, lines, treeDialect = 'jsonc', marks = {}) => {
+  state.outputFormat = treeDialect === 'ndjson' ? 'ndjson' : 'json';
+  setOutput(text, lines, true, treeDialect, marks);
+};
+
+/**
+ * Show non-JSON output (conversions, failed repairs) as plain text
+ * @param {string} text - Output text
+ * @param {string} format - Key of OUTPUT_FILES, for downloads
+ */
+const showPlainOutput = (text, format = 'text') => {
+  state.outputFormat = format;
+  setOutput(text, null, false, null);
+};
+
+/**
+ * Store the output and render it
+ * @param {string} text - Output text
+ * @param {Object} lines - Line index, or null to compute it
+ * @param {boolean} isJSON - Whether the text can be highlighted
+ * @param {string|null} treeDialect - Dialect for the tree view, or null for no tree
+ * @param {Object} marks - Highlights: lineClasses maps 1-based lines to a class in the raw view,
+ *   embedded lists the values expanded from strings (see expandEmbeddedJSON)
+ */
+const setOutput = (text, lines, isJSON, treeDialect, marks = {}) => {
+  state.outputText = text;
+  state.outputLineClasses = marks.lineClasses ?? new Map();
+  state.outputEmbedded = marks.embedded ?? [];
+  state.outputIsJSON = isJSON;
+  state.outputTreeDialect = treeDialect;
+  state.outputLines = lines ?? indexLines(text);
+  state.outputParsed = undefined;
+  renderOutput();
+};
+
+/**
+ * Render the current output as virtualized text lines or as a tree;
+ * the edit view shows the input as an editable tree instead
+ */
+const renderOutput = () => {
+  const wantsTree = state.outputIsJSON && state.outputView === 'tree';
+  const showTree = wantsTree && state.outputTreeDialect !== null && state.outputText.length <= TREE_VIEW_LIMIT;
+  const editValue = state.outputView === 'edit' && elements.inputJson.value.trim() ? getEditValue() : undefined;
+  const showEditor = editValue !== undefined;
   
-  if (result.success) {
-    elements.outputJson.innerHTML = highlightJSON(result.output);
-    hideError();
+  if (wantsTree && !showTree) {
+    showToast(state.outputTreeDialect === null
+      ? 'Formatted JSON Lines records have no tree view; Minify shows them as a tree of records'
+      : 'Output is too large for the tree view; showing raw text', 'warning');
+  }
+  
+  if (showEditor) {
+    outputViewport.clear();
+    elements.outputJson.innerHTML = renderJSONTree(editValue, { expandDepth: state.treeDepth, editable: true });
+  } else if (showTree) {
+    outputViewport.clear();
+    elements.outputJson.innerHTML = renderJSONTree(getOutputValue(), {
+      expandDepth: state.treeDepth,
+      embeddedPointers: new Set(state.outputEmbedded.map(entry => entry.pointer))
+    });
+  } else if (state.outputText) {
+    outputViewport.show(state.outputText, state.outputLines, state.outputIsJSON ? highlightJSON : text => escapeHtml(text), state.outputLineClasses);
   } else {
-    showError(result.error, result.position);
+    outputViewport.clear();
   }
   
-  updateStats();
+  elements.treeLevel.classList.toggle('show', showTree || showEditor);
+  elements.btnRestringify.classList.toggle('show', !showEditor && state.outputEmbedded.length > 0 && state.outputTreeDialect !== null);
+  elements.editHistory.classList.toggle('show', showEditor);
+  elements.btnUndo.disabled = !editHistory.canUndo();
+  elements.btnRedo.disabled = !editHistory.canRedo();
 };
 
 /**
- * Handle JSON minification
+ * Parse the input for the edit view, once per input text
+ * @returns {*} Input value, or undefined (after a warning) if it cannot be edited
  */
-const handleMinify = () => {
+const getEditValue = () => {
   const input = elements.inputJson.value;
-  const result = minifyJSON(input);
+  if (input === state.editSource) return state.editValue;
   
-  if (result.success) {
-    elements.outputJson.innerHTML = highlightJSON(result.output);
-    hideError();
-    showToast('JSON minified successfully', 'success');
+  // The input changed outside the editor: start over
+  state.editSource = input;
+  state.editValue = undefined;
+  editHistory.clear();
+  
+  if (state.dialect === 'ndjson') {
+    showToast('JSON Lines input cannot be edited as a tree; showing raw text', 'warning');
+  } else if (input.length > TREE_VIEW_LIMIT) {
+    showToast('Input is too large to edit as a tree; showing raw text', 'warning');
   } else {
-    showError(result.error, result.position);
+    try {
+      state.editValue = parseJSON(input, { dialect: state.dialect, lossless: true, duplicateKeys: state.duplicateKeys });
+    } catch (error) {
+      showToast(`Fix the input to edit it as a tree: ${error.message}`, 'warning');
+    }
   }
+  return state.editValue;
 };
 
 /**
- * Handle JSON validation
+ * Apply an edit to the edit view value, recording it for undo
+ * @param {Function} update - Receives the current value, returns the edited one; may throw
  */
-const handleValidate = () => {
-  const input = elements.inputJson.value;
-  const result = validateJSON(input);
+const applyEdit = (update) => {
+  const previous = state.editValue;
+  const next = update(previous);
+  editHistory.record(previous);
+  commitEditValue(next);
+};
+
+/**
+ * Write an edited value to the input and re-render the editor, keeping
+ * expanded nodes and the scroll position
+ * @param {*} value - New value
+ */
+const commitEditValue = (value) => {
+  const openState = new Map();
+  elements.outputJson.querySelectorAll('details.tree-node').forEach(node => {
+    openState.set(node.dataset.pointer, node.open);
+  });
+  const { scrollTop } = elements.outputJson;
   
-  if (result.valid) {
-    showToast('✓ Valid JSON', 'success');
-    hideError();
-  } else {
-    showError(result.message, result.position);
+  const indent = state.indent === 'tab' ? '\t' : ' '.repeat(state.indent);
+  const text = stringifyJSON(value, indent, getLayoutOptions());
+  elements.inputJson.value = text;
+  state.editSource = text;
+  state.editValue = value;
+  showJSONOutput(text);
+  
+  elements.outputJson.querySelectorAll('details.tree-node').forEach(node => {
+    if (openState.has(node.dataset.pointer)) {
+      node.open = openState.get(node.dataset.pointer);
+    }
+  });
+  elements.outputJson.scrollTop = scrollTop;
+  hideError();
+  hideIssues();
+  updateStats();
+};
+
+/**
+ * Handle undo in the edit view
+ */
+const handleUndo = () => {
+  const value = editHistory.undo(state.editValue);
+  if (value !== undefined) {
+    commitEditValue(value);
   }
 };
 
 /**
- * Handle JSON conversion
+ * Handle redo in the edit view
  */
-const handleConvert = (format) => {
-  const input = elements.inputJson.value;
-  const parseResult = formatJSON(input);
+const handleRedo = () => {
+  const value = editHistory.redo(state.editValue);
+  if (value !== undefined) {
+    commitEditValue(value);
+  }
+};
+
+/**
+ * Handle clicks on the edit view controls: rename, edit value, add and delete
+ */
+const handleTreeEditClick = (e) => {
+  if (state.outputView !== 'edit') return;
   
-  if (!parseResult.success) {
-    showError(parseResult.error, parseResult.position);
+  const control = e.target.closest('[data-action]');
+  const node = e.target.closest('[data-pointer]');
+  if (!control || !node || e.target.closest('.tree-input')) {
+    // Typing in a key inside a summary must not toggle it
+    if (e.target.closest('.tree-input')) e.preventDefault();
     return;
   }
   
-  const json = parseResult.parsed;
-  let output = '';
+  // Controls sit inside <summary>: keep clicks on them from collapsing the node
+  e.preventDefault();
+  if (control.dataset.action === 'type') return;
   
-  switch (format) {
-    case 'yaml':
-      output = jsonToYAML(json);
-      break;
-    case 'xml':
-      output = jsonToXML(json);
-      break;
-    case 'typescript':
-      output = jsonToTypeScript(json);
-      break;
-    case 'python':
-      output = jsonToPython(json);
-      break;
-    case 'schema':
-      output = jsonToSchema(json);
-      break;
+  const { pointer } = node.dataset;
+  try {
+    if (control.dataset.action === 'add') {
+      let childPointer;
+      applyEdit(value => {
+        const result = insertAt(value, pointer);
+        childPointer = result.pointer;
+        return result.value;
+      });
+      // Name new members right away
+      const childKey = elements.outputJson.querySelector(`[data-pointer="${CSS.escape(childPointer)}"] [data-action="rename"]`);
+      if (childKey) {
+        startTreeEdit(childKey, childPointer);
+      }
+    } else if (control.dataset.action === 'delete') {
+      applyEdit(value => removeAt(value, pointer));
+    } else {
+      startTreeEdit(control, pointer);
+    }
+  } catch (error) {
+    showToast(error.message, 'error');
   }
+};
+
+/**
+ * Replace a key or primitive value with an inline input; Enter saves, Escape cancels
+ * @param {HTMLElement} control - Element with data-action 'rename' or 'edit'
+ * @param {string} pointer - JSON Pointer of the node
+ */
+const startTreeEdit = (control, pointer) => {
+  const renaming = control.dataset.action === 'rename';
+  const current = getValueAt(state.editValue, pointer);
+  const type = getValueType(current);
+  if (!renaming && (type === 'object' || type === 'array')) return;
   
-  elements.outputJson.innerHTML = `<pre class="plain-output">${escapeHtml(output)}</pre>`;
-  showToast(`Converted to ${format.toUpperCase()}`, 'success');
+  const key = pointer.slice(pointer.lastIndexOf('/') + 1).replace(/~1/g, '/').replace(/~0/g, '~');
+  const input = document.createElement('input');
+  input.className = 'tree-input';
+  input.value = renaming ? key : getEditText(current);
+  control.replaceChildren(input);
+  input.focus();
+  input.select();
   
-  // Close dropdown
-  elements.btnConvert.parentElement.classList.remove('open');
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    if (!save) {
+      renderOutput();
+      return;
+    }
+    
+    try {
+      applyEdit(value => renaming
+        ? renameKeyAt(value, pointer, input.value)
+        : setValueAt(value, pointer, parseEditedValue(input.value, type)));
+    } catch (error) {
+      done = false;
+      input.classList.add('invalid');
+      showToast(error.message, 'error');
+      input.focus();
+    }
+  };
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      finish(false);
+    }
+  });
+  // A space typed into a key inside <summary> would toggle it
+  input.addEventListener('keyup', (e) => e.preventDefault());
+  input.addEventListener('blur', () => finish(false));
 };
 
 /**
- * Handle sort keys
+ * Handle the type menu of the edit view
  */
-const handleSortKeys = () => {
-  const input = elements.inputJson.value;
-  const indent = state.indent;
-  
-  const result = formatJSON(input, indent, true);
+const handleTreeTypeChange = (e) => {
+  const node = e.target.closest('[data-pointer]');
+  if (state.outputView !== 'edit' || e.target.dataset.action !== 'type' || !node) return;
   
-  if (result.success) {
-    elements.outputJson.innerHTML = highlightJSON(result.output);
-    showToast('Keys sorted alphabetically', 'success');
-  } else {
-    showError(result.error, result.position);
+  const { pointer } = node.dataset;
+  applyEdit(value => setValueAt(value, pointer, convertValue(getValueAt(value, pointer), e.target.value)));
+};
+
+/**
+ * Parse the output for the tree view, once per output
+ * @returns {*} Parsed output
+ */
+const getOutputValue = () => {
+  if (state.outputParsed === undefined) {
+    state.outputParsed = parseJSON(state.outputText, { dialect: state.outputTreeDialect, lossless: state.losslessNumbers });
+  }
+  return state.outputParsed;
+};
+
+/**
+ * Highlights for values a format expanded from strings
+ * @param {Array} embedded - Entries from formatJSON, with output lines when known
+ * @returns {Object} Marks for showJSONOutput
+ */
+const getEmbeddedMarks = (embedded = []) => ({
+  lineClasses: new Map(embedded.filter(entry => entry.line).map(entry => [entry.line, 'line-embedded'])),
+  embedded
+});
+
+/**
+ * Handle turning expanded JSON strings in the output back into strings
+ */
+const handleRestringify = () => {
+  const count = state.outputEmbedded.length;
+  try {
+    const value = collapseEmbeddedJSON(getOutputValue(), state.outputEmbedded);
+    const indent = state.indent === 'tab' ? '\t' : ' '.repeat(state.indent);
+    showJSONOutput(stringifyJSON(value, indent, getLayoutOptions()));
+    showToast(`Re-stringified ${count} embedded JSON value${count === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    showToast(`Failed to re-stringify: ${error.message}`, 'error');
   }
 };
 
+/**
+ * Scroll the raw output to a line, leaving the tree view if needed
+ * @param {number} line - 1-based output line
+ */
+const showOutputLine = (line) => {
+  if (state.outputView === 'tree') {
+    setOutputView('raw');
+  }
+  outputViewport.scrollToLine(line);
+};
+
+/**
+ * Switch the output between raw text, tree view and the editable tree
+ * @param {string} view - 'raw', 'tree' or 'edit'
+ */
+const setOutputView = (view) => {
+  state.outputView = view;
+  elements.viewButtons.forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.view === view);
+  });
+  saveSettings();
+  renderOutput();
+};
+
+/**
+ * Open tree nodes shallower than a depth and close the rest
+ * @param {number} depth - Number of levels to keep open
+ */
+const setTreeDepth = (depth) => {
+  elements.outputJson.querySelectorAll('details.tree-node').forEach(node => {
+    node.open = parseInt(node.dataset.depth) < depth;
+  });
+};
+
 /**
  * Handle copy to clipboard
  */
 const handleCopy = async () => {
-  const output = elements.outputJson.textContent;
+  const output = state.outputText;
   
   try {
     await navigator.clipboard.writeText(output);
@@ -361,17 +1920,18 @@ const handleCopy = async () => {
  * Handle download as JSON file
  */
 const handleDownload = () => {
-  const output = elements.outputJson.textContent;
-  const blob = new Blob([output], { type: 'application/json' });
+  const output = state.outputText;
+  const file = OUTPUT_FILES[state.outputFormat];
+  const blob = new Blob([output], { type: file.type });
   const url = URL.createObjectURL(blob);
   
   const a = document.createElement('a');
   a.href = url;
-  a.download = 'formatted.json';
+  a.download = file.name;
   a.click();
   
   URL.revokeObjectURL(url);
-  showToast('Downloaded formatted.json', 'success');
+  showToast(`Downloaded ${file.name}`, 'success');
 };
 
 /**
@@ -379,8 +1939,9 @@ const handleDownload = () => {
  */
 const handleClearInput = () => {
   elements.inputJson.value = '';
-  elements.outputJson.innerHTML = '';
+  showPlainOutput('');
   hideError();
+  hideIssues();
   updateStats();
 };
 
@@ -391,8 +1952,13 @@ const handleFileUpload = (e) => {
   const file = e.target.files[0];
   if (!file) return;
   
+  const format = IMPORT_EXTENSIONS[file.name.split('.').pop().toLowerCase()];
   const reader = new FileReader();
   reader.onload = (event) => {
+    if (format) {
+      handleImport(format, event.target.result);
+      return;
+    }
     elements.inputJson.value = event.target.result;
     handleFormat();
     showToast(`Loaded ${file.name}`, 'success');
@@ -410,8 +1976,9 @@ const handleDiff = () => {
   const input1 = elements.diffInput1.value;
   const input2 = elements.diffInput2.value;
   
-  const result1 = formatJSON(input1);
-  const result2 = formatJSON(input2);
+  const options = { lossless: state.losslessNumbers };
+  const result1 = formatJSON(input1, 2, false, options);
+  const result2 = formatJSON(input2, 2, false, options);
   
   if (!result1.success) {
     renderDiffHighlightLayer(elements.diffHighlight1, input1);
@@ -508,8 +2075,8 @@ const stringifyWithPathMap = (value, indent = 2) => {
     const prefix = indentText.repeat(depth);
     const keyPrefix = key !== null ? `${JSON.stringify(key)}: ` : '';
 
-    if (current === null || typeof current !== 'object') {
-      const lineNo = addLine(`${prefix}${keyPrefix}${JSON.stringify(current)}${addComma ? ',' : ''}`);
+    if (current === null || typeof current !== 'object' || isLosslessNumber(current)) {
+      const lineNo = addLine(`${prefix}${keyPrefix}${stringifyJSON(current)}${addComma ? ',' : ''}`);
       if (path) pathToLine.set(path, lineNo);
       return;
     }
@@ -635,19 +2202,34 @@ const handleQuery = () => {
   const input = elements.queryInput.value;
   const path = elements.jsonpathInput.value;
   
-  const parseResult = formatJSON(input);
-  
-  if (!parseResult.success) {
-    elements.queryOutput.innerHTML = '<span class="status-text error">Invalid JSON</span>';
-    return;
+  let result;
+  if (elements.queryNdjson.checked) {
+    let records;
+    try {
+      records = parseNDJSON(input, { lossless: state.losslessNumbers });
+    } catch (error) {
+      const { line } = getErrorPosition(error, input) || {};
+      elements.queryOutput.innerHTML = `<span class="status-text error">Invalid JSON Lines${line ? ` at line ${line}` : ''}</span>`;
+      return;
+    }
+    result = queryRecords(records, path);
+  } else {
+    const parseResult = formatJSON(input, 2, false, { lossless: state.losslessNumbers });
+    
+    if (!parseResult.success) {
+      elements.queryOutput.innerHTML = '<span class="status-text error">Invalid JSON</span>';
+      return;
+    }
+    
+    result = queryJSONPath(parseResult.parsed, path);
   }
   
-  const result = queryJSONPath(parseResult.parsed, path);
-  
   if (result.success) {
     const output = result.results.map((item, i) => {
-      const pathStr = result.paths[i].join('.');
-      const value = typeof item === 'object' ? JSON.stringify(item, null, 2) : item;
+      const pathStr = result.lines
+        ? `line ${result.lines[i]}: ${result.paths[i].join('.')}`
+        : result.paths[i].join('.');
+      const value = typeof item === 'object' ? stringifyJSON(item, '  ') : item;
       return `<div class="query-block">
         <div class="query-path">${pathStr}</div>
         <div>${highlightJSON(value)}</div>
@@ -769,14 +2351,143 @@ const toggleTheme = () => {
 /**
  * Update statistics display
  */
-const updateStats = () => {
-  const input = elements.inputJson.value;
-  const stats = getJSONStats(input);
+const updateStats = async () => {
+  let stats;
+  try {
+    stats = await statsPipeline.run('stats', elements.inputJson.value, getParseOptions());
+  } catch {
+    // Superseded by a newer keystroke, or the worker failed: keep the last numbers
+    return;
+  }
   
   elements.statLines.textContent = stats.lines;
   elements.statChars.textContent = stats.chars.toLocaleString();
   elements.statKeys.textContent = stats.keys;
   elements.statDepth.textContent = stats.depth;
+  elements.statRecords.textContent = stats.records.toLocaleString();
+  elements.statRecordsItem.classList.toggle('show', state.dialect === 'ndjson');
+  
+  if (elements.statsReport.open) {
+    updateStatsReport();
+  }
+};
+
+/**
+ * Rebuild the detailed stats report
+ */
+const updateStatsReport = async () => {
+  if (!elements.statsReportBody.hasChildNodes()) {
+    elements.statsReportBody.innerHTML = '<p class="stats-report-empty">Analyzing\u2026</p>';
+  }
+  
+  let stats;
+  try {
+    stats = await reportPipeline.run('report', elements.inputJson.value, getParseOptions());
+  } catch (error) {
+    if (!isCancelled(error)) {
+      elements.statsReportBody.innerHTML = `<p class="stats-report-empty">${escapeHtml(error.message)}</p>`;
+    }
+    return;
+  }
+  
+  elements.statsReportBody.innerHTML = stats.report
+    ? renderStatsReport(stats.report)
+    : '<p class="stats-report-empty">Enter valid JSON to see the report</p>';
+};
+
+/**
+ * Render the detailed stats report as HTML
+ * @param {Object} report - analyzeJSON result with compressed sizes
+ * @returns {string} HTML
+ */
+const renderStatsReport = (report) => {
+  const total = Object.values(report.types).reduce((sum, count) => sum + count, 0);
+  const histogram = Object.entries(report.types).map(([type, count]) => `
+    <div class="report-bar">
+      <span class="report-bar-label">${type}</span>
+      <span class="report-bar-track"><span class="report-bar-fill" style="width: ${total ? (count / total) * 100 : 0}%"></span></span>
+      <span class="report-bar-value">${count.toLocaleString()}</span>
+    </div>`).join('');
+  
+  const { compressed } = report;
+  const sizes = [
+    ['Minified', report.bytes],
+    ['gzip', compressed?.gzip],
+    ['deflate', compressed?.deflate]
+  ].map(([label, bytes]) => `
+    <div class="stat-item">
+      <span class="stat-label">${label}</span>
+      <span class="stat-value">${bytes === undefined ? 'n/a' : formatByteSize(bytes)}</span>
+    </div>`).join('');
+  
+  const table = (title, rows, columns) => {
+    if (rows.length === 0) return '';
+    const body = rows.map(row => `
+      <tr>${columns.map(([, render]) => `<td>${render(row)}</td>`).join('')}</tr>`).join('');
+    return `
+      <table class="report-table">
+        <caption>${title}</caption>
+        <tr>${columns.map(([heading]) => `<th>${heading}</th>`).join('')}</tr>${body}
+      </table>`;
+  };
+  const path = row => `<code>${escapeHtml(row.path)}</code>`;
+  
+  return `
+    <div class="report-section">
+      <span class="report-heading">Value types</span>${histogram}
+    </div>
+    <div class="report-section">
+      <span class="report-heading">Size</span>
+      <div class="stats-grid">${sizes}</div>
+    </div>
+    <div class="report-tables">${[
+      table('Largest subtrees', report.largestSubtrees, [['Path', path], ['Size', row => formatByteSize(row.bytes)], ['Share', row => `${((row.bytes / report.bytes) * 100).toFixed(1)}%`]]),
+      table('Longest arrays', report.longestArrays, [['Path', path], ['Items', row => row.length.toLocaleString()]]),
+      table('Longest strings', report.longestStrings, [['Path', path], ['Characters', row => row.length.toLocaleString()]]),
+      table('Repeated keys', report.repeatedKeys, [['Key', row => `<code>${escapeHtml(row.key)}</code>`], ['Count', row => row.count.toLocaleString()], ['Total', row => formatByteSize(row.bytes)]])
+    ].join('')}
+    </div>`;
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "512 B" or "1.4 KB"
+ */
+const formatByteSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Parse options for the Format tab input
+ */
+const getParseOptions = () => ({
+  dialect: state.dialect,
+  duplicateKeys: state.duplicateKeys,
+  lossless: state.losslessNumbers
+});
+
+/**
+ * Layout options for formatted output
+ */
+const getLayoutOptions = () => ({
+  maxWidth: state.maxWidth,
+  alignValues: state.alignValues,
+  compactArrays: state.compactArrays
+});
+
+/**
+ * Warn about numbers that a JS number cannot hold exactly
+ */
+const warnUnsafeNumbers = (unsafeNumbers = []) => {
+  if (unsafeNumbers.length === 0) return;
+  
+  const [first] = unsafeNumbers;
+  const more = unsafeNumbers.length > 1 ? ` (+${unsafeNumbers.length - 1} more)` : '';
+  const outcome = state.losslessNumbers ? 'kept exact' : 'rounded, enable Exact numbers to keep it';
+  showToast(`${first.path} = ${first.text} exceeds JS number precision${more}; ${outcome}`, 'warning');
 };
 
 /**
@@ -792,6 +2503,53 @@ const showError = (message, position) => {
   elements.inputError.classList.add('show');
 };
 
+/**
+ * Show a failed parse result: first error inline, every error in the issue list
+ */
+const showParseError = (result) => {
+  showError(result.error, result.position);
+  renderSyntaxErrors(result.errors);
+};
+
+/**
+ * List syntax errors under the input, or hide the list if there are none
+ */
+const renderSyntaxErrors = (errors = []) => {
+  if (errors.length === 0) {
+    hideIssues();
+    return;
+  }
+  renderIssues(`${errors.length} syntax error${errors.length === 1 ? '' : 's'}`, errors);
+};
+
+/**
+ * List repeated keys under the input, or hide the list if there are none
+ */
+const showDuplicateKeys = (duplicates = []) => {
+  if (duplicates.length === 0) {
+    hideIssues();
+    return;
+  }
+  renderIssues(`${duplicates.length} duplicate key${duplicates.length === 1 ? '' : 's'}, ${state.duplicateKeys} value kept`, duplicates);
+};
+
+/**
+ * List schema errors under the input; clicking one scrolls the output to its line
+ */
+const renderSchemaErrors = (errors) => {
+  const items = errors.map(error => `<li class="issue-item" data-output-line="${error.line}">
+      <span class="issue-position">Ln ${error.line}</span>
+      <span class="issue-message"><code class="issue-pointer">${escapeHtml(error.pointer || '(root)')}</code>${escapeHtml(error.message)}</span>
+      <span class="issue-code">${escapeHtml(error.keyword)}</span>
+    </li>`).join('');
+  
+  elements.inputIssues.innerHTML = `<div class="issue-header">
+      <span>${errors.length} schema error${errors.length === 1 ? '' : 's'}</span>
+    </div>
+    <ul class="issue-list">${items}</ul>`;
+  elements.inputIssues.classList.add('show');
+};
+
 /**
  * Hide error message
  */
@@ -799,6 +2557,44 @@ const hideError = () => {
   elements.inputError.classList.remove('show');
 };
 
+/**
+ * Render a list of positioned issues under the input
+ */
+const renderIssues = (title, issues, actionHtml = '') => {
+  const items = issues.map(issue => `<li class="issue-item" data-index="${issue.index}">
+      <span class="issue-position">Ln ${issue.line}, Col ${issue.column}</span>
+      <span class="issue-message">${escapeHtml(issue.message)}</span>
+      ${issue.code ? `<span class="issue-code">${issue.code}</span>` : ''}
+    </li>`).join('');
+  
+  elements.inputIssues.innerHTML = `<div class="issue-header">
+      <span>${escapeHtml(title)}</span>
+      ${actionHtml}
+    </div>
+    <ul class="issue-list">${items}</ul>`;
+  elements.inputIssues.classList.add('show');
+};
+
+/**
+ * Hide issue list
+ */
+const hideIssues = () => {
+  elements.inputIssues.classList.remove('show');
+};
+
+/**
+ * Move the input caret to a character offset and scroll it into view
+ */
+const selectInputPosition = (index) => {
+  const textarea = elements.inputJson;
+  textarea.focus();
+  textarea.setSelectionRange(index, Math.min(index + 1, textarea.value.length));
+  
+  const line = textarea.value.slice(0, index).split('\n').length;
+  const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+  textarea.scrollTop = Math.max(0, (line - 3) * lineHeight);
+};
+
 /**
  * Show toast notification
  */
@@ -827,16 +2623,6 @@ const copyToClipboard = async (text) => {
   }
 };
 
-/**
- * Escape HTML
- */
-const escapeHtml = (str) => {
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
-};
-
 /**
  * Debounce helper
  */
@@ -855,6 +2641,23 @@ const saveSettings = () => {
   const settings = {
     autoFormat: state.autoFormat,
     indent: state.indent,
+    maxWidth: state.maxWidth,
+    alignValues: state.alignValues,
+    compactArrays: state.compactArrays,
+    sortOptions: state.sortOptions,
+    csvOptions: state.csvOptions,
+    xmlOptions: state.xmlOptions,
+    schemaOptions: state.schemaOptions,
+    typescriptOptions: state.typescriptOptions,
+    pythonOptions: state.pythonOptions,
+    mockOptions: state.mockOptions,
+    classOptions: state.classOptions,
+    dialect: state.dialect,
+    duplicateKeys: state.duplicateKeys,
+    keepComments: state.keepComments,
+    expandEmbedded: state.expandEmbedded,
+    losslessNumbers: state.losslessNumbers,
+    outputView: state.outputView,
     theme: state.theme
   };
   
@@ -873,16 +2676,45 @@ const loadSettings = () => {
     if (settings) {
       state.autoFormat = settings.autoFormat ?? false;
       state.indent = settings.indent ?? 2;
+      state.maxWidth = settings.maxWidth ?? 0;
+      state.alignValues = settings.alignValues ?? false;
+      state.compactArrays = settings.compactArrays ?? false;
+      state.sortOptions = { ...state.sortOptions, ...settings.sortOptions };
+      state.csvOptions = { ...state.csvOptions, ...settings.csvOptions };
+      state.xmlOptions = { ...state.xmlOptions, ...settings.xmlOptions };
+      state.schemaOptions = { ...state.schemaOptions, ...settings.schemaOptions };
+      state.typescriptOptions = { ...state.typescriptOptions, ...settings.typescriptOptions };
+      state.pythonOptions = { ...state.pythonOptions, ...settings.pythonOptions };
+      state.mockOptions = { ...state.mockOptions, ...settings.mockOptions };
+      state.classOptions = { ...state.classOptions, ...settings.classOptions };
+      state.dialect = settings.dialect ?? 'strict';
+      state.duplicateKeys = settings.duplicateKeys ?? 'last';
+      state.keepComments = settings.keepComments ?? false;
+      state.expandEmbedded = settings.expandEmbedded ?? false;
+      state.losslessNumbers = settings.losslessNumbers ?? true;
       state.theme = settings.theme ?? 'light';
+      state.outputView = settings.outputView ?? 'raw';
       
       elements.autoFormat.checked = state.autoFormat;
+      elements.losslessNumbers.checked = state.losslessNumbers;
       elements.indentSelect.value = String(state.indent);
+      elements.widthSelect.value = String(state.maxWidth);
+      elements.alignValues.checked = state.alignValues;
+      elements.compactArrays.checked = state.compactArrays;
+      elements.dialectSelect.value = state.dialect;
+      elements.duplicateKeysSelect.value = state.duplicateKeys;
+      elements.keepComments.checked = state.keepComments;
+      elements.expandEmbedded.checked = state.expandEmbedded;
+      elements.viewButtons.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === state.outputView);
+      });
+      renderOutput();
       document.body.classList.toggle('theme-dark', state.theme === 'dark');
     }
   };
   
   if (typeof chrome !== 'undefined' && chrome.storage) {
-    chrome.storage.local.get(['autoFormat', 'indent', 'theme'], loadSettings);
+    chrome.storage.local.get(['autoFormat', 'indent', 'maxWidth', 'alignValues', 'compactArrays', 'sortOptions', 'csvOptions', 'xmlOptions', 'schemaOptions', 'typescriptOptions', 'pythonOptions', 'mockOptions', 'classOptions', 'dialect', 'duplicateKeys', 'keepComments', 'expandEmbedded', 'losslessNumbers', 'outputView', 'theme'], loadSettings);
   } else {
     const saved = localStorage.getItem('jsonFormatterSettings');
     if (saved) {
@@ -3,349 +3,1515 @@
  * Handles conversion from JSON to various formats
  */
 
+import { isLosslessNumber, compareNumbers, isContainer, isObject, hasOwn, setMember } from './lossless.js';
+
+import { checkFormat } from './schema.js';
+
+import { stringifyJSON } from './formatter.js';
+
+import { XML_ARRAY_NAMESPACE } from './importer.js';
+
 /**
- * Convert JSON to YAML
- * @param {*} json - Parsed JSON object
- * @param {number} indent - Current indentation level
+ * Convert JSON to YAML 1.2. Strings that would load as another type are
+ * quoted, multiline strings become | block scalars and short collections of
+ * scalars stay on one line in flow style.
+ * @param {*} json - Parsed JSON value
+ * @param {Object} options - Output options
+ * @param {number} options.indent - Spaces per level (2 to 8)
+ * @param {number} options.flowWidth - Longest collection written inline, like [a, b] (0 for block style only)
  * @returns {string} YAML string
  */
-export const jsonToYAML = (json, indent = 0) => {
-  const spaces = '  '.repeat(indent);
+export const jsonToYAML = (json, options = {}) => {
+  const { indent = 2, flowWidth = 60 } = options;
+  // A dash and its space take two columns, so smaller steps cannot nest sequences
+  const step = ' '.repeat(Math.min(8, Math.max(2, indent)));
   
-  if (json === null) {
-    return 'null';
-  }
+  const isEmpty = value => (Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0);
   
-  if (typeof json === 'boolean') {
-    return json.toString();
-  }
+  // Scalars and empty collections, written on one line
+  const writeInline = (value, context) => {
+    if (value === null) return 'null';
+    if (isLosslessNumber(value)) return value.value;
+    if (typeof value === 'string') return formatYAMLString(value, context);
+    if (typeof value !== 'object') return String(value);
+    return Array.isArray(value) ? '[]' : '{}';
+  };
   
-  if (typeof json === 'number') {
-    return json.toString();
-  }
+  // A collection of scalars short enough for one line, or null
+  const writeFlow = (value) => {
+    if (flowWidth <= 0) return null;
+    const entries = Array.isArray(value) ? value.map(item => [null, item]) : Object.entries(value);
+    if (entries.some(([, item]) => isContainer(item) && !isEmpty(item))) return null;
+    
+    const items = entries.map(([key, item]) => {
+      const text = writeInline(item, 'flow');
+      return key === null ? text : `${formatYAMLString(key, 'flow')}: ${text}`;
+    });
+    const flow = Array.isArray(value) ? `[${items.join(', ')}]` : `{${items.join(', ')}}`;
+    return flow.length <= flowWidth ? flow : null;
+  };
   
-  if (typeof json === 'string') {
-    // Handle strings with special characters
-    if (json.includes('\n') || json.includes(':') || json.includes('#') || json.includes('"')) {
-      return `"${json.replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  const writeBlockScalar = (str, pad) => {
+    const trailing = str.length - str.replace(/\n+$/, '').length;
+    const chomping = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+    // Content that starts with a space would be read as deeper indentation
+    const indicator = /^\n* /.test(str) ? String(step.length) : '';
+    const lines = (trailing ? str.slice(0, -1) : str).split('\n');
+    return `|${indicator}${chomping}\n${lines.map(line => (line ? `${pad}${line}` : '')).join('\n')}`;
+  };
+  
+  // Everything after "key:" or "-" of a member written at pad
+  const writeValue = (value, pad, inSequence) => {
+    const inner = pad + step;
+    if (typeof value === 'string' && isBlockString(value)) {
+      return ` ${writeBlockScalar(value, inner)}`;
     }
-    // Quote empty strings
-    if (json === '') {
-      return '""';
+    if (!isContainer(value) || isEmpty(value)) {
+      return ` ${writeInline(value, 'block')}`;
     }
-    return json;
-  }
+    
+    const flow = writeFlow(value);
+    if (flow) {
+      return ` ${flow}`;
+    }
+    const block = writeBlock(value, inner);
+    // In a sequence the first line shares the dash's line: "- name: x"
+    return inSequence ? `${step.slice(1)}${block.slice(inner.length)}` : `\n${block}`;
+  };
   
-  if (Array.isArray(json)) {
-    if (json.length === 0) {
-      return '[]';
+  const writeBlock = (value, pad) => {
+    if (Array.isArray(value)) {
+      return value.map(item => `${pad}-${writeValue(item, pad, true)}`).join('\n');
     }
-    return json.map(item => {
-      if (typeof item === 'object' && item !== null) {
-        return `-\n${jsonToYAML(item, indent + 1)}`;
-      }
-      return `- ${jsonToYAML(item)}`;
-    }).join('\n' + spaces);
-  }
+    return Object.entries(value)
+      .map(([key, item]) => `${pad}${formatYAMLString(key, 'key')}:${writeValue(item, pad, false)}`)
+      .join('\n');
+  };
   
-  if (typeof json === 'object') {
-    const keys = Object.keys(json);
-    if (keys.length === 0) {
-      return '{}';
-    }
-    return keys.map(key => {
-      const value = json[key];
-      if (typeof value === 'object' && value !== null) {
-        const subYaml = jsonToYAML(value, indent + 1);
-        if (subYaml.startsWith('-') || subYaml.startsWith('{') || subYaml.startsWith('[')) {
-          return `${key}:\n${spaces}  ${subYaml.split('\n').join('\n' + spaces + '  ')}`;
-        }
-        return `${key}:\n${spaces}  ${subYaml.split('\n').join('\n' + spaces + '  ')}`;
-      }
-      return `${key}: ${jsonToYAML(value)}`;
-    }).join('\n' + spaces);
+  if (isContainer(json) && !isEmpty(json)) {
+    return writeBlock(json, '');
   }
-  
-  return String(json);
+  if (typeof json === 'string' && isBlockString(json)) {
+    return writeBlockScalar(json, step);
+  }
+  return writeInline(json, 'block');
 };
 
 /**
- * Convert JSON to XML
- * @param {*} json - Parsed JSON object
- * @param {string} rootName - Root element name
+ * Convert JSON to XML. "@name" members become attributes and "#text" the
+ * element's text; with the same options, xmlToJSON reads the result back.
+ * Empty arrays are written as <name json:array="true"/>; without arrayItem, arrays that
+ * repeated elements cannot express (single-item and nested ones, and the root) are one
+ * element marked the same way with an <item> child per item. The json prefix is declared
+ * on the root, so these read back as arrays rather than null, "" or a plain value.
+ * @param {*} json - Parsed JSON value
+ * @param {Object} options - Output options
+ * @param {string} options.rootName - Root element name; by default an object with a
+ *   single member is its own root, anything else is wrapped in <root>
+ * @param {string} options.arrayItem - Wrap arrays in one element with a child of this name
+ *   per item; empty repeats the element for each item instead
+ * @param {string} options.prefix - Namespace prefix for element names that have none
+ * @param {string} options.namespaceURI - Namespace declared on the root element
+ * @param {boolean} options.cdata - Write strings holding markup (< or &) as CDATA sections
+ * @param {string|number} options.indent - Spaces or '\t' per level; 0 for one line
  * @returns {string} XML string
+ * @throws {Error} If an attribute or "#text" holds an object or array
  */
-export const jsonToXML = (json, rootName = 'root') => {
-  const escapeXml = (str) => {
-    return String(str)
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
-  };
+export const jsonToXML = (json, options = {}) => {
+  const { rootName = '', arrayItem = '', prefix = '', namespaceURI = '', cdata = false, indent = 2 } = options;
+  const unit = typeof indent === 'number' ? ' '.repeat(indent) : indent;
+  const newline = unit ? '\n' : '';
+  
+  const isScalar = value => value === null || typeof value !== 'object' || isLosslessNumber(value);
   
-  const isValidName = (name) => {
-    // XML element names must start with letter or underscore
-    return /^[a-zA-Z_][a-zA-Z0-9_\-.]*$/.test(name);
+  const escapeXml = (str, quote) => {
+    const escaped = str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return quote ? escaped.replace(/"/g, '&quot;') : escaped;
   };
   
-  const convert = (obj, name) => {
-    // Sanitize element name
-    if (!isValidName(name)) {
-      name = 'item';
+  const writeText = (value) => {
+    const text = isLosslessNumber(value) ? value.value : String(value);
+    if (cdata && typeof value === 'string' && /[<&]/.test(text)) {
+      // "]]>" cannot appear inside a section, so split it across two
+      return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
     }
+    return escapeXml(text, false);
+  };
+  
+  const qualify = name => (prefix && !name.includes(':') ? `${prefix}:${name}` : name);
+  
+  // A member array written as one element per item; a single item would read back as a plain value
+  const isRepeated = value => Array.isArray(value) && value.length > 1 && !arrayItem;
+  
+  const writeElement = (name, value, depth, extraAttributes = '') => {
+    const pad = unit.repeat(depth);
+    const tag = qualify(toXMLName(name));
     
-    if (obj === null) {
-      return `<${name}/>`;
+    if (value === null) {
+      return `${pad}<${tag}${extraAttributes}/>`;
     }
-    
-    if (typeof obj !== 'object') {
-      return `<${name}>${escapeXml(obj)}</${name}>`;
+    if (Array.isArray(value) && value.length === 0) {
+      return `${pad}<${tag}${extraAttributes} json:array="true"/>`;
     }
-    
-    if (Array.isArray(obj)) {
-      return obj.map(item => convert(item, name)).join('\n');
+    if (isScalar(value)) {
+      return `${pad}<${tag}${extraAttributes}>${writeText(value)}</${tag}>`;
     }
     
-    const children = Object.entries(obj)
-      .map(([key, value]) => convert(value, key))
-      .join('\n');
+    let attributes = Array.isArray(value) && !arrayItem ? `${extraAttributes} json:array="true"` : extraAttributes;
+    let text = '';
+    const children = [];
+    const entries = Array.isArray(value) ? value.map(item => [arrayItem || 'item', item]) : Object.entries(value);
+    for (const [key, child] of entries) {
+      if (!Array.isArray(value) && (key.startsWith('@') || key === '#text')) {
+        if (!isScalar(child)) {
+          throw new Error(`${key} must hold text, a number or a boolean`);
+        }
+        if (key === '#text') {
+          text = child === null ? '' : writeText(child);
+        } else if (child !== null) {
+          const attributeValue = isLosslessNumber(child) ? child.value : String(child);
+          attributes += ` ${toXMLName(key.slice(1))}="${escapeXml(attributeValue, true)}"`;
+        }
+      } else if (isRepeated(child) && !Array.isArray(value)) {
+        // Repeated siblings: <tag>a</tag><tag>b</tag>
+        children.push(...child.map(item => writeElement(key, item, depth + 1)));
+      } else {
+        children.push(writeElement(key, child, depth + 1));
+      }
+    }
     
-    return `<${name}>\n${children}\n</${name}>`;
+    if (children.length === 0) {
+      return text || !attributes ? `${pad}<${tag}${attributes}>${text}</${tag}>` : `${pad}<${tag}${attributes}/>`;
+    }
+    const inner = text ? [`${pad}${unit}${text}`, ...children] : children;
+    return `${pad}<${tag}${attributes}>${newline}${inner.join(newline)}${newline}${pad}</${tag}>`;
+  };
+  
+  // An object with one element member is the document itself, as xmlToJSON returns it
+  let root = rootName;
+  let value = json;
+  const entries = isScalar(json) || Array.isArray(json) ? [] : Object.entries(json);
+  if (!root && entries.length === 1 && !/^[@#]/.test(entries[0][0]) && !Array.isArray(entries[0][1])) {
+    [[root, value]] = entries;
+  }
+  
+  // Whether a value, or anything in it, is an array writeElement marks with json:array
+  const usesMarker = (current, repeated = false) => {
+    if (isScalar(current)) return false;
+    if (Array.isArray(current)) {
+      return current.length === 0 || (!arrayItem && !repeated) || current.some(item => usesMarker(item));
+    }
+    return Object.values(current).some(child => usesMarker(child, isRepeated(child)));
   };
   
-  const xml = convert(json, rootName);
+  let declaration = '';
+  if (namespaceURI) {
+    declaration = ` ${prefix ? `xmlns:${prefix}` : 'xmlns'}="${escapeXml(namespaceURI, true)}"`;
+  }
+  if (usesMarker(value)) {
+    declaration += ` xmlns:json="${XML_ARRAY_NAMESPACE}"`;
+  }
+  const xml = writeElement(root || 'root', value, 0, declaration);
   return `<?xml version="1.0" encoding="UTF-8"?>\n${xml}`;
 };
 
 /**
- * Convert JSON to TypeScript interface
- * @param {*} json - Parsed JSON object
- * @param {string} interfaceName - Name for the interface
- * @param {Set} processed - Set of processed objects (for recursion detection)
- * @returns {string} TypeScript interface string
+ * Convert JSON to CSV. Each array item becomes a row: nested objects are flattened
+ * into dotted column names, and records with different keys share one header.
+ * @param {*} json - Parsed JSON (an array of records, or a single record)
+ * @param {Object} options - CSV options
+ * @param {string} options.delimiter - Field separator
+ * @param {string} options.quote - 'minimal' quotes fields only when needed, 'all' quotes every field
+ * @param {string} options.arrays - 'join' puts arrays of primitives in one cell joined by
+ *   arraySeparator (other arrays as JSON); 'expand' gives each item an indexed column (tags.0, tags.1)
+ * @param {string} options.arraySeparator - Separator between joined array items
+ * @param {boolean} options.header - Write the header row
+ * @param {Array<string>} options.columns - Columns placed first, in this order
+ * @param {boolean} options.sortColumns - Order the other columns by name instead of first appearance
+ * @returns {string} CSV string
  */
-export const jsonToTypeScript = (json, interfaceName = 'Root', processed = new Set()) => {
-  const interfaces = [];
+export const jsonToCSV = (json, options = {}) => {
+  const {
+    delimiter = ',',
+    quote = 'minimal',
+    arrays = 'join',
+    arraySeparator = '; ',
+    header = true,
+    columns = [],
+    sortColumns = false
+  } = options;
+  
+  const toCell = (value) => {
+    if (value === null) return '';
+    if (isLosslessNumber(value)) return value.value;
+    return String(value);
+  };
   
-  const getType = (obj, name, depth = 0) => {
-    if (obj === null) {
-      return 'null';
+  const flatten = (value, name, row) => {
+    if (!isContainer(value) || (Array.isArray(value) && arrays === 'join')) {
+      if (!Array.isArray(value)) {
+        row.set(name, toCell(value));
+      } else if (value.some(isContainer)) {
+        row.set(name, stringifyJSON(value));
+      } else {
+        row.set(name, value.map(toCell).join(arraySeparator));
+      }
+      return;
     }
     
-    if (typeof obj !== 'object') {
-      return typeof obj;
+    const entries = Object.entries(value);
+    // Keep a column for empty objects and arrays
+    if (entries.length === 0) {
+      row.set(name, '');
+    }
+    for (const [key, child] of entries) {
+      flatten(child, `${name}.${key}`, row);
+    }
+  };
+  
+  const records = Array.isArray(json) ? json : [json];
+  const rows = records.map(record => {
+    const row = new Map();
+    if (isContainer(record)) {
+      for (const [key, child] of Object.entries(record)) {
+        flatten(child, key, row);
+      }
+    } else {
+      row.set('value', toCell(record));
+    }
+    return row;
+  });
+  
+  // Columns in order of first appearance across all records
+  const seen = new Set(rows.flatMap(row => [...row.keys()]));
+  const rest = [...seen].filter(name => !columns.includes(name));
+  if (sortColumns) {
+    rest.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  }
+  const orderedColumns = [...columns, ...rest];
+  
+  const escapeCell = (text) => {
+    if (quote === 'all' || text.includes(delimiter) || /["\r\n]/.test(text) || /^\s|\s$/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  };
+  
+  const lines = rows.map(row => orderedColumns.map(name => escapeCell(row.get(name) ?? '')).join(delimiter));
+  if (header) {
+    lines.unshift(orderedColumns.map(escapeCell).join(delimiter));
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Convert JSON to TOML. Objects become [tables] and arrays of objects become
+ * [[arrays of tables]].
+ * @param {Object} json - Parsed JSON object
+ * @returns {string} TOML string
+ * @throws {Error} If the top level is not an object or the document holds null,
+ *   which TOML has no way to write
+ */
+export const jsonToTOML = (json) => {
+  const isTableArray = (value) => Array.isArray(value) && value.length > 0 && value.every(isObject);
+  
+  if (!isObject(json)) {
+    throw new Error('TOML needs an object at the top level');
+  }
+  
+  const formatKey = (key) => (/^[A-Za-z0-9_-]+$/.test(key) ? key : formatString(key));
+  
+  const formatString = (str) => {
+    const escaped = str.replace(/[\\"\u0000-\u001f\u007f]/g, (ch) => {
+      const short = { '\\': '\\\\', '"': '\\"', '\b': '\\b', '\t': '\\t', '\n': '\\n', '\f': '\\f', '\r': '\\r' }[ch];
+      return short ?? `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`;
+    });
+    return `"${escaped}"`;
+  };
+  
+  // Values written on one line: inside arrays and inline tables everything is inline
+  const formatInline = (value, path) => {
+    if (value === null) {
+      throw new Error(`TOML has no null (at ${path})`);
+    }
+    if (isLosslessNumber(value)) return value.value;
+    if (typeof value === 'string') return formatString(value);
+    if (typeof value !== 'object') return String(value);
+    if (Array.isArray(value)) {
+      return `[${value.map((item, index) => formatInline(item, `${path}[${index}]`)).join(', ')}]`;
     }
+    const members = Object.entries(value)
+      .map(([key, child]) => `${formatKey(key)} = ${formatInline(child, `${path}.${key}`)}`);
+    return members.length ? `{ ${members.join(', ')} }` : '{}';
+  };
+  
+  const sections = [];
+  
+  const writeTable = (table, path, header) => {
+    const entries = Object.entries(table);
+    // Empty objects stay inline so they are not lost
+    const simple = entries.filter(([, value]) => !(isObject(value) && Object.keys(value).length) && !isTableArray(value));
+    const lines = simple.map(([key, value]) => `${formatKey(key)} = ${formatInline(value, [...path, key].join('.'))}`);
     
-    // Handle circular references
-    if (depth > 10) {
-      return 'any';
+    // A table holding only subtables needs no header of its own
+    if (header && (lines.length || entries.length === 0 || header.startsWith('[['))) {
+      lines.unshift(header);
+    }
+    if (lines.length) {
+      sections.push(lines.join('\n'));
     }
     
-    if (Array.isArray(obj)) {
-      if (obj.length === 0) {
-        return 'any[]';
+    for (const [key, value] of entries) {
+      const childPath = [...path, key];
+      const name = childPath.map(formatKey).join('.');
+      if (isTableArray(value)) {
+        value.forEach(item => writeTable(item, childPath, `[[${name}]]`));
+      } else if (isObject(value) && Object.keys(value).length) {
+        writeTable(value, childPath, `[${name}]`);
       }
-      
-      // Check if all items are same type
-      const types = new Set(obj.map(item => getType(item, 'Item', depth + 1)));
-      
-      if (types.size === 1) {
-        const [type] = types;
-        return `${type}[]`;
+    }
+  };
+  
+  writeTable(json, [], null);
+  return sections.join('\n\n');
+};
+
+/**
+ * Convert JSON to a .env file. Nested keys are joined with "_" and upper-cased
+ * (database.host becomes DATABASE_HOST, servers[0] becomes SERVERS_0).
+ * @param {*} json - Parsed JSON object
+ * @returns {string} .env string
+ */
+export const jsonToEnv = (json) => {
+  const formatValue = (value) => {
+    if (value === null) return '';
+    const text = isLosslessNumber(value) ? value.value : String(value);
+    if (/^[\w@%+=:,./-]*$/.test(text)) return text;
+    // Double quotes allow escapes; $ and ` are escaped so nothing gets expanded
+    return `"${text.replace(/[\\"$`]/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+  };
+  
+  return flattenEntries(json)
+    .map(([path, value]) => {
+      const name = path.join('_').toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+      return `${/^\d/.test(name) ? `_${name}` : name || 'VALUE'}=${formatValue(value)}`;
+    })
+    .join('\n');
+};
+
+/**
+ * Convert JSON to a Java .properties file with Spring-style keys
+ * (server.port, servers[0].host)
+ * @param {*} json - Parsed JSON object
+ * @returns {string} .properties string (ISO-8859-1 safe: other characters are \u escaped)
+ */
+export const jsonToProperties = (json) => {
+  const escapes = { '\\': '\\\\', '\n': '\\n', '\r': '\\r', '\t': '\\t', '\f': '\\f' };
+  
+  const escape = (text, isKey) => [...text].map((ch, index) => {
+    if (ch in escapes) return escapes[ch];
+    // These end a key; at the start of a value they would be dropped or read as a comment
+    if (' =:#!'.includes(ch) && (isKey || index === 0)) return `\\${ch}`;
+    const code = ch.codePointAt(0);
+    if (code >= 0x20 && code <= 0x7e) return ch;
+    // One \u escape per UTF-16 unit, so characters outside the BMP take two
+    return Array.from({ length: ch.length }, (_, i) => `\\u${ch.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0')}`).join('');
+  }).join('');
+  
+  return flattenEntries(json)
+    .map(([path, value]) => {
+      const key = path.reduce((name, part) => (typeof part === 'number' ? `${name}[${part}]` : name ? `${name}.${part}` : part), '');
+      const text = value === null ? '' : isLosslessNumber(value) ? value.value : String(value);
+      return `${escape(key || 'value', true)}=${escape(text, false)}`;
+    })
+    .join('\n');
+};
+
+/**
+ * List the primitive values of a document with their paths
+ * @param {*} json - Parsed JSON value
+ * @returns {Array} [path, value] pairs; paths hold keys and array indexes
+ */
+const flattenEntries = (json) => {
+  const entries = [];
+  const visit = (value, path) => {
+    if (isContainer(value)) {
+      const children = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+      for (const [key, child] of children) {
+        visit(child, [...path, key]);
       }
-      
-      // Union type for mixed arrays
-      return `(${Array.from(types).join(' | ')})[]`;
+    } else {
+      entries.push([path, value]);
     }
-    
-    // Create interface for objects
-    const interfaceName = name.charAt(0).toUpperCase() + name.slice(1);
-    const properties = Object.entries(obj)
-      .map(([key, value]) => {
-        const type = getType(value, key, depth + 1);
-        const optional = value === null ? '?' : '';
-        // Handle keys with special characters
-        const safeKey = /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key) ? key : `'${key}'`;
-        return `  ${safeKey}${optional}: ${type};`;
-      })
-      .join('\n');
-    
-    interfaces.push(`interface ${interfaceName} {\n${properties}\n}`);
-    
-    return interfaceName;
   };
+  visit(json, []);
+  return entries;
+};
+
+/**
+ * Convert JSON to TypeScript declarations. The items of an array share one
+ * type, keys missing from some items are optional and null adds | null.
+ * @param {*} json - Parsed JSON value
+ * @param {Object} options - Generation options
+ * @param {string} options.typeName - Name for the root type
+ * @param {string} options.declaration - 'interface' or 'type'
+ * @param {boolean} options.readonly - Make properties and arrays readonly
+ * @returns {string} TypeScript declarations
+ */
+export const jsonToTypeScript = (json, options = {}) => {
+  const { typeName = 'Root', declaration = 'interface', readonly = false } = options;
+  const { root, structs } = inferModel(json, typeName);
+  
+  const getType = (type) => {
+    let name;
+    switch (type.kind) {
+      case 'string':
+      case 'boolean':
+      case 'null':
+        name = type.kind;
+        break;
+      case 'integer':
+      case 'number':
+        name = 'number';
+        break;
+      case 'array': {
+        const { item } = type;
+        const isCompound = item.kind === 'union' || (item.nullable && item.kind !== 'null') || (readonly && item.kind === 'array');
+        name = `${readonly ? 'readonly ' : ''}${isCompound ? `(${getType(item)})` : getType(item)}[]`;
+        break;
+      }
+      case 'object':
+        name = type.struct.name;
+        break;
+      case 'union':
+        name = type.types.map(getType).join(' | ');
+        break;
+      default:
+        return 'unknown';
+    }
+    return type.nullable && type.kind !== 'null' ? `${name} | null` : name;
+  };
+  
+  const declarations = structs.map((struct) => {
+    const properties = struct.fields.map((field) => {
+      const modifier = readonly ? 'readonly ' : '';
+      return `  ${modifier}${toPropertyKey(field.key)}${field.missing ? '?' : ''}: ${getType(field.type)};`;
+    });
+    const body = properties.length ? `{\n${properties.join('\n')}\n}` : '{}';
+    return declaration === 'type'
+      ? `export type ${struct.name} = ${body};`
+      : `export interface ${struct.name} ${body}`;
+  });
+  
+  if (root.kind !== 'object') {
+    declarations.unshift(`export type ${toPascalCase(typeName)} = ${getType(root)};`);
+  }
+  
+  return declarations.join('\n\n');
+};
+
+/**
+ * Convert JSON to Zod schemas with their inferred types, declared before use
+ * @param {*} json - Parsed JSON value
+ * @param {Object} options - Generation options
+ * @param {string} options.typeName - Name for the root type
+ * @returns {string} TypeScript module using zod
+ */
+export const jsonToZod = (json, options = {}) => {
+  const { typeName = 'Root' } = options;
+  const { root, structs } = inferModel(json, typeName);
   
-  const mainType = getType(json, interfaceName);
+  const getSchema = (type) => {
+    let schema;
+    switch (type.kind) {
+      case 'string': schema = 'z.string()'; break;
+      case 'boolean': schema = 'z.boolean()'; break;
+      // Whole numbers in a sample say nothing about the rest of the data, so no .int()
+      case 'integer':
+      case 'number': schema = 'z.number()'; break;
+      case 'null': return 'z.null()';
+      case 'array': schema = `z.array(${getSchema(type.item)})`; break;
+      case 'object': schema = `${type.struct.name}Schema`; break;
+      case 'union': schema = `z.union([${type.types.map(getSchema).join(', ')}])`; break;
+      default: return 'z.unknown()';
+    }
+    return type.nullable ? `${schema}.nullable()` : schema;
+  };
   
-  // Remove duplicate interfaces
-  const uniqueInterfaces = [...new Set(interfaces)];
+  const declare = (name, schema) => `export const ${name}Schema = ${schema};\nexport type ${name} = z.infer<typeof ${name}Schema>;`;
   
-  // Put main interface first
-  const mainInterface = uniqueInterfaces.find(i => i.includes(`interface ${interfaceName}`));
-  const otherInterfaces = uniqueInterfaces.filter(i => !i.includes(`interface ${interfaceName}`));
+  const declarations = orderStructs(structs).map((struct) => {
+    const properties = struct.fields.map(field => `  ${toPropertyKey(field.key)}: ${getSchema(field.type)}${field.missing ? '.optional()' : ''},`);
+    return declare(struct.name, properties.length ? `z.object({\n${properties.join('\n')}\n})` : 'z.object({})');
+  });
   
-  const result = [];
-  if (mainInterface) {
-    result.push(mainInterface);
+  if (root.kind !== 'object') {
+    declarations.push(declare(toPascalCase(typeName), getSchema(root)));
   }
-  result.push(...otherInterfaces);
   
-  return result.join('\n\n');
+  return `import { z } from 'zod';\n\n${declarations.join('\n\n')}`;
 };
 
 /**
- * Convert JSON to Python dataclass
- * @param {*} json - Parsed JSON object
- * @param {string} className - Name for the class
- * @returns {string} Python dataclass string
+ * Convert JSON to io-ts codecs with their static types, declared before use
+ * @param {*} json - Parsed JSON value
+ * @param {Object} options - Generation options
+ * @param {string} options.typeName - Name for the root type
+ * @returns {string} TypeScript module using io-ts
  */
-export const jsonToPython = (json, className = 'Root') => {
-  const classes = [];
+export const jsonToIoTs = (json, options = {}) => {
+  const { typeName = 'Root' } = options;
+  const { root, structs } = inferModel(json, typeName);
   
-  const getType = (obj, name) => {
-    if (obj === null) {
-      return 'Optional[Any]';
+  const getCodec = (type) => {
+    let codec;
+    switch (type.kind) {
+      case 'string': codec = 't.string'; break;
+      case 'boolean': codec = 't.boolean'; break;
+      case 'integer':
+      case 'number':
+        codec = 't.number';
+        break;
+      case 'null': return 't.null';
+      case 'array': codec = `t.array(${getCodec(type.item)})`; break;
+      case 'object': codec = type.struct.name; break;
+      case 'union': {
+        const codecs = type.types.map(getCodec);
+        return `t.union([${(type.nullable ? [...codecs, 't.null'] : codecs).join(', ')}])`;
+      }
+      default: return 't.unknown';
     }
-    
-    if (typeof obj === 'string') {
-      return 'str';
+    return type.nullable ? `t.union([${codec}, t.null])` : codec;
+  };
+  
+  // t.type for keys every sample has, t.partial for the rest
+  const getObjectCodec = (fields, combinator, indent) => {
+    const properties = fields.map(field => `${indent}  ${toPropertyKey(field.key)}: ${getCodec(field.type)},`);
+    return properties.length ? `${combinator}({\n${properties.join('\n')}\n${indent}})` : `${combinator}({})`;
+  };
+  
+  const declare = (name, codec) => `export const ${name} = ${codec};\nexport type ${name} = t.TypeOf<typeof ${name}>;`;
+  
+  const declarations = orderStructs(structs).map((struct) => {
+    const required = struct.fields.filter(field => !field.missing);
+    const optional = struct.fields.filter(field => field.missing);
+    if (optional.length === 0) {
+      return declare(struct.name, getObjectCodec(required, 't.type', ''));
     }
-    
-    if (typeof obj === 'number') {
-      return Number.isInteger(obj) ? 'int' : 'float';
+    if (required.length === 0) {
+      return declare(struct.name, getObjectCodec(optional, 't.partial', ''));
     }
-    
-    if (typeof obj === 'boolean') {
-      return 'bool';
+    const parts = [getObjectCodec(required, 't.type', '  '), getObjectCodec(optional, 't.partial', '  ')];
+    return declare(struct.name, `t.intersection([\n${parts.map(part => `  ${part},`).join('\n')}\n])`);
+  });
+  
+  if (root.kind !== 'object') {
+    declarations.push(declare(toPascalCase(typeName), getCodec(root)));
+  }
+  
+  return `import * as t from 'io-ts';\n\n${declarations.join('\n\n')}`;
+};
+
+/**
+ * Convert JSON to Python classes. Keys that are not valid identifiers become
+ * snake_case fields with an alias back to the key, and optional fields come
+ * after the required ones so that their None defaults are allowed.
+ * @param {*} json - Parsed JSON value
+ * @param {Object} options - Generation options
+ * @param {string} options.typeName - Name for the root class
+ * @param {string} options.target - 'dataclass', 'pydantic' (v2 BaseModel) or 'typeddict'
+ * @returns {string} Python source
+ */
+export const jsonToPython = (json, options = {}) => {
+  const { typeName = 'Root', target = 'dataclass' } = options;
+  const { root, structs } = inferModel(json, typeName, PYTHON_TYPE_NAMES);
+  const typing = new Set();
+  
+  const getType = (type) => {
+    let name;
+    switch (type.kind) {
+      case 'string': name = 'str'; break;
+      case 'integer': name = 'int'; break;
+      case 'number': name = 'float'; break;
+      case 'boolean': name = 'bool'; break;
+      case 'null': return 'None';
+      case 'array':
+        typing.add('List');
+        name = `List[${getType(type.item)}]`;
+        break;
+      case 'object': name = type.struct.name; break;
+      case 'union':
+        typing.add('Union');
+        name = `Union[${type.types.map(getType).join(', ')}]`;
+        break;
+      default:
+        typing.add('Any');
+        return 'Any';
     }
+    if (!type.nullable) return name;
+    typing.add('Optional');
+    return `Optional[${name}]`;
+  };
+  
+  const getFieldType = (field) => {
+    const type = getType(field.type);
+    if (target === 'typeddict' || !field.optional || field.type.nullable || type === 'Any' || type === 'None') {
+      return type;
+    }
+    // Missing from some samples: None stands in for the absent key
+    typing.add('Optional');
+    return `Optional[${type}]`;
+  };
+  
+  let usesAlias = false;
+  
+  const declarations = orderStructs(structs).map((struct) => {
+    const { name } = struct;
     
-    if (Array.isArray(obj)) {
-      if (obj.length === 0) {
-        return 'List[Any]';
+    if (target === 'typeddict') {
+      typing.add('TypedDict');
+      const members = struct.fields.map((field) => {
+        const type = getFieldType(field);
+        if (!field.missing) return [field.key, type];
+        typing.add('NotRequired');
+        return [field.key, `NotRequired[${type}]`];
+      });
+      // Keys that are not identifiers need the functional syntax
+      if (members.some(([key]) => !isPythonIdentifier(key))) {
+        const items = members.map(([key, type]) => `    ${JSON.stringify(key)}: ${type},`);
+        return `${name} = TypedDict(${JSON.stringify(name)}, {\n${items.join('\n')}\n})`;
       }
-      const itemType = getType(obj[0], 'Item');
-      return `List[${itemType}]`;
+      const lines = members.map(([key, type]) => `    ${key}: ${type}`);
+      return `class ${name}(TypedDict):\n${lines.length ? lines.join('\n') : '    pass'}`;
     }
     
-    if (typeof obj === 'object') {
-      const nestedClassName = name.charAt(0).toUpperCase() + name.slice(1);
-      createClass(obj, nestedClassName);
-      return nestedClassName;
-    }
+    const names = new Set();
+    const fields = struct.fields.map((field) => {
+      // A dataclass member named field would hide dataclasses.field from the members after it,
+      // and pydantic rejects fields that clash with BaseModel attributes
+      const base = toPythonName(field.key);
+      const shadows = target === 'dataclass'
+        ? base === 'field'
+        : PYDANTIC_RESERVED_NAMES.has(base) || base.startsWith('model_');
+      const identifier = uniqueIdentifier(shadows ? `${base}_` : base, names);
+      const alias = identifier === field.key ? null : JSON.stringify(field.key);
+      usesAlias = usesAlias || Boolean(alias);
+      
+      let value = '';
+      if (target === 'pydantic' && alias) {
+        value = field.optional ? ` = Field(default=None, alias=${alias})` : ` = Field(alias=${alias})`;
+      } else if (alias) {
+        value = field.optional ? ` = field(default=None, metadata={"alias": ${alias}})` : ` = field(metadata={"alias": ${alias}})`;
+      } else if (field.optional) {
+        value = ' = None';
+      }
+      return { line: `    ${identifier}: ${getFieldType(field)}${value}`, optional: field.optional, alias };
+    });
     
-    return 'Any';
+    const lines = [...fields.filter(f => !f.optional), ...fields.filter(f => f.optional)].map(f => f.line);
+    if (target === 'pydantic') {
+      // Accept both the key and the field name when building models
+      const config = fields.some(f => f.alias) ? ['    model_config = ConfigDict(populate_by_name=True)', ''] : [];
+      return `class ${name}(BaseModel):\n${[...config, ...lines].join('\n') || '    pass'}`;
+    }
+    return `@dataclass\nclass ${name}:\n${lines.join('\n') || '    pass'}`;
+  });
+  
+  if (root.kind !== 'object') {
+    declarations.push(`${toPascalCase(typeName)} = ${getType(root)}`);
+  }
+  
+  const imports = [];
+  if (target === 'dataclass') {
+    imports.push(`from dataclasses import dataclass${usesAlias ? ', field' : ''}`);
+  }
+  if (typing.size) {
+    imports.push(`from typing import ${[...typing].sort().join(', ')}`);
+  }
+  if (target === 'pydantic') {
+    const names = declarations.some(text => text.includes('model_config')) ? 'BaseModel, ConfigDict' : 'BaseModel';
+    imports.push(`from pydantic import ${names}${usesAlias ? ', Field' : ''}`);
+  }
+  
+  return `${imports.join('\n')}\n\n\n${declarations.join('\n\n\n')}`;
+};
+
+/**
+ * Convert JSON to Go structs with encoding/json tags
+ * @param {*} json - Parsed JSON value
+ * @param {string} typeName - Name for the root type
+ * @returns {string} Go source
+ */
+export const jsonToGo = (json, typeName = 'Root') => {
+  const { root, structs } = inferModel(json, typeName);
+  
+  // Pointers make nullable primitives and structs distinguishable from their zero value
+  const getType = (type, nullable) => {
+    const pointer = nullable && type.kind !== 'any' && type.kind !== 'array' ? '*' : '';
+    switch (type.kind) {
+      case 'string': return `${pointer}string`;
+      case 'integer': return `${pointer}int64`;
+      case 'number': return `${pointer}float64`;
+      case 'boolean': return `${pointer}bool`;
+      case 'array': return `[]${getType(type.item, type.item.nullable)}`;
+      case 'object': return `${pointer}${type.struct.name}`;
+      default: return 'any';
+    }
   };
   
-  const createClass = (obj, name) => {
-    const fields = Object.entries(obj)
-      .map(([key, value]) => {
-        const type = getType(value, key);
-        const defaultVal = value === null ? ' = None' : '';
-        return `    ${key}: ${type}${defaultVal}`;
-      })
-      .join('\n');
+  const declarations = structs.map((struct) => {
+    const names = new Set();
+    const rows = struct.fields.map((field) => {
+      const name = uniqueIdentifier(toGoName(field.key), names);
+      const options = field.optional ? ',omitempty' : '';
+      // encoding/json ignores tag names with other characters and reads a bare "-" as "skip this field"
+      const tag = !GO_TAG_NAME.test(field.key)
+        ? `// JSON key ${JSON.stringify(field.key)} cannot be named in a struct tag`
+        : `\`json:"${field.key}${field.key === '-' && !options ? ',' : options}"\``;
+      return [name, getType(field.type, field.optional), tag];
+    });
     
-    classes.push(`@dataclass\nclass ${name}:\n${fields}`);
+    // Align names, types and tags the way gofmt does
+    const widths = [0, 1].map(column => Math.max(0, ...rows.map(row => row[column].length)));
+    const lines = rows.map(([name, type, tag]) => `\t${name.padEnd(widths[0])} ${type.padEnd(widths[1])} ${tag}`);
+    return lines.length ? `type ${struct.name} struct {\n${lines.join('\n')}\n}` : `type ${struct.name} struct{}`;
+  });
+  
+  if (root.kind !== 'object') {
+    declarations.unshift(`type ${toPascalCase(typeName)} ${getType(root, root.nullable)}`);
+  }
+  
+  return `package main\n\n${declarations.join('\n\n')}`;
+};
+
+/**
+ * Convert JSON to Rust structs for serde
+ * @param {*} json - Parsed JSON value
+ * @param {string} typeName - Name for the root type
+ * @returns {string} Rust source
+ */
+export const jsonToRust = (json, typeName = 'Root') => {
+  const { root, structs } = inferModel(json, typeName, RUST_TYPE_NAMES);
+  
+  const getType = (type, nullable) => {
+    let name;
+    switch (type.kind) {
+      case 'string': name = 'String'; break;
+      case 'integer': name = 'i64'; break;
+      case 'number': name = 'f64'; break;
+      case 'boolean': name = 'bool'; break;
+      case 'array': name = `Vec<${getType(type.item, type.item.nullable)}>`; break;
+      case 'object': name = type.struct.name; break;
+      default: name = 'serde_json::Value';
+    }
+    return nullable ? `Option<${name}>` : name;
   };
   
-  createClass(json, className);
+  const declarations = structs.map((struct) => {
+    const names = new Set();
+    const lines = struct.fields.flatMap((field) => {
+      const name = uniqueIdentifier(toRustName(field.key), names);
+      const attributes = [];
+      // serde strips the r# of raw identifiers, so those need no rename
+      if (name.replace(/^r#/, '') !== field.key) {
+        attributes.push(`    #[serde(rename = ${JSON.stringify(field.key)})]`);
+      }
+      if (field.optional) {
+        attributes.push('    #[serde(skip_serializing_if = "Option::is_none")]');
+      }
+      return [...attributes, `    pub ${name}: ${getType(field.type, field.optional)},`];
+    });
+    const body = lines.length ? ` {\n${lines.join('\n')}\n}` : ' {}';
+    return `#[derive(Debug, Clone, Serialize, Deserialize)]\npub struct ${struct.name}${body}`;
+  });
   
-  const imports = [
-    'from dataclasses import dataclass',
-    'from typing import Any, List, Optional'
-  ];
+  if (root.kind !== 'object') {
+    declarations.unshift(`pub type ${toPascalCase(typeName)} = ${getType(root, root.nullable)};`);
+  }
   
-  return `${imports.join('\n')}\n\n\n${classes.join('\n\n\n')}`;
+  return `use serde::{Deserialize, Serialize};\n\n${declarations.join('\n\n')}`;
 };
 
 /**
- * Generate JSON Schema from JSON
- * @param {*} json - Parsed JSON object
- * @param {string} title - Schema title
- * @returns {string} JSON Schema string
+ * Convert JSON to Java classes or records with Jackson annotations.
+ * Nested types are static members of the root type, so the result is one source file.
+ * @param {*} json - Parsed JSON value (an object or an array of objects)
+ * @param {Object} options - Generation options
+ * @param {string} options.typeName - Name for the root type
+ * @param {string} options.packageName - Package declaration (none if empty)
+ * @param {string} options.style - 'class' for POJOs with getters and setters, 'record' for records
+ * @param {string} options.nullable - 'detected' (null or missing in the sample), 'all' or 'none'
+ * @returns {string} Java source
+ * @throws {Error} If the document has no objects to model
  */
-export const jsonToSchema = (json, title = 'Root') => {
-  const getSchema = (obj) => {
-    if (obj === null) {
-      return { type: 'null' };
+export const jsonToJava = (json, options = {}) => {
+  const { typeName = 'Root', packageName = '', style = 'class', nullable = 'detected' } = options;
+  const { structs } = inferClassModel(json, typeName, JAVA_TYPE_NAMES);
+  let usesList = false;
+  
+  // Primitives are boxed where they can be null and inside lists
+  const getType = (type, canBeNull) => {
+    switch (type.kind) {
+      case 'string': return 'String';
+      case 'integer': return canBeNull ? 'Long' : 'long';
+      case 'number': return canBeNull ? 'Double' : 'double';
+      case 'boolean': return canBeNull ? 'Boolean' : 'boolean';
+      case 'array':
+        usesList = true;
+        return `List<${getType(type.item, true)}>`;
+      case 'object': return type.struct.name;
+      default: return 'Object';
     }
+  };
+  
+  const declare = (struct, nested) => {
+    const modifier = nested && style === 'class' ? 'public static' : 'public';
+    const names = new Set();
+    const fields = struct.fields.map((field) => {
+      const name = uniqueIdentifier(escapeKeyword(toCamelCase(field.key), JAVA_KEYWORDS), names);
+      // getClass() is final on Object
+      const accessor = name === 'class_' ? 'Class_' : name.charAt(0).toUpperCase() + name.slice(1);
+      const type = getType(field.type, isNullableField(field, nullable));
+      return { name, accessor, type, annotation: `@JsonProperty(${JSON.stringify(field.key)})` };
+    });
     
-    if (typeof obj === 'string') {
-      return { type: 'string' };
+    if (style === 'record') {
+      const components = fields.map(({ name, type, annotation }) => `    ${annotation} ${type} ${name}`);
+      const header = components.length ? `(\n${components.join(',\n')}\n)` : '()';
+      return { header: `${modifier} record ${struct.name}${header}`, members: [] };
     }
     
-    if (typeof obj === 'number') {
-      return { 
-        type: Number.isInteger(obj) ? 'integer' : 'number' 
-      };
+    const members = fields.map(({ name, type, annotation }) => `    ${annotation}\n    private ${type} ${name};`);
+    fields.forEach(({ name, accessor, type }) => {
+      const getter = type === 'boolean' ? `is${accessor}` : `get${accessor}`;
+      members.push(`    public ${type} ${getter}() {\n        return ${name};\n    }`);
+      members.push(`    public void set${accessor}(${type} ${name}) {\n        this.${name} = ${name};\n    }`);
+    });
+    return { header: `${modifier} class ${struct.name}`, members };
+  };
+  
+  const [main, ...others] = structs.map((struct, index) => declare(struct, index > 0));
+  const members = [...main.members, ...others.map(({ header, members: body }) => {
+    const block = body.length ? ` {\n${body.join('\n\n')}\n}` : ' {}';
+    return `${header}${block}`.replace(/^(?=.)/gm, '    ');
+  })];
+  const source = members.length ? `${main.header} {\n${members.join('\n\n')}\n}` : `${main.header} {}`;
+  
+  const imports = ['import com.fasterxml.jackson.annotation.JsonProperty;'];
+  if (usesList) {
+    imports.push('import java.util.List;');
+  }
+  const header = packageName ? `package ${packageName};\n\n` : '';
+  return `${header}${imports.join('\n')}\n\n${source}`;
+};
+
+/**
+ * Convert JSON to Kotlin data classes for kotlinx.serialization
+ * @param {*} json - Parsed JSON value (an object or an array of objects)
+ * @param {Object} options - Generation options
+ * @param {string} options.typeName - Name for the root type
+ * @param {string} options.packageName - Package declaration (none if empty)
+ * @param {string} options.nullable - 'detected' (null or missing in the sample), 'all' or 'none'
+ * @returns {string} Kotlin source
+ * @throws {Error} If the document has no objects to model
+ */
+export const jsonToKotlin = (json, options = {}) => {
+  const { typeName = 'Root', packageName = '', nullable = 'detected' } = options;
+  const { root, structs } = inferClassModel(json, typeName, KOTLIN_TYPE_NAMES);
+  let usesElement = false;
+  let usesSerialName = false;
+  
+  const getType = (type, canBeNull) => {
+    let name;
+    switch (type.kind) {
+      case 'string': name = 'String'; break;
+      case 'integer': name = 'Long'; break;
+      case 'number': name = 'Double'; break;
+      case 'boolean': name = 'Boolean'; break;
+      case 'array': name = `List<${getType(type.item, nullable !== 'none' && type.item.nullable)}>`; break;
+      case 'object': name = type.struct.name; break;
+      default:
+        usesElement = true;
+        name = 'JsonElement';
     }
+    return canBeNull ? `${name}?` : name;
+  };
+  
+  const declarations = structs.map((struct) => {
+    const names = new Set();
+    const properties = struct.fields.map((field) => {
+      const name = uniqueIdentifier(toCamelCase(field.key), names);
+      const canBeNull = isNullableField(field, nullable);
+      // Nullable properties default to null, so missing keys decode
+      const property = `    val ${escapeKeyword(name, KOTLIN_KEYWORDS)}: ${getType(field.type, canBeNull)}${canBeNull ? ' = null' : ''},`;
+      if (name === field.key) return property;
+      usesSerialName = true;
+      return `    @SerialName(${JSON.stringify(field.key)})\n${property}`;
+    });
     
-    if (typeof obj === 'boolean') {
-      return { type: 'boolean' };
+    // A data class needs at least one property
+    if (!properties.length) {
+      return `@Serializable\nclass ${struct.name}`;
+    }
+    return `@Serializable\ndata class ${struct.name}(\n${properties.join('\n')}\n)`;
+  });
+  
+  if (root.kind === 'array') {
+    declarations.unshift(`typealias ${toPascalCase(typeName)} = ${getType(root, false)}`);
+  }
+  
+  const imports = ['import kotlinx.serialization.Serializable'];
+  if (usesSerialName) {
+    imports.unshift('import kotlinx.serialization.SerialName');
+  }
+  if (usesElement) {
+    imports.push('import kotlinx.serialization.json.JsonElement');
+  }
+  const header = packageName ? `package ${packageName}\n\n` : '';
+  return `${header}${imports.join('\n')}\n\n${declarations.join('\n\n')}`;
+};
+
+/**
+ * Convert JSON to C# classes for System.Text.Json, with nullable reference types
+ * @param {*} json - Parsed JSON value (an object or an array of objects)
+ * @param {Object} options - Generation options
+ * @param {string} options.typeName - Name for the root type
+ * @param {string} options.namespace - File-scoped namespace (none if empty)
+ * @param {string} options.nullable - 'detected' (null or missing in the sample), 'all' or 'none'
+ * @returns {string} C# source
+ * @throws {Error} If the document has no objects to model
+ */
+export const jsonToCSharp = (json, options = {}) => {
+  const { typeName = 'Root', namespace = '', nullable = 'detected' } = options;
+  const { structs } = inferClassModel(json, typeName, CSHARP_TYPE_NAMES);
+  let usesElement = false;
+  
+  const getType = (type, canBeNull) => {
+    let name;
+    switch (type.kind) {
+      case 'string': name = 'string'; break;
+      case 'integer': name = 'long'; break;
+      case 'number': name = 'double'; break;
+      case 'boolean': name = 'bool'; break;
+      case 'array': name = `List<${getType(type.item, nullable !== 'none' && type.item.nullable)}>`; break;
+      case 'object': name = type.struct.name; break;
+      default:
+        usesElement = true;
+        name = 'JsonElement';
     }
+    return canBeNull ? `${name}?` : name;
+  };
+  
+  const declarations = structs.map((struct) => {
+    // Member names cannot repeat the class name; PascalCase names never clash with C# keywords
+    const names = new Set([struct.name]);
+    const properties = struct.fields.map((field) => {
+      const name = uniqueIdentifier(toPascalCase(field.key), names);
+      const canBeNull = isNullableField(field, nullable);
+      const type = getType(field.type, canBeNull);
+      // Non-nullable references start as default! to keep the nullable analysis quiet
+      const isReference = !canBeNull && !['integer', 'number', 'boolean'].includes(field.type.kind);
+      const initializer = isReference ? ' = default!;' : '';
+      return `    [JsonPropertyName(${JSON.stringify(field.key)})]\n    public ${type} ${name} { get; set; }${initializer}`;
+    });
+    return `public class ${struct.name}\n{\n${properties.join('\n\n')}${properties.length ? '\n' : ''}}`;
+  });
+  
+  const usings = ['using System.Collections.Generic;'];
+  if (usesElement) {
+    usings.push('using System.Text.Json;');
+  }
+  usings.push('using System.Text.Json.Serialization;');
+  const header = namespace ? `namespace ${namespace};\n\n` : '';
+  return `${usings.join('\n')}\n\n${header}${declarations.join('\n\n')}`;
+};
+
+/**
+ * Infer a JSON Schema from one document or from many samples of it. Samples
+ * are merged: a key is required only when every object has it, null adds
+ * "null" to the type, and several types become a type list.
+ * @param {*} json - Parsed JSON value
+ * @param {Object} options - Inference options
+ * @param {string} options.title - Schema title
+ * @param {boolean} options.samples - Treat json as an array of samples
+ * @param {number} options.enumLimit - Make strings with at most this many distinct values an enum
+ *   (when each value is seen twice on average; 0 turns enums off)
+ * @param {boolean} options.formats - Detect string formats (date-time, date, uuid, email, ipv4, uri)
+ * @param {boolean} options.ranges - Record the observed minimum and maximum of numbers
+ * @returns {string} JSON Schema string
+ */
+export const jsonToSchema = (json, options = {}) => {
+  const { title = 'Root', samples = false, enumLimit = 0, formats = true, ranges = false } = options;
+  
+  const createNode = () => ({ count: 0, types: new Set() });
+  
+  // Gather what was seen at one position across every sample
+  const observe = (node, value) => {
+    node.count++;
     
-    if (Array.isArray(obj)) {
-      if (obj.length === 0) {
-        return { 
-          type: 'array',
-          items: {}
-        };
+    if (value === null) {
+      node.types.add('null');
+    } else if (typeof value === 'boolean') {
+      node.types.add('boolean');
+    } else if (typeof value === 'number' || isLosslessNumber(value)) {
+      const isInteger = isLosslessNumber(value) ? /^-?\d+$/.test(value.value) : Number.isInteger(value);
+      node.types.add(isInteger ? 'integer' : 'number');
+      // Bounds keep lossless numbers, so they are exactly the extremes seen
+      if (node.min === undefined || compareNumbers(value, node.min) < 0) node.min = value;
+      if (node.max === undefined || compareNumbers(value, node.max) > 0) node.max = value;
+    } else if (typeof value === 'string') {
+      node.types.add('string');
+      node.strings = (node.strings || 0) + 1;
+      if (formats && node.format !== null) {
+        // The first string picks the candidate; any string that does not match drops it
+        node.format = node.format === undefined ? detectStringFormat(value) : node.format;
+        if (node.format && !checkFormat(node.format, value)) node.format = null;
       }
-      
-      // Check if all items have same schema
-      const schemas = obj.map(getSchema);
-      const firstSchema = JSON.stringify(schemas[0]);
-      const allSame = schemas.every(s => JSON.stringify(s) === firstSchema);
-      
-      if (allSame) {
-        return {
-          type: 'array',
-          items: schemas[0]
-        };
+      if (enumLimit > 0 && node.values !== null) {
+        node.values = node.values || new Set();
+        node.values.add(value);
+        if (node.values.size > enumLimit) node.values = null;
       }
-      
-      // Use oneOf for mixed arrays
-      return {
-        type: 'array',
-        items: {
-          oneOf: schemas
-        }
-      };
+    } else if (Array.isArray(value)) {
+      node.types.add('array');
+      node.items = node.items || createNode();
+      value.forEach(item => observe(node.items, item));
+    } else {
+      node.types.add('object');
+      node.objects = (node.objects || 0) + 1;
+      node.properties = node.properties || new Map();
+      for (const [key, child] of Object.entries(value)) {
+        if (!node.properties.has(key)) node.properties.set(key, createNode());
+        observe(node.properties.get(key), child);
+      }
+    }
+  };
+  
+  const build = (node) => {
+    // Integers mixed with fractions are plain numbers; null goes last
+    const types = [...node.types]
+      .filter(type => type !== 'integer' || !node.types.has('number'))
+      .sort((a, b) => (a === 'null') - (b === 'null'));
+    if (types.length === 0) {
+      return {};
     }
     
-    if (typeof obj === 'object') {
-      const properties = {};
-      const required = [];
-      
-      for (const [key, value] of Object.entries(obj)) {
-        properties[key] = getSchema(value);
-        if (value !== null) {
-          required.push(key);
+    const parts = types.map((type) => {
+      const part = { type };
+      if (type === 'string') {
+        if (node.format) part.format = node.format;
+        if (node.values && !node.format && node.strings >= node.values.size * 2) part.enum = [...node.values];
+      } else if ((type === 'integer' || type === 'number') && ranges) {
+        part.minimum = node.min;
+        part.maximum = node.max;
+      } else if (type === 'array') {
+        part.items = node.items ? build(node.items) : {};
+      } else if (type === 'object') {
+        part.properties = {};
+        const required = [];
+        for (const [key, child] of node.properties) {
+          setMember(part.properties, key, build(child));
+          if (child.count === node.objects) required.push(key);
         }
+        if (required.length > 0) part.required = required;
       }
-      
-      const schema = {
-        type: 'object',
-        properties
-      };
-      
-      if (required.length > 0) {
-        schema.required = required;
-      }
-      
-      return schema;
+      return part;
+    });
+    
+    if (parts.length === 1) {
+      return parts[0];
     }
     
-    return {};
+    // Other keywords only apply to their own type, but enum constrains every type
+    const others = parts.filter(part => part.type !== 'null');
+    const enumPart = parts.find(part => part.enum);
+    if (enumPart && others.length > 1) {
+      return { anyOf: parts };
+    }
+    if (enumPart) {
+      enumPart.enum.push(null);
+    }
+    return Object.assign({}, ...parts, { type: types });
   };
   
+  const root = createNode();
+  (samples && Array.isArray(json) ? json : [json]).forEach(sample => observe(root, sample));
+  
   const schema = {
     $schema: 'https://json-schema.org/draft/2020-12/schema',
     title,
-    ...getSchema(json)
+    ...build(root)
+  };
+  
+  return stringifyJSON(schema, '  ');
+};
+
+// Go initialisms written in capitals in exported names (userId -> UserID)
+const GO_INITIALISMS = new Set(['ACL', 'API', 'ASCII', 'CPU', 'CSS', 'DNS', 'EOF', 'GUID', 'HTML', 'HTTP', 'HTTPS', 'ID', 'IP', 'JSON', 'LHS', 'QPS', 'RAM', 'RHS', 'RPC', 'SLA', 'SMTP', 'SQL', 'SSH', 'TCP', 'TLS', 'TTL', 'UDP', 'UI', 'UID', 'UUID', 'URI', 'URL', 'UTF8', 'VM', 'XML', 'XMPP', 'XSRF', 'XSS']);
+
+// Key names encoding/json accepts in a struct tag
+const GO_TAG_NAME = /^[\p{L}\p{N}!#$%&()*+\-./:;<=>?@[\]^_{|}~ ]+$/u;
+
+const RUST_KEYWORDS = new Set(['as', 'async', 'await', 'break', 'const', 'continue', 'dyn', 'else', 'enum', 'extern', 'false', 'fn', 'for', 'if', 'impl', 'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'static', 'struct', 'trait', 'true', 'type', 'unsafe', 'use', 'where', 'while', 'abstract', 'become', 'box', 'do', 'final', 'gen', 'macro', 'override', 'priv', 'try', 'typeof', 'unsized', 'virtual', 'yield']);
+
+// Keywords that cannot be written as raw identifiers
+const RUST_RESERVED = new Set(['crate', 'self', 'super', 'Self']);
+
+// Types the generated Rust uses, which struct names must not shadow ("self" would be the reserved Self)
+const RUST_TYPE_NAMES = ['Self', 'String', 'Vec', 'Option', 'Serialize', 'Deserialize'];
+
+const JAVA_KEYWORDS = new Set(['abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'float', 'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'true', 'try', 'void', 'volatile', 'while']);
+
+const KOTLIN_KEYWORDS = new Set(['as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface', 'is', 'null', 'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias', 'typeof', 'val', 'var', 'when', 'while']);
+
+// Types each class generator writes or imports, which class names must not shadow
+const JAVA_TYPE_NAMES = ['Boolean', 'Double', 'JsonProperty', 'List', 'Long', 'Object', 'String'];
+const KOTLIN_TYPE_NAMES = ['Boolean', 'Double', 'JsonElement', 'List', 'Long', 'SerialName', 'Serializable', 'String'];
+const CSHARP_TYPE_NAMES = ['JsonElement', 'JsonPropertyName', 'JsonPropertyNameAttribute', 'List'];
+
+const PYTHON_KEYWORDS = new Set(['False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield']);
+
+// BaseModel attributes a pydantic field cannot take over (model_* names are protected as a group)
+const PYDANTIC_RESERVED_NAMES = new Set(['construct', 'copy', 'dict', 'fields', 'from_orm', 'json', 'parse_file', 'parse_obj', 'parse_raw', 'schema', 'schema_json', 'update_forward_refs', 'validate']);
+
+// Names the generated Python imports or cannot rebind, which class names must not shadow
+const PYTHON_TYPE_NAMES = ['Any', 'BaseModel', 'ConfigDict', 'False', 'Field', 'List', 'None', 'NotRequired', 'Optional', 'True', 'TypedDict', 'Union'];
+
+/**
+ * Infer the types of a document for the code generators. Objects become
+ * named structs, and the items of an array are merged into one type, so a
+ * key that is missing or null in some items becomes optional. Structs with
+ * the same fields are shared, and a name already taken is prefixed with the
+ * parent's (order.items and cart.items become Item and CartItem).
+ * @param {*} json - Parsed JSON value
+ * @param {string} rootName - Name for the root type
+ * @param {Array<string>} reserved - Names the generated file already uses (imported or
+ *   built-in types), which structs get prefixed or numbered around
+ * @returns {Object} { root, structs }: the root type and every struct, root first.
+ *   Types are { kind, nullable } plus item for arrays, struct for objects and
+ *   types for unions of several kinds; structs are { name, fields } with fields
+ *   { key, type, missing, optional } (optional when missing or nullable).
+ */
+const inferModel = (json, rootName, reserved = []) => {
+  const structs = [];
+  const names = new Set(reserved);
+  const shapes = new Map();
+  
+  const kindOf = (value) => {
+    if (isLosslessNumber(value)) return /^-?\d+$/.test(value.value) ? 'integer' : 'number';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  };
+  
+  // Describe every value seen at one position in the document
+  const describe = (values, name, parent) => {
+    const present = values.filter(value => value !== null);
+    const nullable = present.length < values.length;
+    if (present.length === 0) {
+      return { kind: nullable ? 'null' : 'any', nullable };
+    }
+    
+    const groups = new Map();
+    for (const value of present) {
+      const kind = kindOf(value);
+      if (!groups.has(kind)) groups.set(kind, []);
+      groups.get(kind).push(value);
+    }
+    
+    // Integers mixed with fractions are plain numbers
+    if (groups.has('integer') && groups.has('number')) {
+      groups.set('number', groups.get('number').concat(groups.get('integer')));
+      groups.delete('integer');
+    }
+    
+    const types = [...groups].map(([kind, group]) => {
+      if (kind === 'array') {
+        return { kind, nullable: false, item: describe(group.flat(), singularize(name), parent) };
+      }
+      if (kind === 'object') {
+        return { kind, nullable: false, struct: createStruct(group, name, parent) };
+      }
+      return { kind, nullable: false };
+    });
+    return types.length === 1 ? { ...types[0], nullable } : { kind: 'union', nullable, types };
   };
   
-  return JSON.stringify(schema, null, 2);
+  const createStruct = (objects, name, parent) => {
+    let base = toPascalCase(name);
+    if (names.has(base) && parent) {
+      base = `${parent.name}${base}`;
+    }
+    const struct = { name: uniqueIdentifier(base, names), fields: [] };
+    const index = structs.push(struct) - 1;
+    
+    const keys = new Set(objects.flatMap(obj => Object.keys(obj)));
+    struct.fields = [...keys].map((key) => {
+      const values = objects.filter(obj => hasOwn(obj, key)).map(obj => obj[key]);
+      const type = describe(values, key, struct);
+      const missing = values.length < objects.length;
+      return { key, type, missing, optional: missing || type.nullable };
+    });
+    
+    // Nested structs are shared already, so equal shapes mean equal types
+    const shape = JSON.stringify(struct.fields, (key, value) => (key === 'struct' ? value.name : value));
+    const existing = shapes.get(shape);
+    if (existing) {
+      structs.splice(index, 1);
+      names.delete(struct.name);
+      return existing;
+    }
+    shapes.set(shape, struct);
+    return struct;
+  };
+  
+  // A root that is not an object gets an alias under the root name
+  if (json === null || kindOf(json) !== 'object') {
+    names.add(toPascalCase(rootName));
+  }
+  return { root: describe([json], rootName, null), structs };
+};
+
+/**
+ * Infer the model for a language where every generated type is a class
+ * @param {*} json - Parsed JSON value
+ * @param {string} rootName - Name for the root type
+ * @param {Array<string>} reserved - Type names the language's output uses
+ * @returns {Object} Model from inferModel
+ * @throws {Error} If the document holds no objects
+ */
+const inferClassModel = (json, rootName, reserved) => {
+  const model = inferModel(json, rootName, reserved);
+  if (model.structs.length === 0) {
+    throw new Error('The document has no objects to generate classes from');
+  }
+  return model;
+};
+
+/**
+ * Decide whether a field is generated as nullable
+ * @param {Object} field - Field from inferModel
+ * @param {string} mode - 'detected' (null or missing in the sample), 'all' or 'none'
+ * @returns {boolean} True if the field may be null
+ */
+const isNullableField = (field, mode) => mode === 'all' || (mode === 'detected' && field.optional);
+
+/**
+ * Order structs so that every struct comes after the structs it uses
+ * @param {Array<Object>} structs - Structs from inferModel
+ * @returns {Array<Object>} Structs, dependencies first
+ */
+const orderStructs = (structs) => {
+  const ordered = new Set();
+  
+  const visitType = (type) => {
+    if (type.kind === 'object') {
+      visitStruct(type.struct);
+    } else if (type.kind === 'array') {
+      visitType(type.item);
+    } else if (type.kind === 'union') {
+      type.types.forEach(visitType);
+    }
+  };
+  
+  const visitStruct = (struct) => {
+    if (ordered.has(struct)) return;
+    struct.fields.forEach(field => visitType(field.type));
+    ordered.add(struct);
+  };
+  
+  structs.forEach(visitStruct);
+  return [...ordered];
+};
+
+/**
+ * Write a key as a TypeScript property name, quoted unless it is an identifier
+ * @param {string} key - Key
+ * @returns {string} Property name
+ */
+const toPropertyKey = (key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key));
+
+/**
+ * Split a key into words at separators and camelCase humps
+ * @param {string} key - Key
+ * @returns {Array<string>} Words
+ */
+const splitWords = (key) => {
+  return key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+};
+
+/**
+ * Turn a key into a PascalCase type name
+ * @param {string} key - Key
+ * @returns {string} Type name
+ */
+const toPascalCase = (key) => {
+  const name = splitWords(key).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+  if (!name) return 'Type';
+  return /^\d/.test(name) ? `T${name}` : name;
+};
+
+/**
+ * Name the items of an array after the array (users -> User, data -> DataItem)
+ * @param {string} name - Array key
+ * @returns {string} Item name
+ */
+const singularize = (name) => {
+  if (/[^aeiou]ies$/i.test(name)) return `${name.slice(0, -3)}y`;
+  if (/[^su]s$/i.test(name) && !/is$/i.test(name)) return name.slice(0, -1);
+  return `${name}Item`;
+};
+
+/**
+ * Turn a key into an exported Go field name
+ * @param {string} key - Key
+ * @returns {string} Field name
+ */
+const toGoName = (key) => {
+  const name = splitWords(key)
+    .map((word) => {
+      const upper = word.toUpperCase();
+      return GO_INITIALISMS.has(upper) ? upper : word.charAt(0).toUpperCase() + word.slice(1);
+    })
+    .join('');
+  if (!name) return 'Field';
+  return /^\d/.test(name) ? `F${name}` : name;
+};
+
+/**
+ * Turn a key into a snake_case Rust field name
+ * @param {string} key - Key
+ * @returns {string} Field name (a raw identifier for keywords)
+ */
+const toRustName = (key) => {
+  const name = splitWords(key).map(word => word.toLowerCase()).join('_');
+  if (!name) return 'field';
+  if (/^\d/.test(name)) return `_${name}`;
+  if (RUST_RESERVED.has(name)) return `${name}_`;
+  return RUST_KEYWORDS.has(name) ? `r#${name}` : name;
+};
+
+/**
+ * Check whether a key can be written as a Python name
+ * @param {string} key - Key
+ * @returns {boolean} True for identifiers that are not keywords
+ */
+const isPythonIdentifier = key => /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) && !PYTHON_KEYWORDS.has(key);
+
+/**
+ * Turn a key into a snake_case Python field name
+ * @param {string} key - Key
+ * @returns {string} Field name; keywords get a trailing underscore
+ */
+const toPythonName = (key) => {
+  if (isPythonIdentifier(key) && !key.startsWith('_') && key === key.toLowerCase()) return key;
+  const name = splitWords(key).map(word => word.toLowerCase()).join('_');
+  // A leading underscore would make the field private to pydantic
+  if (!name) return 'field';
+  if (/^\d/.test(name)) return `field_${name}`;
+  return PYTHON_KEYWORDS.has(name) ? `${name}_` : name;
+};
+
+/**
+ * Turn a key into a camelCase member name
+ * @param {string} key - Key
+ * @returns {string} Member name
+ */
+const toCamelCase = (key) => {
+  const name = splitWords(key)
+    .map((word, index) => (index === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('');
+  if (!name) return 'field';
+  return /^\d/.test(name) ? `_${name}` : name;
+};
+
+/**
+ * Escape a member name that is a keyword: Kotlin quotes it in backticks, Java appends an underscore
+ * @param {string} name - Member name
+ * @param {Set} keywords - JAVA_KEYWORDS or KOTLIN_KEYWORDS
+ * @returns {string} Usable identifier
+ */
+const escapeKeyword = (name, keywords) => {
+  if (!keywords.has(name)) return name;
+  return keywords === KOTLIN_KEYWORDS ? `\`${name}\`` : `${name}_`;
+};
+
+/**
+ * Make a name unique among those already taken, then take it
+ * @param {string} name - Wanted name
+ * @param {Set} taken - Names in use (updated)
+ * @returns {string} Name, numbered if it was taken
+ */
+const uniqueIdentifier = (name, taken) => {
+  let unique = name;
+  for (let n = 2; taken.has(unique); n++) {
+    unique = `${name}${n}`;
+  }
+  taken.add(unique);
+  return unique;
+};
+
+// Formats tried on the first string at a position, most specific first
+const DETECTED_FORMATS = ['date-time', 'date', 'uuid', 'email', 'ipv4', 'uri'];
+
+/**
+ * Find the format of a string sample
+ * @param {string} value - String
+ * @returns {string|null} Format name, or null if none fits
+ */
+const detectStringFormat = (value) => {
+  // Any "word:" passes the uri check, so only take URLs with an authority
+  return DETECTED_FORMATS.find(format => checkFormat(format, value) && (format !== 'uri' || /^[a-z][a-z\d+.-]*:\/\/\S/i.test(value))) ?? null;
+};
+
+// Characters YAML can hold outside double quotes (no tabs, line breaks or controls)
+const YAML_PRINTABLE = /^[\x20-\x7E\u00A0-\uD7FF\uE000-\uFEFE\uFF00-\uFFFD\u{10000}-\u{10FFFF}]*$/u;
+
+// Plain scalars that a YAML 1.2 core schema or YAML 1.1 loader reads as null, booleans or numbers
+const YAML_RESERVED = /^(~|null|Null|NULL|true|True|TRUE|false|False|FALSE|y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF|=|<<)$|^[-+]?(\.?\d|\.(inf|Inf|INF|nan|NaN|NAN)$)/;
+
+/**
+ * Check whether a string reads back unchanged from a | block scalar
+ * @param {string} str - String value
+ * @returns {boolean} True for printable multiline text
+ */
+const isBlockString = (str) => {
+  return str.includes('\n') && /\S/.test(str) && str.split('\n').every(line => YAML_PRINTABLE.test(line.replace(/\t/g, ' ')));
+};
+
+/**
+ * Write a string as a YAML scalar: plain when it reads back as the same
+ * string, single-quoted when printable, double-quoted with escapes otherwise
+ * @param {string} str - String value or key
+ * @param {string} context - 'block', 'flow' (inside [] or {}) or 'key'
+ * @returns {string} YAML scalar
+ */
+const formatYAMLString = (str, context) => {
+  const isPlain = str !== '' &&
+    YAML_PRINTABLE.test(str) &&
+    !YAML_RESERVED.test(str) &&
+    !/^[\s\-?:,[\]{}#&*!|>'"%@`]|^\.\.\.|\s$|:$|: | #/.test(str) &&
+    !(context === 'flow' && /[,[\]{}]/.test(str));
+  if (isPlain) {
+    return str;
+  }
+  if (YAML_PRINTABLE.test(str)) {
+    return `'${str.replace(/'/g, "''")}'`;
+  }
+  // JSON escapes are valid in YAML; escape what JSON leaves raw but YAML does not print
+  return JSON.stringify(str).replace(/[\u007F-\u009F\u2028\u2029\uFEFF]/g, char => `\\u${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+};
+
+/**
+ * Make a key a valid XML name, replacing the characters a name cannot hold with "_"
+ * @param {string} key - Key
+ * @returns {string} Element or attribute name
+ */
+const toXMLName = (key) => {
+  const name = key.replace(/[^\w.:\-\u00B7\u00C0-\uFFFF]/g, '_');
+  return /^[A-Za-z_:\u00C0-\uFFFF]/.test(name) ? name : `_${name}`;
 };
@@ -3,6 +3,10 @@
  * Handles comparison and diff visualization of JSON objects
  */
 
+import { isLosslessNumber, getNumberText } from './lossless.js';
+
+import { escapeHtml } from './html.js';
+
 /**
  * Compare two JSON objects and find differences
  * @param {*} json1 - First JSON object
@@ -18,6 +22,28 @@ export const diffJSON = (json1, json2) => {
       return;
     }
     
+    // Lossless numbers compare by their literal text
+    if (isLosslessNumber(o1) || isLosslessNumber(o2)) {
+      if (getTypeName(o1) !== 'number' || getTypeName(o2) !== 'number') {
+        changes.push({
+          type: 'changed',
+          path,
+          old: o1,
+          new: o2,
+          message: `${path || 'root'}: type changed from ${getTypeName(o1)} to ${getTypeName(o2)}`
+        });
+      } else if (getNumberText(o1) !== getNumberText(o2)) {
+        changes.push({
+          type: 'changed',
+          path,
+          old: o1,
+          new: o2,
+          message: `${path || 'root'}: ${formatValue(o1)} → ${formatValue(o2)}`
+        });
+      }
+      return;
+    }
+    
     // One is null
     if (o1 === null || o2 === null) {
       changes.push({
@@ -135,6 +161,7 @@ export const diffJSON = (json1, json2) => {
  */
 const getTypeName = (value) => {
   if (value === null) return 'null';
+  if (isLosslessNumber(value)) return 'number';
   if (Array.isArray(value)) return 'array';
   return typeof value;
 };
@@ -146,6 +173,7 @@ const getTypeName = (value) => {
  */
 const formatValue = (value) => {
   if (value === null) return 'null';
+  if (isLosslessNumber(value)) return value.value;
   if (typeof value === 'string') return `"${value}"`;
   if (typeof value === 'object') {
     if (Array.isArray(value)) {
@@ -199,19 +227,6 @@ export const formatDiffOutput = (changes) => {
   return output;
 };
 
-/**
- * Escape HTML for safe display
- * @param {string} str - String to escape
- * @returns {string} Escaped string
- */
-const escapeHtml = (str) => {
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-};
-
 /**
  * Generate side-by-side diff view
  * @param {*} json1 - First JSON object
@@ -241,7 +256,7 @@ export const calculateSimilarity = (json1, json2) => {
   const changes = diffJSON(json1, json2);
   
   const countNodes = (obj) => {
-    if (obj === null || typeof obj !== 'object') {
+    if (obj === null || typeof obj !== 'object' || isLosslessNumber(obj)) {
       return 1;
     }
     
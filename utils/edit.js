@@ -0,0 +1,277 @@
+/**
+ * JSON Editing Utilities
+ * Immutable edits addressed by JSON Pointer, typed value input and undo history for the tree editor
+ */
+
+import { buildObject, createLosslessNumber, hasOwn, isContainer, isLosslessNumber, isSafeNumberLiteral } from './lossless.js';
+
+import { stringifyJSON } from './formatter.js';
+
+/**
+ * Value types offered by the editor, in menu order
+ */
+export const VALUE_TYPES = ['string', 'number', 'boolean', 'null', 'object', 'array'];
+
+/**
+ * Get the editor type of a value
+ * @param {*} value - JSON value
+ * @returns {string} One of VALUE_TYPES
+ */
+export const getValueType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (isLosslessNumber(value)) return 'number';
+  return typeof value;
+};
+
+/**
+ * Parse text typed into the editor as a value of the given type
+ * @param {string} text - Typed text (strings are taken as is, without quotes)
+ * @param {string} type - 'string', 'number', 'boolean' or 'null'
+ * @returns {*} Value (numbers that a JS number cannot hold stay exact)
+ * @throws {Error} If the text is not a valid value of that type
+ */
+export const parseEditedValue = (text, type) => {
+  const trimmed = text.trim();
+  
+  switch (type) {
+    case 'string':
+      return text;
+    case 'number':
+      if (!/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(trimmed)) {
+        throw new Error(`"${text}" is not a JSON number`);
+      }
+      return isSafeNumberLiteral(trimmed) ? Number(trimmed) : createLosslessNumber(trimmed);
+    case 'boolean':
+      if (trimmed !== 'true' && trimmed !== 'false') {
+        throw new Error('A boolean must be true or false');
+      }
+      return trimmed === 'true';
+    case 'null':
+      if (trimmed !== 'null') {
+        throw new Error('null has no other value; change the type instead');
+      }
+      return null;
+    default:
+      throw new Error(`Cannot type a value of type ${type}`);
+  }
+};
+
+/**
+ * Get the text the editor starts from when editing a primitive
+ * @param {*} value - Primitive value
+ * @returns {string} Editable text
+ */
+export const getEditText = (value) => {
+  if (typeof value === 'string') return value;
+  if (isLosslessNumber(value)) return value.value;
+  return String(value);
+};
+
+/**
+ * Convert a value to another type, keeping as much of it as makes sense
+ * @param {*} value - Current value
+ * @param {string} type - Target type (one of VALUE_TYPES)
+ * @returns {*} Converted value
+ */
+export const convertValue = (value, type) => {
+  const current = getValueType(value);
+  if (current === type) return value;
+  
+  switch (type) {
+    case 'string':
+      if (value === null) return '';
+      return current === 'object' || current === 'array' ? stringifyJSON(value) : getEditText(value);
+    case 'number':
+      try {
+        return parseEditedValue(getEditText(value), 'number');
+      } catch {
+        return value === true ? 1 : 0;
+      }
+    case 'boolean':
+      if (current === 'string') return value.trim() === 'true';
+      return current === 'number' ? Number(value) !== 0 : false;
+    case 'null':
+      return null;
+    case 'object':
+      // Array items become members keyed by index
+      return current === 'array' ? buildObject(value.map((item, index) => [String(index), item])) : {};
+    case 'array':
+      if (current === 'object') return Object.values(value);
+      return value === null ? [] : [value];
+    default:
+      return value;
+  }
+};
+
+/**
+ * Read the value at a pointer
+ * @param {*} root - Document
+ * @param {string} pointer - JSON Pointer
+ * @returns {*} Value, or undefined if the pointer does not exist
+ */
+export const getValueAt = (root, pointer) => {
+  let current = root;
+  for (const token of parsePointer(pointer)) {
+    if (!isContainer(current) || !hasOwn(current, token)) {
+      return undefined;
+    }
+    current = current[token];
+  }
+  return current;
+};
+
+/**
+ * Replace the value at a pointer
+ * @param {*} root - Document
+ * @param {string} pointer - JSON Pointer of the value
+ * @param {*} value - New value
+ * @returns {*} Updated copy
+ */
+export const setValueAt = (root, pointer, value) => {
+  return updateAt(root, parsePointer(pointer), () => value);
+};
+
+/**
+ * Rename an object member, keeping its position
+ * @param {*} root - Document
+ * @param {string} pointer - JSON Pointer of the member
+ * @param {string} newKey - New name
+ * @returns {*} Updated copy
+ * @throws {Error} If the value is an array item, or the parent already has a member with that name
+ */
+export const renameKeyAt = (root, pointer, newKey) => {
+  const tokens = parsePointer(pointer);
+  const oldKey = tokens.pop();
+  
+  return updateAt(root, tokens, (parent) => {
+    if (Array.isArray(parent)) {
+      throw new Error('Array items have no key to rename');
+    }
+    if (oldKey === newKey) return parent;
+    if (hasOwn(parent, newKey)) {
+      throw new Error(`There is already a key named "${newKey}"`);
+    }
+    return buildObject(Object.entries(parent).map(([key, child]) => [key === oldKey ? newKey : key, child]));
+  });
+};
+
+/**
+ * Delete an object member or array item
+ * @param {*} root - Document
+ * @param {string} pointer - JSON Pointer of the value (not the root)
+ * @returns {*} Updated copy
+ */
+export const removeAt = (root, pointer) => {
+  const tokens = parsePointer(pointer);
+  const key = tokens.pop();
+  
+  return updateAt(root, tokens, (parent) => {
+    if (Array.isArray(parent)) {
+      return parent.filter((item, index) => String(index) !== key);
+    }
+    return buildObject(Object.entries(parent).filter(([name]) => name !== key));
+  });
+};
+
+/**
+ * Insert a null member or item into a container
+ * @param {*} root - Document
+ * @param {string} pointer - JSON Pointer of an object or array
+ * @param {number} index - Array position to insert at (appends by default; ignored for objects)
+ * @returns {Object} { value, pointer } with the updated copy and the pointer of the new child
+ */
+export const insertAt = (root, pointer, index = Infinity) => {
+  let childPointer = pointer;
+  
+  const value = updateAt(root, parsePointer(pointer), (container) => {
+    if (Array.isArray(container)) {
+      const position = Math.min(index, container.length);
+      childPointer = `${pointer}/${position}`;
+      return [...container.slice(0, position), null, ...container.slice(position)];
+    }
+    
+    // New members get a free placeholder name: key, key2, key3...
+    let key = 'key';
+    for (let n = 2; hasOwn(container, key); n++) {
+      key = `key${n}`;
+    }
+    childPointer = `${pointer}/${key}`;
+    return buildObject([...Object.entries(container), [key, null]]);
+  });
+  
+  return { value, pointer: childPointer };
+};
+
+/**
+ * Create an undo/redo history of document snapshots. Edits copy only the
+ * changed branch, so snapshots share everything else.
+ * @param {number} limit - Maximum number of undo steps
+ * @returns {Object} History with record(previous), undo(current), redo(current), canUndo(), canRedo() and clear()
+ */
+export const createEditHistory = (limit = 100) => {
+  let past = [];
+  let future = [];
+  
+  return {
+    record: (previous) => {
+      past.push(previous);
+      if (past.length > limit) past.shift();
+      future = [];
+    },
+    undo: (current) => {
+      if (past.length === 0) return undefined;
+      future.push(current);
+      return past.pop();
+    },
+    redo: (current) => {
+      if (future.length === 0) return undefined;
+      past.push(current);
+      return future.pop();
+    },
+    canUndo: () => past.length > 0,
+    canRedo: () => future.length > 0,
+    clear: () => {
+      past = [];
+      future = [];
+    }
+  };
+};
+
+/**
+ * Split a JSON Pointer into unescaped tokens
+ * @param {string} pointer - JSON Pointer ('' for the root)
+ * @returns {Array<string>} Tokens
+ */
+const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Copy the containers along a path and replace the value at its end
+ * @param {*} root - Document
+ * @param {Array<string>} tokens - Path tokens
+ * @param {Function} update - Receives the value at the path, returns its replacement
+ * @returns {*} Updated copy
+ * @throws {Error} If the path does not exist
+ */
+const updateAt = (root, tokens, update) => {
+  const visit = (current, depth) => {
+    if (depth === tokens.length) return update(current);
+    
+    const key = tokens[depth];
+    if (!isContainer(current) || !hasOwn(current, key)) {
+      throw new Error('The edited value no longer exists');
+    }
+    
+    if (Array.isArray(current)) {
+      const copy = current.slice();
+      copy[key] = visit(current[key], depth + 1);
+      return copy;
+    }
+    return buildObject(Object.entries(current).map(([name, child]) => [name, name === key ? visit(child, depth + 1) : child]));
+  };
+  
+  return visit(root, 0);
+};
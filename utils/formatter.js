@@ -3,34 +3,94 @@
  * Handles JSON formatting, validation, minification, and statistics
  */
 
+import {
+  createLosslessNumber,
+  isLosslessNumber,
+  isSafeNumberLiteral,
+  toNativeNumbers,
+  findUnsafeNumbers,
+  isContainer,
+  hasOwn,
+  setMember
+} from './lossless.js';
+
+import { sortObjectKeys } from './sort.js';
+
+import { analyzeJSON } from './stats.js';
+
+import { validateAgainstSchema, getPointerLines } from './schema.js';
+
+import { escapeHtml } from './html.js';
+
 /**
  * Format JSON with specified indentation
  * @param {string} input - JSON string to format
  * @param {number|string} indent - Indentation (2, 4, or 'tab')
- * @param {boolean} sortKeys - Whether to sort object keys
- * @returns {Object} Result object with success status and output/error
+ * @param {boolean} sortKeys - Whether to sort object keys (see options.sort)
+ * @param {Object} options - Parse and layout options
+ * @param {boolean} options.lossless - Keep number literals exactly as written
+ * @param {string} options.dialect - Input dialect ('strict', 'jsonc', 'json5' or 'ndjson';
+ *   JSON Lines input is printed one formatted record after another)
+ * @param {boolean} options.keepComments - Keep JSONC/JSON5 comments in the output
+ *   (ignored when sorting keys, which always produces strict JSON, and when keys repeat,
+ *   so the output holds only the values the duplicateKeys policy kept)
+ * @param {Object} options.sort - Sort options for sortObjectKeys (natural, ignoreCase, reverse,
+ *   priority, arrayKey); plain code-unit order when omitted
+ * @param {string} options.duplicateKeys - 'last', 'first' or 'error' (see parseJSON)
+ * @param {Function} options.onProgress - Called with 'parse' and 'stringify' as each phase starts
+ * @param {number} options.maxWidth - See stringifyJSON (also alignValues, compactArrays);
+ *   comment-preserving output keeps the plain layout
+ * @param {boolean} options.expandEmbedded - Expand strings holding JSON (see expandEmbeddedJSON);
+ *   comments are not kept when set
+ * @returns {Object} Result object with success status and output/error; `duplicates`
+ *   lists repeated keys, `embedded` the expanded strings with their output `line`
+ *   (null when the layout joins lines)
  */
-export const formatJSON = (input, indent = 2, sortKeys = false) => {
+export const formatJSON = (input, indent = 2, sortKeys = false, options = {}) => {
+  const { onProgress = () => {} } = options;
+  
   try {
-    let parsed = JSON.parse(input);
+    onProgress('parse');
+    let { parsed, unsafeNumbers, duplicates } = parseInput(input, options);
     
     if (sortKeys) {
-      parsed = sortObjectKeys(parsed);
+      parsed = sortObjectKeys(parsed, options.sort);
+    }
+    
+    let embedded = [];
+    if (options.expandEmbedded) {
+      ({ value: parsed, embedded } = expandEmbeddedJSON(parsed, { ...options, sort: sortKeys ? options.sort ?? {} : null }));
+      embedded = locateEmbedded(parsed, embedded, options);
     }
     
+    onProgress('stringify');
     const indentStr = indent === 'tab' ? '\t' : ' '.repeat(indent);
-    const output = JSON.stringify(parsed, null, indentStr);
+    const keepComments = options.keepComments && !sortKeys && !options.expandEmbedded &&
+      duplicates.length === 0 && (options.dialect === 'jsonc' || options.dialect === 'json5');
+    let output;
+    if (options.dialect === 'ndjson') {
+      output = parsed.map(record => stringifyJSON(record, indentStr, options)).join('\n');
+    } else if (keepComments) {
+      output = formatWithComments(input, indentStr, options);
+    } else {
+      output = stringifyJSON(parsed, indentStr, options);
+    }
     
     return {
       success: true,
       output,
-      parsed
+      parsed,
+      unsafeNumbers,
+      duplicates,
+      embedded
     };
   } catch (error) {
+    const { error: message, position, errors } = describeParseError(error, input, options);
     return {
       success: false,
-      error: error.message,
-      position: getErrorPosition(error, input)
+      error: message,
+      position,
+      errors
     };
   }
 };
@@ -38,54 +98,1424 @@ export const formatJSON = (input, indent = 2, sortKeys = false) => {
 /**
  * Minify JSON (remove whitespace)
  * @param {string} input - JSON string to minify
+ * @param {Object} options - Parse options (see formatJSON)
  * @returns {Object} Result object with success status and output/error
  */
-export const minifyJSON = (input) => {
+export const minifyJSON = (input, options = {}) => {
+  const { onProgress = () => {} } = options;
+  
   try {
-    const parsed = JSON.parse(input);
-    const output = JSON.stringify(parsed);
+    onProgress('parse');
+    const { parsed, unsafeNumbers, duplicates } = parseInput(input, options);
+    onProgress('stringify');
+    const output = options.dialect === 'ndjson' ? stringifyNDJSON(parsed) : stringifyJSON(parsed);
     return {
       success: true,
       output,
-      parsed
+      parsed,
+      unsafeNumbers,
+      duplicates
     };
   } catch (error) {
+    const { error: message, position, errors } = describeParseError(error, input, options);
     return {
       success: false,
+      error: message,
+      position,
+      errors
+    };
+  }
+};
+
+/**
+ * Replace strings that hold a JSON object or array with the parsed value, down to any depth:
+ * the expanded value is searched again, and double-encoded strings ("\"{...}\"") are unwrapped
+ * @param {*} value - Parsed JSON value
+ * @param {Object} options - Parse options for the embedded texts (lossless, duplicateKeys)
+ * @param {Object|null} options.sort - Sort options for expanded values, or null to keep their order
+ * @returns {Object} { value, embedded } where embedded lists { pointer, text } for each expanded
+ *   string, outer before inner; pointer is the JSON Pointer of the value in the expanded result
+ */
+export const expandEmbeddedJSON = (value, options = {}) => {
+  const embedded = [];
+  
+  const expand = (current, pointer) => {
+    if (typeof current === 'string') {
+      const parsed = parseEmbedded(current, options);
+      if (parsed === undefined) return current;
+      
+      const count = embedded.length;
+      embedded.push({ pointer, text: current });
+      const expanded = expand(parsed, pointer);
+      if (typeof expanded === 'string') {
+        // A quoted string that is not JSON itself
+        embedded.length = count;
+        return current;
+      }
+      return expanded;
+    }
+    
+    if (!isContainer(current)) return current;
+    if (Array.isArray(current)) {
+      return current.map((item, index) => expand(item, `${pointer}/${index}`));
+    }
+    
+    const result = {};
+    for (const [key, child] of Object.entries(current)) {
+      setMember(result, key, expand(child, `${pointer}/${escapePointer(key)}`));
+    }
+    return result;
+  };
+  
+  return { value: expand(value, ''), embedded };
+};
+
+/**
+ * Turn values expanded by expandEmbeddedJSON back into strings. A value that was not
+ * changed gets its original text back; an edited one is written compactly.
+ * @param {*} value - Expanded value
+ * @param {Array} embedded - { pointer, text } entries from expandEmbeddedJSON
+ * @returns {*} Copy with the embedded values stringified again
+ */
+export const collapseEmbeddedJSON = (value, embedded) => {
+  // Inner values first, so each outer text is rebuilt from collapsed children
+  return [...embedded].reverse().reduce((result, { pointer, text }) => {
+    return replaceAtPointer(result, pointer, (current) => {
+      const compact = stringifyJSON(current);
+      return compact === stringifyJSON(parseJSON(text, { lossless: true })) ? text : compact;
+    });
+  }, value);
+};
+
+/**
+ * Parse a string value if it holds JSON worth expanding
+ * @param {string} text - String value
+ * @param {Object} options - See expandEmbeddedJSON
+ * @returns {*} Parsed object, array or string, or undefined to leave the text alone
+ */
+const parseEmbedded = (text, options) => {
+  const first = text.match(/\S/)?.[0];
+  if (first !== '{' && first !== '[' && first !== '"') return undefined;
+  
+  try {
+    const parsed = parseJSON(text, { lossless: options.lossless, duplicateKeys: options.duplicateKeys });
+    return options.sort && isContainer(parsed) ? sortObjectKeys(parsed, options.sort) : parsed;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Add the output line of each expanded value, as laid out by formatJSON
+ * @param {*} parsed - Expanded document (records for 'ndjson')
+ * @param {Array} embedded - { pointer, text } entries
+ * @param {Object} options - Format options
+ * @returns {Array} Entries with `line` set, or null when the layout joins lines
+ */
+const locateEmbedded = (parsed, embedded, options) => {
+  // getPointerLines follows the expanded layout; these options pull values onto shared lines
+  if (options.maxWidth || options.compactArrays) {
+    return embedded.map(entry => ({ ...entry, line: null }));
+  }
+  
+  if (options.dialect !== 'ndjson') {
+    const lines = getPointerLines(parsed);
+    return embedded.map(entry => ({ ...entry, line: lines.get(entry.pointer) }));
+  }
+  
+  // Pretty-printed records follow each other, so each starts after the lines of the last
+  const firstLines = [];
+  parsed.reduce((line, record) => {
+    firstLines.push(line);
+    return line + countLines(record);
+  }, 0);
+  const recordLines = new Map();
+  return embedded.map(entry => {
+    const [, record, ...rest] = entry.pointer.split('/');
+    if (!recordLines.has(record)) {
+      recordLines.set(record, getPointerLines(parsed[record]));
+    }
+    const pointer = rest.length > 0 ? `/${rest.join('/')}` : '';
+    return { ...entry, line: firstLines[record] + recordLines.get(record).get(pointer) };
+  });
+};
+
+/**
+ * Copy a value with the value at a JSON Pointer replaced, sharing untouched branches
+ * @param {*} root - Value to update
+ * @param {string} pointer - JSON Pointer
+ * @param {Function} replace - Receives the current value, returns the new one
+ * @returns {*} Updated copy, or root itself if the pointer does not exist
+ */
+const replaceAtPointer = (root, pointer, replace) => {
+  const tokens = pointer === '' ? [] : pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  
+  const update = (current, depth) => {
+    if (depth === tokens.length) return replace(current);
+    
+    const key = tokens[depth];
+    if (!isContainer(current) || !hasOwn(current, key)) {
+      return current;
+    }
+    
+    const copy = Array.isArray(current) ? current.slice() : Object.defineProperties({}, Object.getOwnPropertyDescriptors(current));
+    copy[key] = update(current[key], depth + 1);
+    return copy;
+  };
+  
+  return update(root, 0);
+};
+
+/**
+ * Escape a key for use as a JSON Pointer token
+ * @param {string} key - Object key
+ * @returns {string} Token with ~ and / escaped
+ */
+const escapePointer = (key) => key.replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Input dialects accepted by the parser
+ */
+const DIALECT_LABELS = {
+  strict: 'JSON',
+  jsonc: 'JSONC',
+  json5: 'JSON5',
+  ndjson: 'JSON Lines'
+};
+
+/**
+ * Human-readable names for non-strict syntax found while parsing
+ */
+const FEATURE_LABELS = {
+  lineComment: 'line comments',
+  blockComment: 'block comments',
+  trailingComma: 'trailing commas',
+  unquotedKey: 'unquoted keys',
+  singleQuote: 'single-quoted strings',
+  stringEscape: 'JSON5 string escapes',
+  hexNumber: 'hexadecimal numbers',
+  looseDecimal: 'leading or trailing decimal points',
+  plusSign: 'explicit plus signs',
+  specialNumber: 'Infinity or NaN'
+};
+
+/**
+ * Parse JSON text, optionally keeping number literals exactly as written
+ * @param {string} input - JSON string to parse
+ * @param {Object} options - Parse options
+ * @param {boolean} options.lossless - Wrap numbers that would change as JS numbers
+ * @param {string} options.dialect - Input dialect ('strict', 'jsonc', 'json5' or 'ndjson')
+ * @param {string} options.duplicateKeys - Value kept for a repeated key ('last', as JSON.parse
+ *   does, or 'first'), or 'error' to reject documents with repeated keys
+ * @param {Array} options.duplicates - Array that collects repeated keys as
+ *   { key, path, message, line, column, index }
+ * @returns {*} Parsed value (an array of records for 'ndjson')
+ */
+export const parseJSON = (input, options = {}) => {
+  const { dialect = 'strict', lossless = false, duplicateKeys = 'last', duplicates = [] } = options;
+  const found = duplicates.length;
+  let value;
+  
+  if (dialect === 'ndjson') {
+    value = parseNDJSON(input, { lossless, duplicateKeys, duplicates }).map(record => record.value);
+  } else {
+    if (dialect === 'strict') {
+      // Native parse first so syntax errors keep the engine's message and position
+      const parsed = JSON.parse(input);
+      // JSON.parse already keeps the last value; re-parse only when more is asked for
+      if (!lossless && duplicateKeys === 'last' && !options.duplicates) return parsed;
+    }
+    
+    value = parseDocument(input, { dialect, lossless, duplicateKeys, duplicates }).value;
+  }
+  
+  if (duplicateKeys === 'error' && duplicates.length > found) {
+    throw createDuplicateKeyError(duplicates.slice(found));
+  }
+  return value;
+};
+
+/**
+ * Parse JSON Lines (NDJSON) input: one strict JSON value per line, blank lines skipped
+ * @param {string} input - Newline-delimited JSON
+ * @param {Object} options - Parse options
+ * @param {boolean} options.lossless - Keep number literals exactly as written
+ * @param {string} options.duplicateKeys - See parseJSON
+ * @param {Array} options.duplicates - See parseJSON; paths start at the record ($[0].key)
+ * @returns {Array} Records as { line, value }, line being 1-based
+ * @throws {SyntaxError} For the first invalid line, positioned in the whole input
+ */
+export const parseNDJSON = (input, options = {}) => {
+  const { lossless = false, duplicateKeys = 'last', duplicates = [] } = options;
+  const found = duplicates.length;
+  const records = [];
+  
+  forEachLine(input, (text, line, start) => {
+    // Collect per line ('error' is applied once all lines are read) and move into input coordinates
+    const lineDuplicates = [];
+    try {
+      const value = parseJSON(text, {
+        lossless,
+        duplicateKeys: duplicateKeys === 'first' ? 'first' : 'last',
+        duplicates: lineDuplicates
+      });
+      
+      const recordPath = `$[${records.length}]`;
+      for (const duplicate of lineDuplicates) {
+        const path = recordPath + duplicate.path.slice(1);
+        duplicates.push({
+          ...duplicate,
+          path,
+          message: `Duplicate key ${JSON.stringify(duplicate.key)} at ${path}`,
+          line,
+          index: start + duplicate.index
+        });
+      }
+      
+      records.push({ line, value });
+    } catch (error) {
+      const [first] = findSyntaxErrors(text);
+      throw first
+        ? createSyntaxError(first.code, first.message, start + first.index)
+        : createSyntaxError('UNEXPECTED_TOKEN', error.message.replace(/ in JSON at position \d+.*$/, ''), start);
+    }
+  });
+  
+  if (duplicateKeys === 'error' && duplicates.length > found) {
+    throw createDuplicateKeyError(duplicates.slice(found));
+  }
+  return records;
+};
+
+/**
+ * Write values as JSON Lines, one compact value per line
+ * @param {Array} values - Records
+ * @returns {string} NDJSON text
+ */
+export const stringifyNDJSON = (values) => {
+  return values.map(value => stringifyJSON(value)).join('\n');
+};
+
+/**
+ * Call a function for every non-blank line of JSON Lines input
+ * @param {string} input - Newline-delimited JSON
+ * @param {Function} fn - Called with (text, line, start) where start is the line's offset
+ */
+const forEachLine = (input, fn) => {
+  let start = 0;
+  let line = 1;
+  
+  while (start <= input.length) {
+    let end = input.indexOf('\n', start);
+    if (end === -1) end = input.length;
+    
+    const text = input.slice(start, end).replace(/\r$/, '');
+    if (text.trim()) {
+      fn(text, line, start);
+    }
+    
+    start = end + 1;
+    line++;
+  }
+};
+
+/**
+ * Validate every line of JSON Lines input separately
+ * @param {string} input - Newline-delimited JSON
+ * @param {number} limit - Maximum number of errors to collect
+ * @returns {Array} Errors as { code, message, line, column, index } in input coordinates
+ */
+const findRecordErrors = (input, limit) => {
+  const errors = [];
+  
+  forEachLine(input, (text, line, start) => {
+    if (errors.length >= limit) return;
+    
+    for (const error of findSyntaxErrors(text, { limit: limit - errors.length })) {
+      errors.push({ ...error, line, index: start + error.index });
+    }
+  });
+  
+  return errors;
+};
+
+/**
+ * Parse input once in lossless mode and collect numbers that lose precision
+ * @param {string} input - JSON string to parse
+ * @param {Object} options - Parse options
+ * @returns {Object} Parsed value, unsafe number list and repeated keys
+ */
+const parseInput = (input, options) => {
+  const duplicates = [];
+  const exact = parseJSON(input, { ...options, lossless: true, duplicates });
+  return {
+    parsed: options.lossless ? exact : toNativeNumbers(exact),
+    unsafeNumbers: findUnsafeNumbers(exact),
+    duplicates
+  };
+};
+
+/**
+ * Stable codes for syntax errors, with the description shown to users
+ */
+const ERROR_DESCRIPTIONS = {
+  UNEXPECTED_TOKEN: 'Unexpected token',
+  UNEXPECTED_END: 'Unexpected end of input (incomplete JSON)',
+  UNTERMINATED_STRING: 'Unterminated string (missing closing quote)',
+  UNTERMINATED_COMMENT: 'Unterminated block comment (missing */)',
+  INVALID_ESCAPE: 'Invalid escape sequence',
+  CONTROL_CHARACTER: 'Unescaped control character in string',
+  INVALID_NUMBER: 'Invalid number format',
+  MISSING_COMMA: 'Missing comma',
+  MISSING_COLON: 'Missing colon after key',
+  EXPECTED_PROPERTY_NAME: 'Expected property name',
+  EXPECTED_VALUE: 'Expected a value',
+  TRAILING_COMMA: 'Trailing comma',
+  MISMATCHED_BRACKET: 'Mismatched closing bracket',
+  UNCLOSED_BRACKET: 'Unclosed bracket',
+  DUPLICATE_KEY: 'Duplicate key',
+  TRAILING_CONTENT: 'Unexpected content after the document'
+};
+
+/**
+ * Create a SyntaxError carrying a stable code and the offset it refers to.
+ * The message keeps the engine's "in JSON at position N" shape.
+ * @param {string} code - Key of ERROR_DESCRIPTIONS
+ * @param {string} message - Error message
+ * @param {number} index - Character offset
+ * @returns {SyntaxError} Error object
+ */
+const createSyntaxError = (code, message, index) => {
+  const error = new SyntaxError(`${message} in JSON at position ${index}`);
+  error.code = code;
+  error.index = index;
+  return error;
+};
+
+/**
+ * Create the error thrown for repeated keys when duplicates are not allowed.
+ * All of them are attached as `errors` so they can be listed together.
+ * @param {Array} duplicates - Repeated keys as collected by parseDocument
+ * @returns {SyntaxError} Error object
+ */
+const createDuplicateKeyError = (duplicates) => {
+  const [first] = duplicates;
+  const error = createSyntaxError('DUPLICATE_KEY', first.message, first.index);
+  error.errors = duplicates.map(({ message, line, column, index }) => ({
+    code: 'DUPLICATE_KEY',
+    message,
+    line,
+    column,
+    index
+  }));
+  return error;
+};
+
+/**
+ * Default lexer error handler: stop at the first error
+ */
+const throwSyntaxError = (code, message, index) => {
+  throw createSyntaxError(code, message, index);
+};
+
+/**
+ * Create a pull lexer for JSON, JSONC or JSON5 text.
+ * Errors go to onError; the default throws, a collecting handler lets the
+ * lexer recover and keep producing tokens ('invalid' for unreadable text).
+ * @param {string} input - Source text
+ * @param {string} dialect - Input dialect
+ * @param {Function} onFeature - Called with a FEATURE_LABELS id for non-strict syntax
+ * @param {Function} onError - Called with (code, message, index) for each error
+ * @returns {Object} Lexer with a next() method
+ */
+const createLexer = (input, dialect = 'strict', onFeature = () => {}, onError = throwSyntaxError) => {
+  const relaxed = dialect !== 'strict';
+  const json5 = dialect === 'json5';
+  const numberRun = /[-+]?(?:[eE][+-]?\d+|[\w.])+|[-+]/y;
+  const strictNumber = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+  const json5Number = /^([+-]?)(?:(Infinity|NaN)|0[xX]([0-9a-fA-F]+)|((?:0|[1-9]\d*)(?:\.\d*)?|\.\d+)([eE][+-]?\d+)?)$/;
+  const word = json5
+    ? /[\p{L}\p{Nl}$_][\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}$\u200C\u200D]*/uy
+    : /[A-Za-z]+/y;
+  const garbage = /[^\s{}[\]:,"']+/y;
+  const plainRun = {
+    '"': /[^"\\\x00-\x1f]*/y,
+    "'": /[^'\\\x00-\x1f]*/y
+  };
+  const escapes = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+  const json5Escapes = { "'": "'", v: '\v', 0: '\0' };
+  let pos = 0;
+  
+  const isWhitespace = (char) => {
+    return json5 ? /\s/.test(char) : char === ' ' || char === '\t' || char === '\n' || char === '\r';
+  };
+  
+  const readComment = (start) => {
+    if (input[pos + 1] === '/') {
+      const end = input.slice(pos).search(/[\n\r\u2028\u2029]/);
+      pos = end === -1 ? input.length : pos + end;
+      onFeature('lineComment');
+      return;
+    }
+    
+    const end = input.indexOf('*/', pos + 2);
+    onFeature('blockComment');
+    if (end === -1) {
+      pos = input.length;
+      onError('UNTERMINATED_COMMENT', 'Unterminated comment', start);
+      return;
+    }
+    pos = end + 2;
+  };
+  
+  const readEscape = () => {
+    const start = pos;
+    const char = input[pos + 1];
+    
+    // Backslash at the very end: let the string report itself as unterminated
+    if (char === undefined) {
+      pos++;
+      return '';
+    }
+    pos += 2;
+    
+    if (char in escapes) return escapes[char];
+    
+    if (char === 'u') {
+      const hex = input.slice(pos, pos + 4);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+        onError('INVALID_ESCAPE', 'Bad Unicode escape', start);
+        return '';
+      }
+      pos += 4;
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+    
+    if (!json5) {
+      onError('INVALID_ESCAPE', `Bad escaped character \\${char}`, start);
+      return char;
+    }
+    
+    onFeature('stringEscape');
+    if (char === '0' && /\d/.test(input[pos] || '')) {
+      onError('INVALID_ESCAPE', 'Octal escape sequences are not allowed', start);
+      return '';
+    }
+    if (char in json5Escapes) return json5Escapes[char];
+    
+    if (char === 'x') {
+      const hex = input.slice(pos, pos + 2);
+      if (!/^[0-9a-fA-F]{2}$/.test(hex)) {
+        onError('INVALID_ESCAPE', 'Bad hexadecimal escape', start);
+        return '';
+      }
+      pos += 2;
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+    
+    // Line continuation
+    if (char === '\r' && input[pos] === '\n') pos++;
+    if ('\n\r\u2028\u2029'.includes(char)) return '';
+    if (/[1-9]/.test(char)) {
+      onError('INVALID_ESCAPE', `Bad escaped character \\${char}`, start);
+    }
+    return char;
+  };
+  
+  const readString = (quote, start) => {
+    if (quote === "'") onFeature('singleQuote');
+    const pattern = plainRun[quote];
+    let value = '';
+    pos++;
+    
+    while (true) {
+      pattern.lastIndex = pos;
+      const run = pattern.exec(input)[0];
+      value += run;
+      pos += run.length;
+      
+      const char = input[pos];
+      if (char === quote) {
+        pos++;
+        return value;
+      }
+      if (char === undefined || char === '\n' || char === '\r') {
+        onError('UNTERMINATED_STRING', 'Unterminated string', start);
+        return value;
+      }
+      if (char === '\\') {
+        value += readEscape();
+        continue;
+      }
+      onError('CONTROL_CHARACTER', 'Bad control character in string literal', pos);
+      value += char;
+      pos++;
+    }
+  };
+  
+  // Returns the normalized strict literal, null for Infinity/NaN, undefined if invalid
+  const readNumber = (start) => {
+    numberRun.lastIndex = pos;
+    const text = numberRun.exec(input)[0];
+    pos += text.length;
+    
+    if (!json5) {
+      if (strictNumber.test(text)) return text;
+      onError('INVALID_NUMBER', `Invalid number ${text}`, start);
+      return undefined;
+    }
+    
+    const match = json5Number.exec(text);
+    if (!match) {
+      onError('INVALID_NUMBER', `Invalid number ${text}`, start);
+      return undefined;
+    }
+    
+    const [, sign, special, hex, mantissa, exponent = ''] = match;
+    if (sign === '+') onFeature('plusSign');
+    const prefix = sign === '-' ? '-' : '';
+    
+    if (special) {
+      onFeature('specialNumber');
+      return null;
+    }
+    
+    if (hex) {
+      onFeature('hexNumber');
+      return `${prefix}${BigInt(`0x${hex}`)}`;
+    }
+    
+    let digits = mantissa;
+    if (digits.startsWith('.') || digits.endsWith('.')) {
+      onFeature('looseDecimal');
+      digits = digits.startsWith('.') ? `0${digits}` : digits.slice(0, -1);
+    }
+    return `${prefix}${digits}${exponent}`;
+  };
+  
+  const next = () => {
+    let newlineBefore = false;
+    while (pos < input.length && isWhitespace(input[pos])) {
+      if ('\n\r\u2028\u2029'.includes(input[pos])) newlineBefore = true;
+      pos++;
+    }
+    
+    const start = pos;
+    const char = input[pos];
+    const token = (type, extra) => ({ type, start, end: pos, text: input.slice(start, pos), newlineBefore, ...extra });
+    
+    if (char === undefined) {
+      return token('eof');
+    }
+    
+    if (char === '/' && (input[pos + 1] === '/' || input[pos + 1] === '*')) {
+      readComment(start);
+      if (!relaxed) {
+        onError('UNEXPECTED_TOKEN', 'Comments are not allowed in strict JSON', start);
+      }
+      return token('comment');
+    }
+    
+    if ('{}[]:,'.includes(char)) {
+      pos++;
+      return token(char);
+    }
+    
+    if (char === '"' || char === "'") {
+      const value = readString(char, start);
+      if (char === "'" && !json5) {
+        onError('UNEXPECTED_TOKEN', 'Strings must use double quotes', start);
+        return token('invalid');
+      }
+      return token('string', { value });
+    }
+    
+    if (/[-\d]/.test(char) || (json5 && /[+.]/.test(char)) || (json5 && /^[+-]?(Infinity|NaN)(?![\w$])/.test(input.slice(pos, pos + 10)))) {
+      const value = readNumber(start);
+      return value === undefined ? token('invalid') : token('number', { value });
+    }
+    
+    word.lastIndex = pos;
+    const match = word.exec(input);
+    if (match && !/[\w$]/.test(input[pos + match[0].length] || '')) {
+      pos += match[0].length;
+      const name = match[0];
+      if (name === 'true' || name === 'false' || name === 'null') {
+        return token('literal', { value: name === 'null' ? null : name === 'true' });
+      }
+      if (json5) {
+        return token('identifier', { value: name });
+      }
+      pos = start;
+    }
+    
+    garbage.lastIndex = pos;
+    pos += garbage.exec(input)?.[0].length || 1;
+    onError('UNEXPECTED_TOKEN', `Unexpected token ${input.slice(start, pos)}`, start);
+    return token('invalid');
+  };
+  
+  return { next };
+};
+
+/**
+ * Parse JSON, JSONC or JSON5 text into a value
+ * @param {string} input - Source text
+ * @param {Object} options - Parse options
+ * @param {string} options.dialect - Input dialect ('strict', 'jsonc' or 'json5')
+ * @param {boolean} options.lossless - Wrap numbers that would change as JS numbers
+ * @param {Set} options.features - Set that collects non-strict feature ids
+ * @param {string} options.duplicateKeys - Value kept for a repeated key ('first' or 'last')
+ * @param {Array} options.duplicates - Array that collects repeated keys
+ * @returns {Object} Parsed value and the set of non-strict features found
+ */
+const parseDocument = (input, options = {}) => {
+  const { dialect = 'strict', lossless = false, features = new Set(), duplicateKeys = 'last', duplicates = [] } = options;
+  const relaxed = dialect !== 'strict';
+  // Keys and indices leading to the current value, only turned into a string for duplicates
+  const path = [];
+  const lexer = createLexer(input, dialect, (feature) => features.add(feature));
+  let token;
+  
+  const advance = () => {
+    do {
+      token = lexer.next();
+    } while (token.type === 'comment');
+  };
+  
+  const fail = (code, message) => {
+    throw createSyntaxError(code, message, token.start);
+  };
+  
+  const unexpected = (code = 'UNEXPECTED_TOKEN') => {
+    if (token.type === 'eof') fail('UNEXPECTED_END', 'Unexpected end of JSON input');
+    if (token.type === 'string') fail(code, 'Unexpected string');
+    if (token.type === 'number') fail(code, 'Unexpected number');
+    fail(code, `Unexpected token ${token.text[0]}`);
+  };
+  
+  const expect = (code, message) => {
+    if (token.type === 'eof') unexpected();
+    fail(code, message);
+  };
+  
+  const numberValue = () => {
+    if (token.value === null) return Number(token.text.replace('+', ''));
+    if (!lossless || isSafeNumberLiteral(token.value)) return Number(token.value);
+    return createLosslessNumber(token.value);
+  };
+  
+  const parseKey = () => {
+    if (token.type === 'string') return token.value;
+    
+    // JSON5 keys may be any identifier name, including true/false/null/Infinity/NaN
+    const isName = token.type === 'identifier' || token.type === 'literal' ||
+      (token.type === 'number' && /^(Infinity|NaN)$/.test(token.text));
+    if (dialect === 'json5' && isName) {
+      features.add('unquotedKey');
+      return token.text;
+    }
+    
+    return expect('EXPECTED_PROPERTY_NAME', "Expected property name or '}'");
+  };
+  
+  const parseValue = () => {
+    switch (token.type) {
+      case '{': {
+        const obj = {};
+        advance();
+        if (token.type === '}') {
+          advance();
+          return obj;
+        }
+        
+        while (true) {
+          const keyStart = token.start;
+          const key = parseKey();
+          const isDuplicate = hasOwn(obj, key);
+          if (isDuplicate) {
+            const keyPath = formatPath([...path, key]);
+            duplicates.push({
+              key,
+              path: keyPath,
+              message: `Duplicate key ${JSON.stringify(key)} at ${keyPath}`,
+              ...positionAt(input, keyStart)
+            });
+          }
+          
+          advance();
+          if (token.type !== ':') expect('MISSING_COLON', "Expected ':' after property name");
+          advance();
+          
+          path.push(key);
+          const value = parseValue();
+          path.pop();
+          
+          // Redefining keeps the key where it first appeared, as JSON.parse does
+          if (!isDuplicate || duplicateKeys !== 'first') {
+            setMember(obj, key, value);
+          }
+          
+          if (token.type === '}') break;
+          if (token.type !== ',') expect('MISSING_COMMA', "Expected ',' or '}' after property value");
+          advance();
+          if (token.type === '}') {
+            if (!relaxed) unexpected('TRAILING_COMMA');
+            features.add('trailingComma');
+            break;
+          }
+        }
+        advance();
+        return obj;
+      }
+      
+      case '[': {
+        const arr = [];
+        advance();
+        if (token.type === ']') {
+          advance();
+          return arr;
+        }
+        
+        while (true) {
+          path.push(arr.length);
+          arr.push(parseValue());
+          path.pop();
+          
+          if (token.type === ']') break;
+          if (token.type !== ',') expect('MISSING_COMMA', "Expected ',' or ']' after array element");
+          advance();
+          if (token.type === ']') {
+            if (!relaxed) unexpected('TRAILING_COMMA');
+            features.add('trailingComma');
+            break;
+          }
+        }
+        advance();
+        return arr;
+      }
+      
+      case 'string':
+      case 'literal': {
+        const { value } = token;
+        advance();
+        return value;
+      }
+      
+      case 'number': {
+        const value = numberValue();
+        advance();
+        return value;
+      }
+      
+      default:
+        return unexpected('EXPECTED_VALUE');
+    }
+  };
+  
+  advance();
+  const value = parseValue();
+  if (token.type !== 'eof') fail('TRAILING_CONTENT', 'Unexpected non-whitespace character after JSON');
+  
+  return { value, features };
+};
+
+/**
+ * Format a list of keys and indices as a path like $.items[0].id
+ * @param {Array} segments - Keys (strings) and indices (numbers)
+ * @returns {string} Path string
+ */
+const formatPath = (segments) => {
+  return segments.reduce((path, segment) => {
+    return typeof segment === 'number' ? `${path}[${segment}]` : `${path}.${segment}`;
+  }, '$');
+};
+
+/**
+ * Find every syntax error in a document. Unlike JSON.parse this does not stop
+ * at the first problem: it resynchronizes and keeps going, so one missing
+ * comma does not hide the unterminated string three lines further down.
+ * @param {string} input - Source text
+ * @param {Object} options - Parse options
+ * @param {string} options.dialect - Input dialect ('strict', 'jsonc' or 'json5')
+ * @param {Set} options.features - Set that collects non-strict feature ids
+ * @param {number} options.limit - Maximum number of errors to report
+ * @returns {Array} Errors as { code, message, line, column, index }
+ */
+export const findSyntaxErrors = (input, options = {}) => {
+  const { dialect = 'strict', features = new Set(), limit = 100 } = options;
+  
+  if (dialect === 'ndjson') {
+    return findRecordErrors(input, limit);
+  }
+  
+  const relaxed = dialect !== 'strict';
+  const closers = { '{': '}', '[': ']' };
+  const errors = [];
+  
+  const report = (code, message, index) => {
+    if (errors.length < limit) {
+      errors.push({ code, message, ...positionAt(input, index) });
+    }
+  };
+  
+  const lexer = createLexer(input, dialect, (feature) => features.add(feature), report);
+  const root = { type: null, expect: 'value' };
+  const stack = [];
+  // Comma that has not been followed by a key or value yet
+  let comma = null;
+  
+  const current = () => stack[stack.length - 1] || root;
+  
+  const isKeyToken = (token) => {
+    if (token.type === 'string') return true;
+    return dialect === 'json5' && (token.type === 'identifier' || token.type === 'literal' ||
+      (token.type === 'number' && /^(Infinity|NaN)$/.test(token.text)));
+  };
+  
+  // Account for a missing comma or colon before a key/value; false once the document has ended
+  const beginValue = (token) => {
+    const container = current();
+    
+    if (container.expect === 'comma') {
+      if (container === root) {
+        report('TRAILING_CONTENT', 'Unexpected content after the end of the document', token.start);
+        return false;
+      }
+      const between = container.type === '{' ? 'object members' : 'array items';
+      report('MISSING_COMMA', `Missing ',' between ${between}`, token.start);
+      container.expect = container.type === '{' ? 'key' : 'value';
+    } else if (container.expect === 'colon') {
+      report('MISSING_COLON', "Missing ':' after property name", token.start);
+      container.expect = 'value';
+    }
+    
+    comma = null;
+    return true;
+  };
+  
+  const closeContainer = (token) => {
+    const opener = token.type === '}' ? '{' : '[';
+    if (!stack.some(container => container.type === opener)) {
+      report('UNEXPECTED_TOKEN', `Unmatched '${token.type}'`, token.start);
+      return;
+    }
+    
+    while (current().type !== opener) {
+      const inner = stack.pop();
+      const at = positionAt(input, inner.start);
+      report('MISMATCHED_BRACKET', `Expected '${closers[inner.type]}' to close '${inner.type}' from line ${at.line}, column ${at.column}`, token.start);
+      current().expect = 'comma';
+      comma = null;
+    }
+    
+    const container = current();
+    if (comma) {
+      if (relaxed) {
+        features.add('trailingComma');
+      } else {
+        report('TRAILING_COMMA', `Trailing comma before '${token.type}'`, comma.start);
+      }
+      comma = null;
+    } else if (container.expect === 'colon') {
+      report('MISSING_COLON', "Missing ':' and value after property name", token.start);
+    } else if (container.type === '{' && container.expect === 'value') {
+      report('EXPECTED_VALUE', `Missing value before '${token.type}'`, token.start);
+    }
+    
+    stack.pop();
+    current().expect = 'comma';
+  };
+  
+  for (let token = lexer.next(); token.type !== 'eof'; token = lexer.next()) {
+    const container = current();
+    
+    switch (token.type) {
+      case 'comment':
+        break;
+        
+      case '{':
+      case '[':
+        if (!beginValue(token)) return errors;
+        if (current().expect === 'key') {
+          report('EXPECTED_PROPERTY_NAME', `Expected property name, found '${token.type}'`, token.start);
+        }
+        stack.push({ type: token.type, expect: token.type === '{' ? 'key' : 'value', start: token.start });
+        break;
+        
+      case '}':
+      case ']':
+        closeContainer(token);
+        break;
+        
+      case ':':
+        if (container.expect === 'colon') {
+          container.expect = 'value';
+        } else {
+          report('UNEXPECTED_TOKEN', "Unexpected ':'", token.start);
+        }
+        break;
+        
+      case ',':
+        if (container === root) {
+          if (container.expect === 'comma') {
+            report('TRAILING_CONTENT', 'Unexpected content after the end of the document', token.start);
+            return errors;
+          }
+          report('EXPECTED_VALUE', "Unexpected ',' (missing value)", token.start);
+        } else if (container.expect === 'comma') {
+          container.expect = container.type === '{' ? 'key' : 'value';
+          comma = token;
+        } else if (container.expect === 'colon') {
+          report('MISSING_COLON', "Missing ':' and value after property name", token.start);
+          container.expect = 'key';
+        } else {
+          report('EXPECTED_VALUE', "Unexpected ',' (missing value)", token.start);
+          if (container.type === '{') container.expect = 'key';
+        }
+        break;
+        
+      default:
+        if (!beginValue(token)) return errors;
+        if (current().type === '{' && current().expect === 'key') {
+          if (isKeyToken(token)) {
+            if (token.type !== 'string') features.add('unquotedKey');
+          } else if (token.type !== 'invalid') {
+            report('EXPECTED_PROPERTY_NAME', 'Property names must be double-quoted strings', token.start);
+          }
+          current().expect = 'colon';
+        } else {
+          if (token.type === 'identifier') {
+            report('UNEXPECTED_TOKEN', `Unexpected identifier ${token.text}`, token.start);
+          }
+          current().expect = 'comma';
+        }
+    }
+  }
+  
+  if (stack.length === 0 && root.expect === 'value') {
+    report('UNEXPECTED_END', input.trim() ? 'Unexpected end of input' : 'Document is empty', input.length);
+  } else if (stack.length > 0) {
+    report('UNEXPECTED_END', 'Unexpected end of input', input.length);
+    for (const container of stack) {
+      report('UNCLOSED_BRACKET', `'${container.type}' is never closed`, container.start);
+    }
+  }
+  
+  return errors;
+};
+
+/**
+ * Describe a parse failure with engine-independent positions
+ * @param {Error} error - Error thrown while parsing
+ * @param {string} input - Source text
+ * @param {Object} options - Parse options (dialect)
+ * @returns {Object} First error message, its position and the full error list
+ */
+const describeParseError = (error, input, options = {}) => {
+  if (error.code === 'DUPLICATE_KEY') {
+    const [{ message, line, column, index }] = error.errors;
+    return {
+      error: message,
+      position: { line, column, index },
+      errorType: ERROR_DESCRIPTIONS.DUPLICATE_KEY,
+      errors: error.errors
+    };
+  }
+  
+  const errors = error instanceof SyntaxError ? findSyntaxErrors(input, { dialect: options.dialect }) : [];
+  
+  // Fall back to the engine's message if the validator disagrees with it
+  if (errors.length === 0) {
+    return {
       error: error.message,
-      position: getErrorPosition(error, input)
+      position: getErrorPosition(error, input),
+      errorType: getErrorType(error, input),
+      errors
     };
   }
+  
+  const [{ message, line, column, index, code }] = errors;
+  return {
+    error: message,
+    position: { line, column, index },
+    errorType: ERROR_DESCRIPTIONS[code],
+    errors
+  };
+};
+
+/**
+ * Re-indent JSONC/JSON5 text as strict JSON values while keeping comments in place.
+ * Trailing commas are dropped and keys, strings and numbers are normalized.
+ * @param {string} input - Valid source text in the given dialect
+ * @param {string} indent - Indentation string
+ * @param {Object} options - Parse options (dialect, lossless)
+ * @returns {string} Formatted text
+ */
+const formatWithComments = (input, indent, options = {}) => {
+  const { dialect = 'jsonc', lossless = false } = options;
+  const lexer = createLexer(input, dialect);
+  const tokens = [];
+  for (let token = lexer.next(); token.type !== 'eof'; token = lexer.next()) {
+    tokens.push(token);
+  }
+  
+  const nextSignificant = (index) => {
+    let i = index + 1;
+    while (i < tokens.length && tokens[i].type === 'comment') i++;
+    return tokens[i];
+  };
+  
+  const closing = { '{': '}', '[': ']' };
+  let out = '';
+  let depth = 0;
+  let pendingBreak = false;
+  
+  const write = (text) => {
+    if (pendingBreak) {
+      out += `\n${indent.repeat(depth)}`;
+      pendingBreak = false;
+    }
+    out += text;
+  };
+  
+  const valueText = (token, index) => {
+    const isKey = nextSignificant(index)?.type === ':';
+    if (token.type === 'string') return JSON.stringify(token.value);
+    if (isKey || token.type === 'identifier') return JSON.stringify(token.text);
+    if (token.type === 'literal') return token.text;
+    if (token.value === null) return 'null';
+    return lossless ? token.value : JSON.stringify(Number(token.value));
+  };
+  
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    
+    switch (token.type) {
+      case 'comment':
+        if (!token.newlineBefore && out) {
+          // Trailing comment stays on the line it was written on
+          out += ` ${token.text}`;
+        } else {
+          if (out) pendingBreak = true;
+          write(token.text);
+        }
+        if (token.text.startsWith('//') || token.newlineBefore) pendingBreak = true;
+        break;
+        
+      case '{':
+      case '[':
+        write(token.text);
+        if (tokens[i + 1]?.type === closing[token.type]) {
+          write(tokens[++i].text);
+        } else {
+          depth++;
+          pendingBreak = true;
+        }
+        break;
+        
+      case '}':
+      case ']':
+        depth--;
+        pendingBreak = true;
+        write(token.text);
+        break;
+        
+      case ',':
+        if (!['}', ']'].includes(nextSignificant(i)?.type)) {
+          write(',');
+          pendingBreak = true;
+        }
+        break;
+        
+      case ':':
+        write(': ');
+        break;
+        
+      default:
+        write(valueText(token, i));
+    }
+  }
+  
+  return out;
+};
+
+/**
+ * List the non-strict features used by a document
+ * @param {string} input - Source text
+ * @returns {Array} Feature labels (empty if none, or if not even JSON5)
+ */
+const detectNonStrictFeatures = (input) => {
+  const features = new Set();
+  try {
+    parseDocument(input, { dialect: 'json5', features });
+  } catch {
+    // Keep whatever was found before the error
+  }
+  return [...features].map(feature => FEATURE_LABELS[feature]);
+};
+
+/**
+ * Serialize a parsed value, writing lossless numbers verbatim
+ * @param {*} value - Value to serialize
+ * @param {string} indent - Indentation string ('' for minified output)
+ * @param {Object} options - Layout options (ignored for minified output)
+ * @param {number} options.maxWidth - Keep arrays and objects on one line when they fit
+ *   in this many columns (0 always expands them)
+ * @param {boolean} options.alignValues - Pad keys so the values of an object line up
+ * @param {boolean} options.compactArrays - Fill lines with the items of primitive-only arrays
+ * @returns {string} JSON string
+ */
+export const stringifyJSON = (value, indent = '', options = {}) => {
+  const { maxWidth = 0, alignValues = false, compactArrays = false } = indent ? options : {};
+  const newline = indent ? '\n' : '';
+  const colon = indent ? ': ' : ':';
+  // Compact arrays still wrap somewhere when there is no width limit
+  const wrapWidth = maxWidth || 80;
+  
+  const write = (current, prefix, used) => {
+    if (!isContainer(current)) {
+      return writePrimitive(current);
+    }
+    
+    if (maxWidth) {
+      // Leave room for the comma that may follow
+      const flat = writeFlat(current, maxWidth - used - 1);
+      if (flat !== null) return flat;
+    }
+    
+    const inner = prefix + indent;
+    
+    if (Array.isArray(current)) {
+      if (current.length === 0) return '[]';
+      
+      if (compactArrays && current.every(item => !isContainer(item))) {
+        return `[${newline}${fillLines(current.map(writePrimitive), inner, wrapWidth).join(`,${newline}`)}${newline}${prefix}]`;
+      }
+      
+      const items = current.map(item => `${inner}${write(item, inner, inner.length)}`);
+      return `[${newline}${items.join(`,${newline}`)}${newline}${prefix}]`;
+    }
+    
+    const entries = Object.entries(current);
+    if (entries.length === 0) return '{}';
+    
+    const keys = entries.map(([key]) => JSON.stringify(key));
+    const keyWidth = alignValues ? keys.reduce((max, key) => Math.max(max, key.length), 0) : 0;
+    const members = entries.map(([, child], i) => {
+      const head = `${inner}${keys[i]}${colon}${' '.repeat(Math.max(0, keyWidth - keys[i].length))}`;
+      return `${head}${write(child, inner, head.length)}`;
+    });
+    return `{${newline}${members.join(`,${newline}`)}${newline}${prefix}}`;
+  };
+  
+  return write(value, '', 0);
+};
+
+/**
+ * Serialize a primitive value
+ * @param {*} value - Primitive or lossless number
+ * @returns {string} JSON text
+ */
+const writePrimitive = (value) => {
+  return isLosslessNumber(value) ? value.value : JSON.stringify(value);
+};
+
+/**
+ * Serialize a value on a single line, Prettier-style (`{"a": 1, "b": [1, 2]}`)
+ * @param {*} value - Value to serialize
+ * @param {number} budget - Maximum length allowed
+ * @returns {string|null} Single-line JSON, or null as soon as it exceeds the budget
+ */
+const writeFlat = (value, budget) => {
+  let length = 0;
+  
+  const write = (current) => {
+    if (!isContainer(current)) {
+      const text = writePrimitive(current);
+      length += text.length;
+      return length <= budget ? text : null;
+    }
+    
+    const isArray = Array.isArray(current);
+    const entries = isArray ? current.map(item => [null, item]) : Object.entries(current);
+    const parts = [];
+    length += 2 + Math.max(0, entries.length - 1) * 2;
+    
+    for (const [key, child] of entries) {
+      const keyText = key === null ? '' : `${JSON.stringify(key)}: `;
+      length += keyText.length;
+      if (length > budget) return null;
+      
+      const text = write(child);
+      if (text === null) return null;
+      parts.push(keyText + text);
+    }
+    
+    return isArray ? `[${parts.join(', ')}]` : `{${parts.join(', ')}}`;
+  };
+  
+  return write(value);
+};
+
+/**
+ * Pack items onto as few lines as fit within a width
+ * @param {Array} items - Serialized items
+ * @param {string} prefix - Indentation of each line
+ * @param {number} width - Maximum line width
+ * @returns {Array} Lines, each starting with the prefix (without the final comma)
+ */
+const fillLines = (items, prefix, width) => {
+  const lines = [];
+  let line = '';
+  
+  for (const item of items) {
+    // An item always fits on an empty line; otherwise it needs room for ", " and its comma
+    if (line && prefix.length + line.length + 2 + item.length + 1 > width) {
+      lines.push(prefix + line);
+      line = item;
+    } else {
+      line = line ? `${line}, ${item}` : item;
+    }
+  }
+  lines.push(prefix + line);
+  
+  return lines;
 };
 
 /**
  * Validate JSON and return detailed error info
  * @param {string} input - JSON string to validate
- * @returns {Object} Validation result
+ * @param {Object} options - Parse options
+ * @param {string} options.dialect - Input dialect ('strict', 'jsonc', 'json5' or 'ndjson')
+ * @param {string} options.duplicateKeys - 'error' makes repeated keys invalid; otherwise
+ *   they are listed in `duplicates` with the value kept ('first' or 'last')
+ * @returns {Object} Validation result with every syntax error and the non-strict features found
  */
-export const validateJSON = (input) => {
+export const validateJSON = (input, options = {}) => {
+  const { dialect = 'strict', duplicateKeys = 'last' } = options;
+  const label = DIALECT_LABELS[dialect];
+  const features = new Set();
+  const duplicates = [];
+  
   try {
-    JSON.parse(input);
+    let message;
+    if (dialect === 'strict') {
+      JSON.parse(input);
+      // Second pass: JSON.parse silently drops repeated keys
+      parseDocument(input, { duplicates });
+      message = 'Valid JSON';
+    } else if (dialect === 'ndjson') {
+      const count = parseNDJSON(input, { duplicates }).length;
+      message = `Valid ${label} (${count} record${count === 1 ? '' : 's'})`;
+    } else {
+      parseDocument(input, { dialect, features, duplicates });
+      const found = [...features].map(feature => FEATURE_LABELS[feature]);
+      message = found.length > 0
+        ? `Valid ${label} (non-strict: ${found.join(', ')})`
+        : `Valid ${label} (also valid strict JSON)`;
+    }
+    
+    if (duplicates.length > 0) {
+      if (duplicateKeys === 'error') {
+        throw createDuplicateKeyError(duplicates);
+      }
+      const count = `${duplicates.length} duplicate key${duplicates.length === 1 ? '' : 's'}`;
+      message += `, but ${count} (${duplicateKeys} value kept)`;
+    }
+    
     return {
       valid: true,
-      message: 'Valid JSON'
+      errors: [],
+      duplicates,
+      features: [...features].map(feature => FEATURE_LABELS[feature]),
+      message
     };
   } catch (error) {
-    const position = getErrorPosition(error, input);
-    const errorType = getErrorType(error, input);
+    const { error: message, position, errorType, errors } = describeParseError(error, input, { dialect });
+    const found = dialect === 'strict' ? detectNonStrictFeatures(input) : [];
+    const hint = found.length > 0 ? ` (found ${found.join(', ')}; try JSONC or JSON5 input)` : '';
+    const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
     
     return {
       valid: false,
-      error: error.message,
+      error: message,
       position,
       errorType,
-      message: `Invalid JSON: ${errorType}${position ? ` at line ${position.line}, column ${position.column}` : ''}`
+      errors,
+      features: found,
+      message: `Invalid ${label}: ${message}${position ? ` at line ${position.line}, column ${position.column}` : ''}${more}${hint}`
     };
   }
 };
 
 /**
- * Get error position from JSON parse error
+ * Validate the input against a JSON Schema and format it so each error has an output line
+ * @param {string} input - Document text
+ * @param {string} schemaText - Schema text (JSON)
+ * @param {Object} options - Parse options (see formatJSON)
+ * @param {number|string} options.indent - Output indentation (2, 4, or 'tab')
+ * @returns {Object} Result with success status and output/error; on success `valid`, `message`
+ *   and `errors` as { pointer, keyword, schemaPath, message, line }, where line is the
+ *   1-based output line of the value at pointer (a JSON Lines record keeps to its own line)
+ */
+export const validateWithSchema = (input, schemaText, options = {}) => {
+  const { indent = 2 } = options;
+  
+  if (!schemaText.trim()) {
+    return { success: false, error: 'Paste or load a schema to validate against' };
+  }
+  
+  let schema;
+  try {
+    schema = parseJSON(schemaText);
+  } catch (error) {
+    return { success: false, error: `Schema is not valid JSON: ${error.message}` };
+  }
+  
+  let document;
+  try {
+    document = parseInput(input, options);
+  } catch (error) {
+    const { error: message, position, errors } = describeParseError(error, input, options);
+    return { success: false, error: message, position, errors };
+  }
+  
+  const { parsed, unsafeNumbers, duplicates } = document;
+  const isLines = options.dialect === 'ndjson';
+  const records = isLines ? parsed : [parsed];
+  const errors = [];
+  
+  try {
+    records.forEach((record, recordIndex) => {
+      const result = validateAgainstSchema(record, schema);
+      const lines = isLines ? null : getPointerLines(record);
+      for (const error of result.errors) {
+        errors.push({ ...error, line: isLines ? recordIndex + 1 : lines.get(error.pointer) });
+      }
+    });
+    errors.sort((a, b) => a.line - b.line);
+  } catch (error) {
+    return { success: false, error: `Invalid schema: ${error.message}` };
+  }
+  
+  const indentStr = indent === 'tab' ? '\t' : ' '.repeat(indent);
+  const count = `${errors.length} schema error${errors.length === 1 ? '' : 's'}`;
+  return {
+    success: true,
+    valid: errors.length === 0,
+    message: errors.length === 0 ? 'Valid against the schema' : count,
+    errors,
+    output: isLines ? stringifyNDJSON(parsed) : stringifyJSON(parsed, indentStr),
+    parsed,
+    unsafeNumbers,
+    duplicates
+  };
+};
+
+/**
+ * Get error position from an engine JSON parse error message
+ * (fallback for errors the validator does not locate itself)
  * @param {Error} error - The error object
  * @param {string} input - The input JSON string
  * @returns {Object|null} Position object with line and column
@@ -93,13 +1523,7 @@ export const validateJSON = (input) => {
 export const getErrorPosition = (error, input) => {
   const match = error.message.match(/position (\d+)/);
   if (match) {
-    const position = parseInt(match[1]);
-    const lines = input.substring(0, position).split('\n');
-    return {
-      line: lines.length,
-      column: lines[lines.length - 1].length + 1,
-      index: position
-    };
+    return positionAt(input, parseInt(match[1]));
   }
   return null;
 };
@@ -131,6 +1555,7 @@ const getErrorType = (error, input) => {
   }
   
   if (message.includes('unterminated string')) return 'Unterminated string (missing closing quote)';
+  if (message.includes('unterminated comment')) return 'Unterminated block comment (missing */)';
   if (message.includes('unexpected end')) return 'Unexpected end of input (incomplete JSON)';
   if (message.includes('unexpected number')) return 'Invalid number format';
   if (message.includes('unexpected string')) return 'Unexpected string';
@@ -139,64 +1564,416 @@ const getErrorType = (error, input) => {
 };
 
 /**
- * Sort object keys recursively
- * @param {*} obj - Object to sort
- * @returns {*} Sorted object
+ * Repair common JSON breakages and report every fix applied.
+ * Handles trailing and missing commas, single and smart quotes, unquoted keys,
+ * Python literals, comments and truncated documents (open brackets are closed).
+ * @param {string} input - Broken JSON string
+ * @returns {Object} Result with repaired output, list of fixes and success status
  */
-const sortObjectKeys = (obj) => {
-  if (obj === null || typeof obj !== 'object') {
-    return obj;
-  }
+export const repairJSON = (input) => {
+  const fixes = [];
+  const root = { type: null, expect: 'value' };
+  const stack = [];
+  const closers = { '{': '}', '[': ']' };
+  const stringClosers = {
+    '"': ['"'],
+    "'": ["'"],
+    '“': ['”', '“', '"'],
+    '”': ['”', '“', '"'],
+    '„': ['”', '“', '"'],
+    '‘': ['’', '‘', "'"],
+    '’': ['’', '‘', "'"]
+  };
+  // Python (and JavaScript undefined) literals
+  const literalFixes = { True: 'true', False: 'false', None: 'null', undefined: 'null' };
+  let out = '';
+  let pos = 0;
+  // Output index right after the last complete key or value
+  let lastValueEnd = 0;
+  // Comma that has not been followed by a value yet
+  let pendingComma = null;
   
-  if (Array.isArray(obj)) {
-    return obj.map(sortObjectKeys);
+  const fix = (at, message) => {
+    fixes.push({ ...positionAt(input, at), message });
+  };
+  
+  const current = () => stack[stack.length - 1] || root;
+  
+  const insertAt = (index, text) => {
+    out = out.slice(0, index) + text + out.slice(index);
+  };
+  
+  // Prepare for a key or value starting at `at`; returns false when the document has already ended
+  const enterValue = (at) => {
+    const container = current();
+    
+    if (container.expect === 'comma') {
+      if (container === root) return false;
+      insertAt(lastValueEnd, ',');
+      fix(at, 'Inserted missing comma');
+      container.expect = container.type === '{' ? 'key' : 'value';
+    } else if (container.expect === 'colon') {
+      insertAt(lastValueEnd, ':');
+      fix(at, 'Inserted missing colon');
+      container.expect = 'value';
+    }
+    
+    pendingComma = null;
+    return true;
+  };
+  
+  const isKeyPosition = () => current().type === '{' && current().expect === 'key';
+  
+  const endToken = (isKey) => {
+    current().expect = isKey ? 'colon' : 'comma';
+    lastValueEnd = out.length;
+  };
+  
+  const closeContainer = (at, inserted) => {
+    const container = stack[stack.length - 1];
+    
+    if (pendingComma) {
+      out = out.slice(0, pendingComma.outIndex) + out.slice(pendingComma.outIndex + 1);
+      fix(pendingComma.at, 'Removed trailing comma');
+      pendingComma = null;
+    }
+    
+    if (container.expect === 'colon') {
+      out += ': null';
+      fix(at, 'Inserted null for missing value');
+    } else if (container.type === '{' && container.expect === 'value') {
+      out += 'null';
+      fix(at, 'Inserted null for missing value');
+    }
+    
+    out += closers[container.type];
+    if (inserted) fix(at, `Inserted missing '${closers[container.type]}'`);
+    stack.pop();
+    endToken(false);
+  };
+  
+  // Whether the next closing quote after `from` ends a value (is followed by , } ] : or the end),
+  // so the line breaks before it belong to the string
+  const closesLater = (from, ends) => {
+    for (let i = from; i < input.length; i++) {
+      if (input[i] === '\\') {
+        i++;
+      } else if (ends.includes(input[i])) {
+        return /^\s*(?:[,}\]:]|$)/.test(input.slice(i + 1, i + 64));
+      }
+    }
+    return false;
+  };
+  
+  const readString = (quote) => {
+    const start = pos;
+    const ends = stringClosers[quote];
+    let content = '';
+    let multiline = null;
+    pos++;
+    
+    while (true) {
+      const char = input[pos];
+      if (char === '\n' || char === '\r') {
+        multiline = multiline ?? closesLater(pos, ends);
+      }
+      if (char === undefined || ((char === '\n' || char === '\r') && !multiline)) {
+        fix(start, 'Closed unterminated string');
+        break;
+      }
+      if (ends.includes(char)) {
+        pos++;
+        break;
+      }
+      if (char === '\\') {
+        const next = input[pos + 1];
+        if (next !== undefined) {
+          content += '"\\/bfnrtu'.includes(next) ? `\\${next}` : JSON.stringify(next).slice(1, -1);
+        }
+        pos += 2;
+        continue;
+      }
+      if (char === '"' || char < ' ') {
+        if (char < ' ') fix(pos, 'Escaped control character in string');
+        content += JSON.stringify(char).slice(1, -1);
+        pos++;
+        continue;
+      }
+      content += char;
+      pos++;
+    }
+    
+    if (quote === "'") fix(start, 'Replaced single quotes with double quotes');
+    else if (quote !== '"') fix(start, 'Replaced smart quotes with straight quotes');
+    return `"${content}"`;
+  };
+  
+  while (pos < input.length) {
+    const char = input[pos];
+    
+    if (/\s/.test(char)) {
+      out += char;
+      pos++;
+      continue;
+    }
+    
+    if (char === '/' && (input[pos + 1] === '/' || input[pos + 1] === '*')) {
+      const isLine = input[pos + 1] === '/';
+      const end = isLine ? input.indexOf('\n', pos) : input.indexOf('*/', pos + 2);
+      fix(pos, 'Removed comment');
+      pos = end === -1 ? input.length : end + (isLine ? 0 : 2);
+      continue;
+    }
+    
+    if (char === '{' || char === '[') {
+      if (!enterValue(pos)) break;
+      out += char;
+      stack.push({ type: char, expect: char === '{' ? 'key' : 'value' });
+      pos++;
+      continue;
+    }
+    
+    if (char === '}' || char === ']') {
+      const opener = char === '}' ? '{' : '[';
+      const depth = stack.map(container => container.type).lastIndexOf(opener);
+      if (depth === -1) {
+        fix(pos, `Removed unmatched '${char}'`);
+      } else {
+        while (stack.length - 1 > depth) closeContainer(pos, true);
+        closeContainer(pos, false);
+      }
+      pos++;
+      continue;
+    }
+    
+    if (char === ':') {
+      if (current().expect === 'colon') {
+        out += ':';
+        current().expect = 'value';
+      } else {
+        fix(pos, "Removed unexpected ':'");
+      }
+      pos++;
+      continue;
+    }
+    
+    if (char === ',') {
+      const container = current();
+      // "a": , and "a", have lost their value; dropping the comma would pair keys with the wrong values
+      if (container.type === '{' && container.expect === 'value') {
+        out += 'null';
+        fix(pos, 'Inserted null for missing value');
+        endToken(false);
+      } else if (container.type === '{' && container.expect === 'colon') {
+        insertAt(lastValueEnd, ': null');
+        fix(pos, 'Inserted null for missing value');
+        endToken(false);
+      }
+      if (container.expect === 'comma' && container !== root) {
+        out += ',';
+        pendingComma = { outIndex: out.length - 1, at: pos };
+        container.expect = container.type === '{' ? 'key' : 'value';
+      } else if (container !== root || container.expect !== 'comma') {
+        fix(pos, 'Removed extra comma');
+      } else {
+        break;
+      }
+      pos++;
+      continue;
+    }
+    
+    if (char in stringClosers) {
+      const start = pos;
+      if (!enterValue(start)) break;
+      const isKey = isKeyPosition();
+      out += readString(char);
+      endToken(isKey);
+      continue;
+    }
+    
+    // "a: 1, b: 2" is an object that lost its braces
+    const membersMatch = /[\w$][\w$-]*(?:[ \t]+[\w$][\w$-]*)*[ \t]*:/y;
+    membersMatch.lastIndex = pos;
+    if (current() === root && root.expect === 'value' && membersMatch.test(input)) {
+      out += '{';
+      stack.push({ type: '{', expect: 'key' });
+      fix(pos, "Inserted missing '{'");
+    }
+    
+    // Unquoted keys may start with a digit (e.g. 2fa), so check them before numbers
+    const keyMatch = /[\w$][\w$-]*(?=\s*:)/y;
+    keyMatch.lastIndex = pos;
+    const bareKey = current().type === '{' && current().expect !== 'value' && keyMatch.exec(input)?.[0];
+    if (bareKey) {
+      if (current().expect === 'colon') {
+        // The previous key has no value: "{a b: 1}" is read as {"a": null, "b": 1}
+        insertAt(lastValueEnd, ': null');
+        fix(pos, 'Inserted null for missing value');
+        lastValueEnd += ': null'.length;
+        current().expect = 'comma';
+      }
+      enterValue(pos);
+      out += JSON.stringify(bareKey);
+      fix(pos, `Quoted unquoted key ${bareKey}`);
+      pos += bareKey.length;
+      endToken(true);
+      continue;
+    }
+    
+    const numberMatch = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+    numberMatch.lastIndex = pos;
+    const number = numberMatch.exec(input)?.[0];
+    if (number) {
+      if (!enterValue(pos)) break;
+      const isKey = isKeyPosition();
+      const strict = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(number);
+      const normalized = strict ? number : String(Number(number));
+      if (isKey) {
+        out += `"${normalized}"`;
+        fix(pos, 'Quoted numeric key');
+      } else {
+        out += normalized;
+        if (!strict) fix(pos, `Normalized number ${number} to ${normalized}`);
+      }
+      pos += number.length;
+      endToken(isKey);
+      continue;
+    }
+    
+    // Signed Infinity and NaN keep their sign when quoted
+    const wordMatch = /[-+]?(?:Infinity|NaN)(?![\w$])|[A-Za-z_$][\w$-]*/y;
+    wordMatch.lastIndex = pos;
+    const word = wordMatch.exec(input)?.[0];
+    if (word) {
+      if (!enterValue(pos)) break;
+      const isKey = isKeyPosition();
+      if (isKey) {
+        out += JSON.stringify(word);
+        fix(pos, `Quoted unquoted key ${word}`);
+      } else if (word in literalFixes) {
+        out += literalFixes[word];
+        fix(pos, `Replaced ${word} with ${literalFixes[word]}`);
+      } else if (word === 'true' || word === 'false' || word === 'null') {
+        out += word;
+      } else {
+        out += JSON.stringify(word);
+        fix(pos, `Quoted bare word ${word}`);
+      }
+      pos += word.length;
+      endToken(isKey);
+      continue;
+    }
+    
+    fix(pos, `Removed unexpected character '${char}'`);
+    pos++;
   }
   
-  const sorted = {};
-  const keys = Object.keys(obj).sort();
+  if (pos < input.length && input.slice(pos).trim()) {
+    fix(pos, 'Removed text after the end of the document');
+  }
   
-  for (const key of keys) {
-    sorted[key] = sortObjectKeys(obj[key]);
+  while (stack.length > 0) {
+    closeContainer(input.length, true);
   }
   
-  return sorted;
+  const output = out.trimEnd();
+  
+  try {
+    JSON.parse(output);
+    return {
+      success: true,
+      output,
+      fixes
+    };
+  } catch (error) {
+    const { error: message, position } = describeParseError(error, output);
+    return {
+      success: false,
+      output,
+      fixes,
+      error: message,
+      position
+    };
+  }
+};
+
+/**
+ * Convert a character offset to a line/column position
+ * @param {string} input - Source text
+ * @param {number} index - Character offset
+ * @returns {Object} Position object with line, column and index
+ */
+const positionAt = (input, index) => {
+  const lines = input.substring(0, index).split('\n');
+  return {
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1,
+    index
+  };
 };
 
 /**
  * Calculate JSON statistics
  * @param {string} input - JSON string
- * @returns {Object} Statistics object
+ * @param {Object} options - Parse options (see parseJSON)
+ * @param {boolean} options.deep - Also build the detailed report (see analyzeJSON)
+ * @returns {Object} Statistics object; report is null unless deep is set
  */
-export const getJSONStats = (input) => {
+export const getJSONStats = (input, options = {}) => {
   try {
-    const parsed = JSON.parse(input);
-    const formatted = JSON.stringify(parsed, null, 2);
+    // The report measures numbers as written, so it needs them exact
+    const parsed = parseJSON(input, { dialect: options.dialect, lossless: Boolean(options.deep) });
+    
+    // JSON Lines stats add up across records, as if each were formatted on its own
+    const records = options.dialect === 'ndjson' ? parsed : [parsed];
     
     return {
-      lines: formatted.split('\n').length,
+      records: records.length,
+      lines: records.reduce((sum, record) => sum + countLines(record), 0),
       chars: input.length,
-      keys: countKeys(parsed),
-      depth: getDepth(parsed),
-      size: new Blob([input]).size
+      keys: records.reduce((sum, record) => sum + countKeys(record), 0),
+      depth: records.reduce((max, record) => Math.max(max, getDepth(record)), 0),
+      size: new Blob([input]).size,
+      report: options.deep ? analyzeJSON(parsed) : null
     };
   } catch {
     return {
+      records: 0,
       lines: 0,
       chars: 0,
       keys: 0,
       depth: 0,
-      size: 0
+      size: 0,
+      report: null
     };
   }
 };
 
+/**
+ * Count the lines JSON.stringify(value, null, 2) would produce, without building the string
+ * @param {*} value - Parsed JSON value
+ * @returns {number} Line count
+ */
+const countLines = (value) => {
+  if (!isContainer(value)) {
+    return 1;
+  }
+  
+  const children = Array.isArray(value) ? value : Object.values(value);
+  if (children.length === 0) {
+    return 1;
+  }
+  
+  return children.reduce((sum, child) => sum + countLines(child), 2);
+};
+
 /**
  * Count total keys in JSON object
  * @param {*} obj - Object to count keys in
  * @returns {number} Total key count
  */
 const countKeys = (obj) => {
-  if (obj === null || typeof obj !== 'object') {
+  if (!isContainer(obj)) {
     return 0;
   }
   
@@ -214,7 +1991,7 @@ const countKeys = (obj) => {
  * @returns {number} Maximum depth
  */
 const getDepth = (obj) => {
-  if (obj === null || typeof obj !== 'object') {
+  if (!isContainer(obj)) {
     return 0;
   }
   
@@ -232,28 +2009,26 @@ const getDepth = (obj) => {
 /**
  * Highlight JSON syntax for display
  * @param {string} json - JSON string to highlight
+ * @param {Object} strings - For a piece of a longer line: the kind of string ('string', 'key'
+ *   or null) the piece starts inside of (startsIn) and ends inside of (endsIn)
  * @returns {string} HTML with syntax highlighting
  */
-export const highlightJSON = (json) => {
+export const highlightJSON = (json, { startsIn = null, endsIn = null } = {}) => {
   if (!json) return '';
   
-  // Escape HTML entities
-  const escapeHtml = (str) => {
-    return str
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
-  };
-  
   // Use JSON.stringify if input is an object
-  const jsonString = typeof json === 'object' 
+  let jsonString = typeof json === 'object' 
     ? JSON.stringify(json, null, 2) 
     : json;
   
+  // Close a string cut off at either end so it is highlighted whole; the quotes are removed again below
+  if (startsIn) jsonString = `"${jsonString}`;
+  if (endsIn) jsonString += endsIn === 'key' ? '":' : '"';
+  
   // Regex to match JSON tokens
   const regex = /("(\\u[a-zA-Z0-9]{4}|\\[^u]|[^\\"])*"(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?)/g;
   
-  let result = escapeHtml(jsonString);
+  let result = escapeHtml(jsonString, false);
   
   // We need to highlight after escaping
   result = result.replace(/("(\\u[a-zA-Z0-9]{4}|\\[^u]|[^\\"])*"(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?)/g, (match) => {
@@ -277,5 +2052,8 @@ export const highlightJSON = (json) => {
   // Add brackets highlighting
   result = result.replace(/([{}\[\]])/g, '<span class="json-bracket">$1</span>');
   
+  if (startsIn) result = result.replace(/^(<span class="json-(?:key|string)">)"/, '$1');
+  if (endsIn) result = result.replace(/":?<\/span>$/, '</span>');
+  
   return result;
 };
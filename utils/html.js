@@ -0,0 +1,18 @@
+/**
+ * HTML Utilities
+ * Escapes text for the views that build their markup as strings
+ */
+
+/**
+ * Escape HTML for safe display
+ * @param {string} str - String to escape
+ * @param {boolean} quote - Also escape double quotes (highlightJSON matches them after escaping)
+ * @returns {string} Escaped string
+ */
+export const escapeHtml = (str, quote = true) => {
+  const escaped = String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  return quote ? escaped.replace(/"/g, '&quot;') : escaped;
+};
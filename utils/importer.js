@@ -0,0 +1,1425 @@
+/**
+ * Import Utilities
+ * Reads YAML, XML, CSV/TSV, TOML and URL query strings into JSON values, and guesses which one a text is
+ */
+
+import { createLosslessNumber, isLosslessNumber, isSafeNumberLiteral, isObject, hasOwn, setMember } from './lossless.js';
+
+/**
+ * Parse text in another format into a JSON value
+ * @param {string} text - Source text
+ * @param {string} format - 'yaml', 'xml', 'csv', 'tsv', 'toml' or 'query'
+ * @param {Object} options - XML options, see xmlToJSON
+ * @returns {*} Parsed value (numbers a JS number cannot hold are lossless numbers)
+ * @throws {SyntaxError} With a position ({ line, column, index }) when the text is invalid
+ */
+export const importFormat = (text, format, options = {}) => {
+  switch (format) {
+    case 'yaml':
+      return yamlToJSON(text);
+    case 'xml':
+      return xmlToJSON(text, options);
+    case 'csv':
+      return csvToJSON(text);
+    case 'tsv':
+      return csvToJSON(text, { delimiter: '\t' });
+    case 'toml':
+      return tomlToJSON(text);
+    case 'query':
+      return queryStringToJSON(text);
+    default:
+      throw new Error(`Unknown import format: ${format}`);
+  }
+};
+
+/**
+ * Guess the format of a pasted or loaded text
+ * @param {string} text - Text to inspect
+ * @returns {string|null} 'json', a format importFormat reads, or null if it looks like none of them
+ */
+export const detectFormat = (text) => {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (!trimmed) return null;
+  
+  const lines = trimmed.split(/\r?\n/).filter(line => line.trim() && !/^\s*#/.test(line));
+  const [first = ''] = lines;
+  
+  if (trimmed.startsWith('<')) return 'xml';
+  if (/^[{"]|^\/[/*]/.test(trimmed)) return 'json';
+  // a=1 alone is left to TOML
+  if (lines.length === 1 && /[&?]/.test(trimmed) && QUERY_STRING.test(trimmed)) return 'query';
+  // Before arrays: [table] headers start with a bracket too
+  if (looksLikeTOML(lines)) return 'toml';
+  if (trimmed.startsWith('[')) return 'json';
+  if (lines.length === 1 && /^(-?\d|true\b|false\b|null\b)/.test(trimmed) && !trimmed.includes(',')) return 'json';
+  if (lines.every(line => /^\s/.test(line) || YAML_LINE.test(line))) return 'yaml';
+  if (trimmed.includes('\t') && isTabular(trimmed, '\t')) return 'tsv';
+  if (isTabular(trimmed, guessDelimiter(trimmed))) return 'csv';
+  if (/^---(\s|$)/.test(first) || YAML_LINE.test(first)) return 'yaml';
+  return null;
+};
+
+// A line that starts YAML structure: a key, a list item or a document marker
+const YAML_LINE = /^(- |-$|---(\s|$)|\.\.\.$|%YAML |("[^"]*"|'[^']*'|[^\s#"'[{][^#]*?):(\s|$))/;
+
+// key=value pairs joined by &, optionally after "?" or a whole URL
+const QUERY_STRING = /^(\?|[a-z][\w+.-]*:\/\/[^?#\s]*\?)?[^=&\s#]+=[^&\s#]*(&[^=&\s#]*(=[^&\s#]*)?)*(#\S*)?$/i;
+
+/**
+ * Check whether the meaningful lines of a text read as TOML
+ * @param {Array<string>} lines - Non-blank, non-comment lines
+ * @returns {boolean} True if it starts with a table or key = value and has assignments
+ */
+const looksLikeTOML = (lines) => {
+  const header = /^\s*\[\[?\s*[\w"'.\- ]+\]\]?\s*(#.*)?$/;
+  const assignment = /^\s*([\w-]+|"[^"]*"|'[^']*')(\s*\.\s*([\w-]+|"[^"]*"|'[^']*'))*\s*=\s*\S/;
+  if (!header.test(lines[0]) && !assignment.test(lines[0])) return false;
+  
+  const structural = lines.filter(line => header.test(line) || assignment.test(line)).length;
+  return lines.some(line => assignment.test(line)) && structural * 2 >= lines.length;
+};
+
+/**
+ * Check whether a text is a table: at least two rows with the same number (2+) of fields
+ * @param {string} text - Text to inspect (only the first few KB are read)
+ * @param {string} delimiter - Field separator
+ * @returns {boolean} True for consistent rows
+ */
+const isTabular = (text, delimiter) => {
+  // Cut the sample at a line break; a partial last row is dropped
+  const sample = text.length > 4096 ? text.slice(0, text.lastIndexOf('\n', 4096)) : text;
+  try {
+    const rows = parseDelimitedRows(sample, delimiter);
+    return rows.length > 1 && rows[0].length > 1 && rows.every(row => row.length === rows[0].length);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Parse YAML 1.2 (block and flow styles, anchors, aliases and merge keys).
+ * Several documents become an array of documents.
+ * @param {string} text - YAML text
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} For invalid YAML or values JSON cannot hold (.inf, .nan)
+ */
+export const yamlToJSON = (text) => {
+  const src = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const anchors = new Map();
+  let pos = 0;
+  
+  const fail = (message, at = pos) => {
+    throw createImportError(message, src, at);
+  };
+  
+  const columnOf = (p) => p - (src.lastIndexOf('\n', p - 1) + 1);
+  const isBlankOrEnd = (p) => p >= src.length || src[p] === ' ' || src[p] === '\t' || src[p] === '\n';
+  const isDocumentMarker = (p) => columnOf(p) === 0 && (src.startsWith('---', p) || src.startsWith('...', p)) && isBlankOrEnd(p + 3);
+  const isSequenceEntry = (p) => src[p] === '-' && isBlankOrEnd(p + 1);
+  
+  const skipInline = () => {
+    while (src[pos] === ' ' || src[pos] === '\t') pos++;
+  };
+  
+  // True if only spaces and an optional comment are left on the line
+  const atLineEnd = () => {
+    let p = pos;
+    while (src[p] === ' ' || src[p] === '\t') p++;
+    return p >= src.length || src[p] === '\n' || src[p] === '#';
+  };
+  
+  // Move to the next content character, across blank lines and comments
+  const skipToContent = () => {
+    let newLine = false;
+    for (;;) {
+      skipInline();
+      if (src[pos] === '#') {
+        while (pos < src.length && src[pos] !== '\n') pos++;
+      }
+      if (src[pos] !== '\n') break;
+      pos++;
+      newLine = true;
+    }
+    if (newLine && pos < src.length && src.slice(pos - columnOf(pos), pos).includes('\t')) {
+      fail('Tabs cannot be used for indentation');
+    }
+  };
+  
+  // Check, without moving, whether the current line holds a "key:" mapping entry
+  const isMappingKey = (p) => {
+    if (src[p] === '"' || src[p] === "'") {
+      const end = findQuoteEnd(p);
+      if (end < 0) return false;
+      let i = end;
+      while (src[i] === ' ' || src[i] === '\t') i++;
+      return src[i] === ':' && isBlankOrEnd(i + 1);
+    }
+    if ('[]{}#&*!|>%@`,'.includes(src[p]) || isSequenceEntry(p)) return false;
+    
+    for (let i = p; i < src.length && src[i] !== '\n'; i++) {
+      if (src[i] === ':' && isBlankOrEnd(i + 1)) return true;
+      if (src[i] === '#' && (src[i - 1] === ' ' || src[i - 1] === '\t')) return false;
+    }
+    return false;
+  };
+  
+  // Index after the closing quote of a single-line quoted scalar, or -1
+  const findQuoteEnd = (p) => {
+    const quote = src[p];
+    for (let i = p + 1; i < src.length && src[i] !== '\n'; i++) {
+      if (quote === '"' && src[i] === '\\') {
+        i++;
+      } else if (src[i] === quote) {
+        if (quote === "'" && src[i + 1] === "'") {
+          i++;
+        } else {
+          return i + 1;
+        }
+      }
+    }
+    return -1;
+  };
+  
+  const parseProperties = () => {
+    const properties = { anchor: null, tag: null };
+    for (;;) {
+      if (src[pos] === '&' || src[pos] === '!') {
+        const start = pos;
+        while (pos < src.length && !/[\s,[\]{}]/.test(src[pos])) pos++;
+        if (src[start] === '&') {
+          properties.anchor = src.slice(start + 1, pos);
+        } else {
+          properties.tag = src.slice(start, pos);
+        }
+        skipInline();
+      } else {
+        return properties;
+      }
+    }
+  };
+  
+  /**
+   * Parse the node after "- ", "key:" or a document start
+   * @param {number} parentIndent - Column of the parent entry (-1 for a document)
+   * @param {string} context - 'document', 'mapping' or 'sequence'
+   */
+  const parseNode = (parentIndent, context) => {
+    skipInline();
+    const { anchor, tag } = parseProperties();
+    const value = atLineEnd()
+      ? parseBlockBelow(parentIndent, context)
+      : parseInline(parentIndent, context !== 'mapping', tag);
+    if (anchor) anchors.set(anchor, value);
+    return value;
+  };
+  
+  // The value starts on a later line, or is empty
+  const parseBlockBelow = (parentIndent, context) => {
+    skipToContent();
+    const column = columnOf(pos);
+    if (pos >= src.length || isDocumentMarker(pos) || column < parentIndent) return null;
+    // A list may sit at the same indentation as the key that owns it
+    if (column === parentIndent && !(context === 'mapping' && isSequenceEntry(pos))) return null;
+    
+    if (isSequenceEntry(pos)) return parseSequence(column);
+    if (isMappingKey(pos)) return parseMapping(column);
+    return parseInline(parentIndent, false, null);
+  };
+  
+  // The value starts on the current line
+  const parseInline = (parentIndent, compact, tag) => {
+    const ch = src[pos];
+    if (compact && isSequenceEntry(pos)) return parseSequence(columnOf(pos));
+    if (compact && isMappingKey(pos)) return parseMapping(columnOf(pos));
+    if (ch === '?' && isBlankOrEnd(pos + 1)) fail('Complex mapping keys ("? key") are not supported');
+    if (ch === '|' || ch === '>') return parseBlockScalar(parentIndent);
+    
+    let value;
+    if (ch === '*') {
+      value = parseAlias();
+    } else if (ch === '"' || ch === "'") {
+      value = parseQuoted();
+    } else if (ch === '[' || ch === '{') {
+      value = parseFlowCollection();
+    } else {
+      value = parsePlain(parentIndent, tag);
+    }
+    
+    if (!atLineEnd()) {
+      skipInline();
+      fail(src[pos] === ':' ? 'A mapping cannot start on the same line as its key' : `Unexpected "${src[pos]}"`);
+    }
+    return value;
+  };
+  
+  const parseMapping = (column) => {
+    const result = {};
+    const explicitKeys = new Set();
+    
+    for (;;) {
+      const keyStart = pos;
+      let key;
+      if (src[pos] === '"' || src[pos] === "'") {
+        key = parseQuoted();
+        skipInline();
+      } else {
+        while (!(src[pos] === ':' && isBlankOrEnd(pos + 1))) pos++;
+        key = src.slice(keyStart, pos).trim();
+      }
+      pos++;
+      
+      if (explicitKeys.has(key)) fail(`Duplicate key "${key}"`, keyStart);
+      const value = parseNode(column, 'mapping');
+      
+      if (key === '<<' && src[keyStart] === '<') {
+        mergeInto(result, value, keyStart);
+      } else {
+        explicitKeys.add(key);
+        setMember(result, key, value);
+      }
+      
+      skipToContent();
+      if (pos >= src.length || isDocumentMarker(pos) || columnOf(pos) < column) return result;
+      if (columnOf(pos) > column || !isMappingKey(pos)) fail('Bad indentation of a mapping entry');
+    }
+  };
+  
+  // Merge keys (<<) add members the mapping does not set itself
+  const mergeInto = (target, source, at) => {
+    const sources = Array.isArray(source) ? source : [source];
+    for (const item of sources) {
+      if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+        fail('A merge key (<<) needs a mapping or a list of mappings', at);
+      }
+      for (const [key, value] of Object.entries(item)) {
+        if (!hasOwn(target, key)) setMember(target, key, value);
+      }
+    }
+  };
+  
+  const parseSequence = (column) => {
+    const result = [];
+    
+    for (;;) {
+      pos++;
+      result.push(parseNode(column, 'sequence'));
+      
+      skipToContent();
+      if (pos >= src.length || isDocumentMarker(pos) || columnOf(pos) < column) return result;
+      // The next key of a mapping whose list shares its indentation
+      if (columnOf(pos) === column && !isSequenceEntry(pos)) return result;
+      if (columnOf(pos) > column) fail('Bad indentation of a sequence entry');
+    }
+  };
+  
+  const parseAlias = () => {
+    const start = pos++;
+    while (pos < src.length && !/[\s,[\]{}]/.test(src[pos])) pos++;
+    const name = src.slice(start + 1, pos);
+    if (!anchors.has(name)) fail(`Unknown alias *${name}`, start);
+    return anchors.get(name);
+  };
+  
+  // Read a plain scalar up to the end of the line, a comment or a ": " (and flow indicators in flow context)
+  const readPlainLine = (flow) => {
+    const start = pos;
+    while (pos < src.length && src[pos] !== '\n') {
+      const ch = src[pos];
+      if (ch === ':' && (isBlankOrEnd(pos + 1) || (flow && ',[]{}'.includes(src[pos + 1])))) break;
+      if (ch === '#' && pos > start && (src[pos - 1] === ' ' || src[pos - 1] === '\t')) break;
+      if (flow && ',[]{}'.includes(ch)) break;
+      pos++;
+    }
+    return src.slice(start, pos).trim();
+  };
+  
+  const parsePlain = (parentIndent, tag) => {
+    const start = pos;
+    let text = readPlainLine(false);
+    
+    // Continuation lines are folded: one line break becomes a space
+    while (src[pos] === '\n') {
+      let p = pos;
+      let newlines = 0;
+      let lineStart;
+      do {
+        p++;
+        newlines++;
+        lineStart = p;
+        while (src[p] === ' ' || src[p] === '\t') p++;
+      } while (src[p] === '\n');
+      
+      if (p >= src.length || src[p] === '#' || p - lineStart <= parentIndent || isDocumentMarker(p)) break;
+      if (isMappingKey(p)) fail('Bad indentation of a mapping entry', p);
+      pos = p;
+      text += (newlines === 1 ? ' ' : '\n'.repeat(newlines - 1)) + readPlainLine(false);
+    }
+    
+    return resolvePlain(text, tag, start);
+  };
+  
+  const resolvePlain = (text, tag, at) => {
+    if (tag === '!!str' || tag === '!') return text;
+    if (/^[-+]?\.(inf|Inf|INF)$|^\.(nan|NaN|NAN)$/.test(text)) fail(`${text} has no JSON equivalent`, at);
+    return resolveYAMLScalar(text);
+  };
+  
+  const parseQuoted = () => {
+    const start = pos;
+    const quote = src[pos++];
+    let out = '';
+    // Length of out that line folding must not trim (escaped whitespace)
+    let kept = 0;
+    
+    for (;;) {
+      if (pos >= src.length) fail('Unterminated quoted string', start);
+      const ch = src[pos];
+      
+      if (ch === quote) {
+        if (quote === "'" && src[pos + 1] === "'") {
+          out += "'";
+          pos += 2;
+          continue;
+        }
+        pos++;
+        return out;
+      }
+      
+      if (ch === '\\' && quote === '"') {
+        const next = src[pos + 1];
+        if (next === '\n') {
+          // Escaped line break: join the lines without a space
+          pos += 2;
+          while (src[pos] === ' ' || src[pos] === '\t') pos++;
+        } else if (next in YAML_ESCAPES) {
+          out += YAML_ESCAPES[next];
+          pos += 2;
+        } else if (next in HEX_ESCAPE_LENGTHS) {
+          const hex = src.substr(pos + 2, HEX_ESCAPE_LENGTHS[next]);
+          if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== HEX_ESCAPE_LENGTHS[next]) fail(`Invalid escape \\${next}${hex}`);
+          out += String.fromCodePoint(parseInt(hex, 16));
+          pos += 2 + hex.length;
+        } else {
+          fail(`Invalid escape \\${next}`);
+        }
+        kept = out.length;
+        continue;
+      }
+      
+      if (ch === '\n') {
+        out = out.slice(0, kept) + out.slice(kept).replace(/[ \t]+$/, '');
+        let newlines = 0;
+        while (src[pos] === '\n') {
+          newlines++;
+          pos++;
+          while (src[pos] === ' ' || src[pos] === '\t') pos++;
+        }
+        if (isDocumentMarker(pos)) fail('Unterminated quoted string', start);
+        out += newlines === 1 ? ' ' : '\n'.repeat(newlines - 1);
+        continue;
+      }
+      
+      out += ch;
+      pos++;
+    }
+  };
+  
+  const parseBlockScalar = (parentIndent) => {
+    const folded = src[pos++] === '>';
+    let chomping = 'clip';
+    let indicator = 0;
+    for (let i = 0; i < 2; i++) {
+      if (src[pos] === '-' || src[pos] === '+') {
+        chomping = src[pos++] === '-' ? 'strip' : 'keep';
+      } else if (/[1-9]/.test(src[pos])) {
+        indicator = Number(src[pos++]);
+      }
+    }
+    if (!atLineEnd()) fail('Unexpected text after a block scalar indicator');
+    while (pos < src.length && src[pos] !== '\n') pos++;
+    
+    let indent = indicator ? Math.max(parentIndent, 0) + indicator : null;
+    const lines = [];
+    while (pos < src.length) {
+      const lineStart = pos + 1;
+      let p = lineStart;
+      while (src[p] === ' ') p++;
+      const lineEnd = src.indexOf('\n', lineStart) < 0 ? src.length : src.indexOf('\n', lineStart);
+      // Spaces past the indentation are content, even on a line with nothing else
+      const blank = src.slice(p, lineEnd).trim() === '' && (indent === null || lineEnd - lineStart <= indent);
+      
+      if (!blank) {
+        if (indent === null) {
+          indent = p - lineStart;
+          if (indent <= parentIndent) break;
+        }
+        if (p - lineStart < indent || isDocumentMarker(p)) break;
+      }
+      lines.push(blank ? '' : src.slice(lineStart + indent, lineEnd));
+      pos = lineEnd;
+    }
+    
+    let trailing = 0;
+    while (lines.length && lines[lines.length - 1] === '') {
+      lines.pop();
+      trailing++;
+    }
+    const body = folded ? foldBlockLines(lines) : lines.join('\n');
+    if (lines.length === 0) return chomping === 'keep' ? '\n'.repeat(trailing) : '';
+    if (chomping === 'strip') return body;
+    return chomping === 'clip' ? `${body}\n` : `${body}\n${'\n'.repeat(trailing)}`;
+  };
+  
+  // Flow collections ([a, b], {a: 1}) may span lines and hold comments
+  const skipFlowSpace = () => {
+    for (;;) {
+      while (src[pos] === ' ' || src[pos] === '\t' || src[pos] === '\n') pos++;
+      if (src[pos] !== '#') return;
+      while (pos < src.length && src[pos] !== '\n') pos++;
+    }
+  };
+  
+  const parseFlowNode = (asKey) => {
+    skipFlowSpace();
+    const { anchor, tag } = parseProperties();
+    skipFlowSpace();
+    const start = pos;
+    const ch = src[pos];
+    
+    let value;
+    if (ch === '[' || ch === '{') {
+      if (asKey) fail('Collections cannot be used as keys');
+      value = parseFlowCollection();
+    } else if (ch === '"' || ch === "'") {
+      value = parseQuoted();
+    } else if (ch === '*') {
+      value = parseAlias();
+    } else {
+      const text = readPlainLine(true);
+      if (!text && !tag && !anchor) fail(pos >= src.length ? 'Unterminated flow collection' : `Unexpected "${src[pos]}"`);
+      value = asKey ? text : resolvePlain(text, tag, start);
+    }
+    if (anchor) anchors.set(anchor, value);
+    return value;
+  };
+  
+  const parseFlowCollection = () => {
+    const start = pos;
+    const isSequence = src[pos++] === '[';
+    const close = isSequence ? ']' : '}';
+    const result = isSequence ? [] : {};
+    
+    for (;;) {
+      skipFlowSpace();
+      if (src[pos] === close) {
+        pos++;
+        return result;
+      }
+      if (pos >= src.length) fail('Unterminated flow collection', start);
+      
+      const entryStart = pos;
+      const first = parseFlowNode(!isSequence);
+      skipFlowSpace();
+      let value = null;
+      const isPair = src[pos] === ':';
+      if (isPair) {
+        pos++;
+        skipFlowSpace();
+        if (src[pos] !== ',' && src[pos] !== close) value = parseFlowNode(false);
+      }
+      
+      if (isSequence) {
+        // [a: 1] is a list holding a one-member mapping
+        result.push(isPair ? setMember({}, toFlowKey(first, entryStart), value) : first);
+      } else {
+        if (hasOwn(result, first)) fail(`Duplicate key "${first}"`, entryStart);
+        setMember(result, first, value);
+      }
+      
+      skipFlowSpace();
+      if (src[pos] === ',') {
+        pos++;
+      } else if (src[pos] !== close) {
+        fail(pos >= src.length ? 'Unterminated flow collection' : `Expected "," or "${close}"`, pos >= src.length ? start : pos);
+      }
+    }
+  };
+  
+  const toFlowKey = (value, at) => {
+    if (isLosslessNumber(value)) return value.value;
+    if (value !== null && typeof value === 'object') fail('Collections cannot be used as keys', at);
+    return String(value);
+  };
+  
+  const documents = [];
+  for (;;) {
+    skipToContent();
+    while (src[pos] === '%' && columnOf(pos) === 0) {
+      // Directives (%YAML, %TAG) do not change how JSON-compatible data reads
+      while (pos < src.length && src[pos] !== '\n') pos++;
+      skipToContent();
+    }
+    if (pos >= src.length) break;
+    
+    if (isDocumentMarker(pos) && src.startsWith('...', pos)) {
+      pos += 3;
+      continue;
+    }
+    if (isDocumentMarker(pos)) pos += 3;
+    
+    documents.push(parseNode(-1, 'document'));
+    skipToContent();
+    if (isDocumentMarker(pos) && src.startsWith('...', pos)) {
+      pos += 3;
+    } else if (pos < src.length && !isDocumentMarker(pos)) {
+      fail(`Unexpected "${src[pos]}"`);
+    }
+  }
+  
+  if (documents.length === 0) return null;
+  return documents.length === 1 ? documents[0] : documents;
+};
+
+// Single-character escapes of double-quoted YAML strings
+const YAML_ESCAPES = {
+  '0': '\0',
+  a: '\x07',
+  b: '\b',
+  t: '\t',
+  '\t': '\t',
+  n: '\n',
+  v: '\v',
+  f: '\f',
+  r: '\r',
+  e: '\x1b',
+  ' ': ' ',
+  '"': '"',
+  '/': '/',
+  '\\': '\\',
+  N: '\u0085',
+  _: '\u00A0',
+  L: '\u2028',
+  P: '\u2029'
+};
+
+// Digits taken by \x, \u and \U escapes
+const HEX_ESCAPE_LENGTHS = { x: 2, u: 4, U: 8 };
+
+/**
+ * Resolve a plain YAML scalar with the core schema
+ * @param {string} text - Scalar text
+ * @returns {*} null, boolean, number or the text itself
+ */
+const resolveYAMLScalar = (text) => {
+  if (/^(~|null|Null|NULL)?$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^0x[0-9a-fA-F]+$|^0o[0-7]+$/.test(text)) return toJSONNumber(BigInt(text).toString());
+  if (/^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/.test(text)) return toJSONNumber(text);
+  return text;
+};
+
+/**
+ * Fold the lines of a ">" block scalar: line breaks between text lines become spaces,
+ * empty lines and more-indented lines keep theirs
+ * @param {Array<string>} lines - Content lines without indentation
+ * @returns {string} Folded text without the final line break
+ */
+const foldBlockLines = (lines) => {
+  let out = '';
+  let empty = 0;
+  let started = false;
+  let previousIndented = false;
+  
+  for (const line of lines) {
+    if (line === '') {
+      empty++;
+      continue;
+    }
+    const indented = line[0] === ' ' || line[0] === '\t';
+    if (!started) {
+      out += '\n'.repeat(empty);
+    } else if (indented || previousIndented) {
+      out += '\n'.repeat(empty + 1);
+    } else {
+      out += empty ? '\n'.repeat(empty) : ' ';
+    }
+    out += line;
+    empty = 0;
+    started = true;
+    previousIndented = indented;
+  }
+  return out;
+};
+
+/**
+ * Parse an XML document. Elements become members named after their tag, repeated
+ * tags become arrays, attributes become "@name" members and text next to child
+ * elements or attributes becomes "#text". Empty elements written as <a/> read as null.
+ * When the json prefix is declared as XML_ARRAY_NAMESPACE (as jsonToXML does), an element
+ * marked json:array="true" reads as the array of its children's values, so
+ * <a json:array="true"/> is an empty array.
+ * The options mirror those of jsonToXML, so its output reads back as the same JSON.
+ * @param {string} text - XML text
+ * @param {Object} options - Read options
+ * @param {string} options.arrayItem - Read an element whose children are all <arrayItem> as an array
+ * @param {string} options.prefix - Namespace prefix to drop from element names, with its xmlns declaration
+ * @param {boolean} options.inferTypes - Read text that is a JSON number, true or false as such
+ * @returns {Object} Object with the root element as its only member
+ * @throws {SyntaxError} For malformed XML
+ */
+export const xmlToJSON = (text, options = {}) => {
+  const { arrayItem = '', prefix = '', inferTypes = false } = options;
+  const src = text.replace(/^\uFEFF/, '');
+  let pos = 0;
+  // Set once the document declares the namespace of the empty array marker
+  let marksArrays = false;
+  
+  const localName = name => (prefix && name.startsWith(`${prefix}:`) ? name.slice(prefix.length + 1) : name);
+  
+  const readText = (value) => {
+    if (!inferTypes) return value;
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(value) ? toJSONNumber(value) : value;
+  };
+  
+  const fail = (message, at = pos) => {
+    throw createImportError(message, src, at);
+  };
+  
+  const skipPast = (terminator, what) => {
+    const end = src.indexOf(terminator, pos);
+    if (end < 0) fail(`Unterminated ${what}`);
+    pos = end + terminator.length;
+  };
+  
+  const skipWhitespace = () => {
+    while (/\s/.test(src[pos] ?? '')) pos++;
+  };
+  
+  const readName = () => {
+    XML_NAME.lastIndex = pos;
+    const match = XML_NAME.exec(src);
+    if (!match) fail('Expected a name');
+    pos += match[0].length;
+    return match[0];
+  };
+  
+  // Declarations, comments, processing instructions and the doctype around the root
+  const skipProlog = () => {
+    for (;;) {
+      skipWhitespace();
+      if (src.startsWith('<?', pos)) {
+        skipPast('?>', 'processing instruction');
+      } else if (src.startsWith('<!--', pos)) {
+        skipPast('-->', 'comment');
+      } else if (src.startsWith('<!DOCTYPE', pos)) {
+        let depth = 0;
+        for (; pos < src.length; pos++) {
+          if (src[pos] === '[') depth++;
+          if (src[pos] === ']') depth--;
+          if (src[pos] === '>' && depth === 0) break;
+        }
+        if (pos >= src.length) fail('Unterminated doctype');
+        pos++;
+      } else {
+        return;
+      }
+    }
+  };
+  
+  const parseElement = () => {
+    const start = pos++;
+    const name = readName();
+    const attributes = [];
+    let selfClosing = false;
+    
+    for (;;) {
+      skipWhitespace();
+      if (src.startsWith('/>', pos)) {
+        pos += 2;
+        selfClosing = true;
+        break;
+      }
+      if (src[pos] === '>') {
+        pos++;
+        break;
+      }
+      if (pos >= src.length) fail(`Unterminated tag <${name}>`, start);
+      
+      const attributeStart = pos;
+      const attribute = readName();
+      skipWhitespace();
+      if (src[pos] !== '=') fail(`Expected "=" after attribute ${attribute}`);
+      pos++;
+      skipWhitespace();
+      const quote = src[pos];
+      if (quote !== '"' && quote !== "'") fail(`Attribute ${attribute} needs a quoted value`);
+      const end = src.indexOf(quote, pos + 1);
+      if (end < 0) fail(`Unterminated value of attribute ${attribute}`);
+      if (attributes.some(([existing]) => existing === attribute)) fail(`Duplicate attribute ${attribute}`, attributeStart);
+      const attributeValue = decodeXMLEntities(src.slice(pos + 1, end));
+      if (attribute === 'xmlns:json' && attributeValue === XML_ARRAY_NAMESPACE) {
+        marksArrays = true;
+      } else if (!prefix || attribute !== `xmlns:${prefix}`) {
+        attributes.push([attribute, readText(attributeValue)]);
+      }
+      pos = end + 1;
+    }
+    
+    const children = [];
+    let content = '';
+    while (!selfClosing) {
+      if (pos >= src.length) fail(`Element <${name}> is never closed`, start);
+      
+      if (src.startsWith('</', pos)) {
+        const closeStart = pos;
+        pos += 2;
+        const closing = readName();
+        if (closing !== name) fail(`Expected </${name}> but found </${closing}>`, closeStart);
+        skipWhitespace();
+        if (src[pos] !== '>') fail(`Expected ">" to close </${name}>`);
+        pos++;
+        break;
+      }
+      
+      if (src.startsWith('<!--', pos)) {
+        skipPast('-->', 'comment');
+      } else if (src.startsWith('<![CDATA[', pos)) {
+        const end = src.indexOf(']]>', pos);
+        if (end < 0) fail('Unterminated CDATA section');
+        content += src.slice(pos + 9, end);
+        pos = end + 3;
+      } else if (src.startsWith('<?', pos)) {
+        skipPast('?>', 'processing instruction');
+      } else if (src[pos] === '<') {
+        children.push(parseElement());
+      } else {
+        const end = src.indexOf('<', pos);
+        content += decodeXMLEntities(src.slice(pos, end < 0 ? src.length : end));
+        pos = end < 0 ? src.length : end;
+      }
+    }
+    
+    if (attributes.length === 0 && children.length === 0) {
+      return [localName(name), selfClosing ? null : readText(content)];
+    }
+    if (marksArrays && attributes.length === 1 && attributes[0][0] === 'json:array' && String(attributes[0][1]) === 'true' &&
+        !content.trim()) {
+      return [localName(name), children.map(([, value]) => value)];
+    }
+    // Wrapped arrays: <tags><item>a</item><item>b</item></tags>
+    if (arrayItem && attributes.length === 0 && !content.trim() && children.every(([child]) => child === arrayItem)) {
+      return [localName(name), children.map(([, value]) => value)];
+    }
+    return [localName(name), buildXMLValue(attributes, children, readText(content.trim()))];
+  };
+  
+  skipProlog();
+  if (src[pos] !== '<') fail('Expected a root element');
+  const [name, value] = parseElement();
+  skipProlog();
+  if (pos < src.length) fail('Unexpected content after the root element');
+  
+  return setMember({}, name, value);
+};
+
+/**
+ * Namespace of the json:array="true" attribute that marks an element as an array in XML
+ */
+export const XML_ARRAY_NAMESPACE = 'urn:x-json:array';
+
+// Element and attribute names, namespace prefix included
+const XML_NAME = /[A-Za-z_:\u00C0-\uFFFF][\w.:\-\u00B7\u00C0-\uFFFF]*/y;
+
+/**
+ * Build the JSON object of an element with attributes or child elements
+ * @param {Array} attributes - [name, value] pairs
+ * @param {Array} children - [name, value] pairs of child elements, in document order
+ * @param {*} text - Trimmed text content, kept as "#text" unless empty
+ * @returns {Object} Object with "@name" members, child members and "#text"
+ */
+const buildXMLValue = (attributes, children, text) => {
+  const counts = new Map();
+  for (const [name] of children) {
+    counts.set(name, (counts.get(name) ?? 0) + 1);
+  }
+  
+  const result = {};
+  for (const [name, value] of attributes) {
+    setMember(result, `@${name}`, value);
+  }
+  for (const [name, value] of children) {
+    if (counts.get(name) === 1) {
+      setMember(result, name, value);
+    } else if (hasOwn(result, name)) {
+      result[name].push(value);
+    } else {
+      setMember(result, name, [value]);
+    }
+  }
+  
+  if (text !== '') setMember(result, '#text', text);
+  return result;
+};
+
+/**
+ * Decode the predefined and numeric character references of XML
+ * @param {string} text - Raw text or attribute value
+ * @returns {string} Decoded text (unknown entities are kept as written)
+ */
+const decodeXMLEntities = (text) => {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[A-Za-z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+};
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Parse CSV or TSV text (RFC 4180 quoting) into records
+ * @param {string} text - Delimited text
+ * @param {Object} options - Parse options
+ * @param {string} options.delimiter - Field separator (guessed from the first line when omitted)
+ * @param {boolean} options.header - Use the first row as keys; otherwise every row becomes an array
+ * @param {boolean} options.inferTypes - Read unquoted numbers and booleans as such and unquoted
+ *   empty cells as null (quoted cells always stay strings)
+ * @returns {Array} Array of records
+ * @throws {SyntaxError} For an unterminated quoted field
+ */
+export const csvToJSON = (text, options = {}) => {
+  const { header = true, inferTypes = true } = options;
+  const src = text.replace(/^\uFEFF/, '');
+  const rows = parseDelimitedRows(src, options.delimiter || guessDelimiter(src))
+    .filter(row => row.length > 1 || row[0].value !== '' || row[0].quoted);
+  
+  const readCell = ({ value, quoted }) => {
+    if (!inferTypes || quoted) return value;
+    if (value === '') return null;
+    if (value === 'true' || value === 'false') return value === 'true';
+    // Only JSON-shaped numbers: "007" and "1e" stay text
+    if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(value)) return toJSONNumber(value);
+    return value;
+  };
+  
+  if (!header) {
+    return rows.map(row => row.map(readCell));
+  }
+  
+  const [head = [], ...body] = rows;
+  const keys = [];
+  const addKey = (name) => {
+    let key = name;
+    for (let n = 2; keys.includes(key); n++) {
+      key = `${name}_${n}`;
+    }
+    keys.push(key);
+  };
+  head.forEach((cell, index) => addKey(cell.value.trim() || `column${index + 1}`));
+  
+  return body.map(row => {
+    while (keys.length < row.length) addKey(`column${keys.length + 1}`);
+    const record = {};
+    keys.forEach((key, index) => {
+      setMember(record, key, index < row.length ? readCell(row[index]) : null);
+    });
+    return record;
+  });
+};
+
+/**
+ * Split delimited text into rows of cells
+ * @param {string} src - Delimited text
+ * @param {string} delimiter - Field separator
+ * @returns {Array<Array<Object>>} Rows of { value, quoted } cells
+ * @throws {SyntaxError} For an unterminated quoted field
+ */
+const parseDelimitedRows = (src, delimiter) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  
+  const endCell = () => {
+    row.push({ value, quoted });
+    value = '';
+    quoted = false;
+  };
+  
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '"' && value === '' && !quoted) {
+      const start = i;
+      quoted = true;
+      i++;
+      for (;;) {
+        const end = src.indexOf('"', i);
+        if (end < 0) throw createImportError('Unterminated quoted field', src, start);
+        value += src.slice(i, end);
+        i = end + 1;
+        if (src[i] !== '"') break;
+        // "" is an escaped quote
+        value += '"';
+        i++;
+      }
+    } else if (ch === delimiter) {
+      endCell();
+      i++;
+    } else if (ch === '\n' || ch === '\r') {
+      endCell();
+      rows.push(row);
+      row = [];
+      i += ch === '\r' && src[i + 1] === '\n' ? 2 : 1;
+    } else {
+      value += ch;
+      i++;
+    }
+  }
+  if (value !== '' || quoted || row.length) {
+    endCell();
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Pick the separator that occurs most often in the first line, outside quotes
+ * @param {string} src - Delimited text
+ * @returns {string} ',', '\t', ';' or '|' (',' if none occurs)
+ */
+const guessDelimiter = (src) => {
+  const counts = { ',': 0, '\t': 0, ';': 0, '|': 0 };
+  let inQuotes = false;
+  for (const ch of src.slice(0, 4096)) {
+    if (ch === '"') inQuotes = !inQuotes;
+    if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+    if (!inQuotes && ch in counts) counts[ch]++;
+  }
+  return Object.keys(counts).reduce((best, ch) => (counts[ch] > counts[best] ? ch : best), ',');
+};
+
+/**
+ * Parse a TOML 1.0 document. Dates and times are kept as written, as strings.
+ * @param {string} text - TOML text
+ * @returns {Object} Parsed tables
+ * @throws {SyntaxError} For invalid TOML, redefined keys or tables, and inf/nan
+ */
+export const tomlToJSON = (text) => {
+  const src = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+  const root = {};
+  // Tables defined by a [header] or dotted keys may not be defined again
+  const definedTables = new WeakSet();
+  // Inline tables and arrays are complete as written
+  const frozenValues = new WeakSet();
+  // Arrays created by [[header]]
+  const tableArrays = new WeakSet();
+  let pos = 0;
+  
+  const fail = (message, at = pos) => {
+    throw createImportError(message, src, at);
+  };
+  
+  const skipInline = () => {
+    while (src[pos] === ' ' || src[pos] === '\t') pos++;
+  };
+  
+  const skipBlank = () => {
+    for (;;) {
+      while (/[ \t\n]/.test(src[pos] ?? '')) pos++;
+      if (src[pos] !== '#') return;
+      while (pos < src.length && src[pos] !== '\n') pos++;
+    }
+  };
+  
+  const expectLineEnd = () => {
+    skipInline();
+    if (src[pos] === '#') {
+      while (pos < src.length && src[pos] !== '\n') pos++;
+    }
+    if (pos < src.length && src[pos] !== '\n') fail(`Unexpected "${src[pos]}"; expected the end of the line`);
+  };
+  
+  const parseKey = () => {
+    const keys = [];
+    for (;;) {
+      skipInline();
+      if (src[pos] === '"' || src[pos] === "'") {
+        if (src.startsWith(src[pos].repeat(3), pos)) fail('Keys cannot be multi-line strings');
+        keys.push(parseString());
+      } else {
+        const start = pos;
+        while (/[A-Za-z0-9_-]/.test(src[pos] ?? '')) pos++;
+        if (pos === start) fail('Expected a key');
+        keys.push(src.slice(start, pos));
+      }
+      skipInline();
+      if (src[pos] !== '.') return keys;
+      pos++;
+    }
+  };
+  
+  // Walk to the table a header names, creating missing tables on the way
+  const walkTables = (keys, at) => {
+    let table = root;
+    keys.forEach((key, index) => {
+      let next = hasOwn(table, key) ? table[key] : undefined;
+      if (next === undefined) {
+        next = setMember(table, key, {})[key];
+      } else if (Array.isArray(next) && tableArrays.has(next)) {
+        next = next[next.length - 1];
+      } else if (!isObject(next) || frozenValues.has(next)) {
+        fail(`Key "${keys.slice(0, index + 1).join('.')}" is already a value, not a table`, at);
+      }
+      table = next;
+    });
+    return table;
+  };
+  
+  const parseHeader = () => {
+    const start = pos;
+    const isArray = src.startsWith('[[', pos);
+    pos += isArray ? 2 : 1;
+    const keys = parseKey();
+    if (!src.startsWith(isArray ? ']]' : ']', pos)) fail(`Expected "${isArray ? ']]' : ']'}"`);
+    pos += isArray ? 2 : 1;
+    
+    const parent = walkTables(keys.slice(0, -1), start);
+    const last = keys[keys.length - 1];
+    const existing = hasOwn(parent, last) ? parent[last] : undefined;
+    
+    if (isArray) {
+      if (existing !== undefined && !(Array.isArray(existing) && tableArrays.has(existing))) {
+        fail(`Key "${keys.join('.')}" is already defined and is not an array of tables`, start);
+      }
+      const array = existing ?? setMember(parent, last, [])[last];
+      tableArrays.add(array);
+      const table = {};
+      array.push(table);
+      return table;
+    }
+    
+    if (existing === undefined) {
+      const table = setMember(parent, last, {})[last];
+      definedTables.add(table);
+      return table;
+    }
+    if (!isObject(existing) || definedTables.has(existing) || frozenValues.has(existing)) {
+      fail(`Table [${keys.join('.')}] is defined more than once`, start);
+    }
+    definedTables.add(existing);
+    return existing;
+  };
+  
+  const assign = (table, keys, value, at) => {
+    let target = table;
+    keys.slice(0, -1).forEach((key, index) => {
+      if (!hasOwn(target, key)) {
+        const created = setMember(target, key, {})[key];
+        definedTables.add(created);
+        target = created;
+        return;
+      }
+      const next = target[key];
+      if (!isObject(next) || frozenValues.has(next)) {
+        fail(`Key "${keys.slice(0, index + 1).join('.')}" is already a value, not a table`, at);
+      }
+      target = next;
+    });
+    
+    const last = keys[keys.length - 1];
+    if (hasOwn(target, last)) fail(`Key "${keys.join('.')}" is defined more than once`, at);
+    setMember(target, last, value);
+  };
+  
+  const parseString = () => {
+    const start = pos;
+    const quote = src[pos];
+    const multiline = src.startsWith(quote.repeat(3), pos);
+    pos += multiline ? 3 : 1;
+    // A line break right after the opening quotes is not part of the string
+    if (multiline && src[pos] === '\n') pos++;
+    
+    let out = '';
+    for (;;) {
+      if (pos >= src.length) fail('Unterminated string', start);
+      const ch = src[pos];
+      
+      if (ch === quote && (!multiline || src.startsWith(quote.repeat(3), pos))) {
+        if (!multiline) {
+          pos++;
+          return out;
+        }
+        // Up to two quotes may directly precede the closing delimiter
+        let extra = 0;
+        while (extra < 2 && src[pos + 3 + extra] === quote) extra++;
+        out += quote.repeat(extra);
+        pos += 3 + extra;
+        return out;
+      }
+      if (ch === '\n' && !multiline) fail('Strings cannot span lines; use """ for multi-line strings');
+      
+      if (ch === '\\' && quote === '"') {
+        const next = src[pos + 1];
+        if (multiline && /[ \t\n]/.test(next ?? '')) {
+          // Line-ending backslash: trim the break and the next line's leading whitespace
+          let p = pos + 1;
+          while (src[p] === ' ' || src[p] === '\t') p++;
+          if (src[p] !== '\n') fail('Only whitespace may follow a line-ending backslash');
+          pos = p;
+          while (/[ \t\n]/.test(src[pos] ?? '')) pos++;
+          continue;
+        }
+        if (next in TOML_ESCAPES) {
+          out += TOML_ESCAPES[next];
+          pos += 2;
+          continue;
+        }
+        if (next === 'u' || next === 'U') {
+          const hex = src.substr(pos + 2, next === 'u' ? 4 : 8);
+          const code = parseInt(hex, 16);
+          if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== (next === 'u' ? 4 : 8) || code > 0x10ffff) {
+            fail(`Invalid escape \\${next}${hex}`);
+          }
+          out += String.fromCodePoint(code);
+          pos += 2 + hex.length;
+          continue;
+        }
+        fail(`Invalid escape \\${next}`);
+      }
+      
+      out += ch;
+      pos++;
+    }
+  };
+  
+  const parseValue = () => {
+    const start = pos;
+    const ch = src[pos];
+    
+    if (ch === '"' || ch === "'") return parseString();
+    if (ch === '[') return parseArray();
+    if (ch === '{') return parseInlineTable();
+    
+    for (const [pattern, read] of TOML_SCALARS) {
+      pattern.lastIndex = pos;
+      const match = pattern.exec(src);
+      if (match) {
+        pos += match[0].length;
+        const value = read(match[0]);
+        if (value === undefined) fail(`${match[0]} has no JSON equivalent`, start);
+        return value;
+      }
+    }
+    fail(pos >= src.length || src[pos] === '\n' ? 'Expected a value' : `Invalid value starting at "${src[pos]}"`);
+  };
+  
+  const parseArray = () => {
+    const start = pos++;
+    const result = [];
+    for (;;) {
+      skipBlank();
+      if (src[pos] === ']') {
+        pos++;
+        frozenValues.add(result);
+        return result;
+      }
+      if (pos >= src.length) fail('Unterminated array', start);
+      result.push(parseValue());
+      skipBlank();
+      if (src[pos] === ',') {
+        pos++;
+      } else if (src[pos] !== ']') {
+        fail('Expected "," or "]" in array');
+      }
+    }
+  };
+  
+  const parseInlineTable = () => {
+    pos++;
+    const result = {};
+    skipInline();
+    if (src[pos] === '}') {
+      pos++;
+      frozenValues.add(result);
+      return result;
+    }
+    for (;;) {
+      const keyStart = pos;
+      const keys = parseKey();
+      if (src[pos] !== '=') fail('Expected "=" after key');
+      pos++;
+      skipInline();
+      assign(result, keys, parseValue(), keyStart);
+      skipInline();
+      if (src[pos] === '}') {
+        pos++;
+        frozenValues.add(result);
+        return result;
+      }
+      if (src[pos] !== ',') fail('Expected "," or "}" in inline table');
+      pos++;
+      skipInline();
+    }
+  };
+  
+  let table = root;
+  for (;;) {
+    skipBlank();
+    if (pos >= src.length) return root;
+    
+    if (src[pos] === '[') {
+      table = parseHeader();
+    } else {
+      const keyStart = pos;
+      const keys = parseKey();
+      if (src[pos] !== '=') fail('Expected "=" after key');
+      pos++;
+      skipInline();
+      assign(table, keys, parseValue(), keyStart);
+    }
+    expectLineEnd();
+  }
+};
+
+const TOML_ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b', '"': '"', '\\': '\\' };
+
+// Scalar patterns in match order: dates before numbers, since both start with digits
+const TOML_SCALARS = [
+  [/\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(\.\d+)?/y, text => text],
+  [/(true|false)(?![\w-])/y, text => text === 'true'],
+  [/[+-]?(inf|nan)(?![\w-])/y, () => undefined],
+  [/0x[0-9A-Fa-f](_?[0-9A-Fa-f])*|0o[0-7](_?[0-7])*|0b[01](_?[01])*/y, text => toJSONNumber(BigInt(text.replace(/_/g, '')).toString())],
+  [/[+-]?(0|[1-9](_?\d)*)(\.\d(_?\d)*)?([eE][+-]?\d(_?\d)*)?(?![\w.-])/y, text => toJSONNumber(text.replace(/_/g, ''))]
+];
+
+/**
+ * Parse a URL query string. Bracketed keys build nested values (a[b]=1, a[]=1, a[0]=1)
+ * and repeated keys collect their values in an array; values stay strings.
+ * @param {string} text - Query string, with or without "?", or a whole URL
+ * @returns {Object} Parameters
+ */
+export const queryStringToJSON = (text) => {
+  let query = text.trim();
+  if (query.startsWith('?')) {
+    query = query.slice(1);
+  } else if (/^([a-z][\w+.-]*:\/\/|\/)/i.test(query)) {
+    query = query.includes('?') ? query.slice(query.indexOf('?') + 1) : '';
+  }
+  query = query.replace(/#[\s\S]*$/, '');
+  
+  const result = {};
+  for (const part of query.split('&')) {
+    if (!part) continue;
+    const separator = part.indexOf('=');
+    const key = decodeQueryComponent(separator < 0 ? part : part.slice(0, separator));
+    const value = decodeQueryComponent(separator < 0 ? '' : part.slice(separator + 1));
+    
+    const match = key.match(/^([^[\]]+)((?:\[[^[\]]*\])+)$/);
+    const path = match ? [match[1], ...match[2].slice(1, -1).split('][')] : [key];
+    setQueryParameter(result, path, value);
+  }
+  return compactArrays(result);
+};
+
+/**
+ * Store one query parameter at a bracket path
+ * @param {Object} root - Parameters so far
+ * @param {Array<string>} path - Key segments; '' appends to an array
+ * @param {string} value - Decoded value
+ */
+const setQueryParameter = (root, path, value) => {
+  const isIndex = (segment) => segment === '' || /^\d+$/.test(segment);
+  let target = root;
+  
+  path.forEach((segment, index) => {
+    const key = Array.isArray(target) && segment === '' ? target.length : segment;
+    const existing = hasOwn(target, key) ? target[key] : undefined;
+    
+    if (index === path.length - 1) {
+      if (Array.isArray(existing)) {
+        existing.push(value);
+      } else {
+        setMember(target, key, existing === undefined || typeof existing === 'object' ? value : [existing, value]);
+      }
+      return;
+    }
+    
+    let child = existing;
+    if (child === null || typeof child !== 'object') {
+      child = isIndex(path[index + 1]) ? [] : {};
+      setMember(target, key, child);
+    } else if (Array.isArray(child) && !isIndex(path[index + 1])) {
+      // a[0]=x&a[name]=y: the array becomes an object keyed by index
+      child = setMember(target, key, Object.fromEntries(Object.entries(child)))[key];
+    }
+    target = child;
+  });
+};
+
+/**
+ * Drop the holes a[3]=x leaves in arrays, recursively
+ * @param {*} value - Parsed parameters
+ * @returns {*} Value with dense arrays
+ */
+const compactArrays = (value) => {
+  if (Array.isArray(value)) {
+    return value.filter(() => true).map(compactArrays);
+  }
+  if (value !== null && typeof value === 'object') {
+    for (const key of Object.keys(value)) {
+      value[key] = compactArrays(value[key]);
+    }
+  }
+  return value;
+};
+
+/**
+ * Decode a query string component ("+" is a space); malformed escapes are kept as written
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+const decodeQueryComponent = (text) => {
+  const spaced = text.replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(spaced);
+  } catch {
+    return spaced;
+  }
+};
+
+/**
+ * Convert a decimal number literal to a JSON number, keeping digits a JS number would lose
+ * @param {string} text - Literal, possibly with a leading "+", leading zeros or a bare "."
+ * @returns {number|Object} Number or lossless number
+ */
+const toJSONNumber = (text) => {
+  const literal = text
+    .replace(/^\+/, '')
+    .replace(/^(-?)0+(?=\d)/, '$1')
+    .replace(/^(-?)\./, (match, sign) => `${sign}0.`)
+    .replace(/\.(?=[eE]|$)/, '');
+  return isSafeNumberLiteral(literal) ? Number(literal) : createLosslessNumber(literal);
+};
+
+/**
+ * Create a SyntaxError positioned in the source text
+ * @param {string} message - Error message
+ * @param {string} src - Source text
+ * @param {number} index - Character offset
+ * @returns {SyntaxError} Error with position { line, column, index }
+ */
+const createImportError = (message, src, index) => {
+  const lines = src.substring(0, index).split('\n');
+  const error = new SyntaxError(message);
+  error.position = {
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1,
+    index
+  };
+  return error;
+};
@@ -0,0 +1,206 @@
+/**
+ * Lossless Number Utilities
+ * Keeps number literals whose text would change after a round trip through a JS number,
+ * and the value helpers every module that walks parsed JSON shares
+ */
+
+/**
+ * Wrap a number literal so its original text survives formatting.
+ * Plain JSON.stringify falls back to the (possibly rounded) JS number.
+ * @param {string} text - Number literal exactly as written in the source
+ * @returns {Object} Frozen lossless number
+ */
+export const createLosslessNumber = (text) => Object.freeze({
+  isLosslessNumber: true,
+  value: text,
+  valueOf: () => Number(text),
+  toString: () => text,
+  toJSON: () => Number(text)
+});
+
+/**
+ * Check whether a value is a lossless number wrapper
+ * @param {*} value - Value to check
+ * @returns {boolean} True for lossless numbers
+ */
+export const isLosslessNumber = (value) => {
+  return value !== null && typeof value === 'object' && value.isLosslessNumber === true;
+};
+
+/**
+ * Check whether a number literal keeps its exact text as a JS number
+ * @param {string} text - Number literal
+ * @returns {boolean} True if String(Number(text)) gives the same text back
+ */
+export const isSafeNumberLiteral = (text) => String(Number(text)) === text;
+
+/**
+ * Check whether converting a number literal to a JS number changes its value
+ * (not just its spelling: `1.0` and `1e3` are reformatted but keep their value)
+ * @param {string} text - Number literal
+ * @returns {boolean} True if digits are lost or the value overflows
+ */
+export const losesPrecision = (text) => {
+  const num = Number(text);
+  if (!Number.isFinite(num)) return true;
+  return normalizeNumberText(text) !== normalizeNumberText(String(num));
+};
+
+/**
+ * Reduce a number literal to a canonical `digits e exponent` form;
+ * equal values give the same text
+ * @param {string} text - Number literal
+ * @returns {string} Canonical representation ('0' for zero)
+ */
+export const normalizeNumberText = (text) => {
+  const match = /^(-?)(\d+)(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/.exec(text);
+  if (!match) return text;
+
+  const [, sign, intPart, fracPart = '', exp = '0'] = match;
+  const digits = (intPart + fracPart).replace(/^0+/, '');
+  if (!digits) return '0';
+
+  const trimmed = digits.replace(/0+$/, '');
+  const exponent = parseInt(exp, 10) - fracPart.length + (digits.length - trimmed.length);
+  return `${sign}${trimmed}e${exponent}`;
+};
+
+/**
+ * Get the literal text of a number or lossless number
+ * @param {number|Object} value - Number value
+ * @returns {string} Number text
+ */
+export const getNumberText = (value) => {
+  return isLosslessNumber(value) ? value.value : JSON.stringify(value);
+};
+
+/**
+ * Compare two numbers by their exact value, so lossless numbers that round
+ * to the same JS number still order correctly
+ * @param {number|Object} a - Number or lossless number
+ * @param {number|Object} b - Number or lossless number
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export const compareNumbers = (a, b) => {
+  // Native numbers are used as they are: JSON text has no Infinity or NaN
+  const x = isLosslessNumber(a) ? Number(a.value) : a;
+  const y = isLosslessNumber(b) ? Number(b.value) : b;
+  if (x !== y || (!isLosslessNumber(a) && !isLosslessNumber(b))) {
+    return x < y ? -1 : x > y ? 1 : 0;
+  }
+
+  // Equal as JS numbers: compare the canonical digits and exponents
+  const parse = (value) => {
+    const match = /^(-?)(\d+)e([+-]?\d+)$/.exec(normalizeNumberText(getNumberText(value)));
+    if (!match) return { sign: 0, digits: '', magnitude: 0 };
+    const [, sign, digits, exp] = match;
+    return { sign: sign ? -1 : 1, digits, magnitude: digits.length + parseInt(exp, 10) };
+  };
+  const p = parse(a);
+  const q = parse(b);
+  if (p.sign !== q.sign) return p.sign - q.sign;
+  if (p.magnitude !== q.magnitude) return p.sign * (p.magnitude - q.magnitude);
+  const width = Math.max(p.digits.length, q.digits.length);
+  const left = p.digits.padEnd(width, '0');
+  const right = q.digits.padEnd(width, '0');
+  return left === right ? 0 : p.sign * (left < right ? -1 : 1);
+};
+
+/**
+ * Replace lossless numbers with plain JS numbers, recursively
+ * @param {*} value - Parsed JSON value
+ * @returns {*} Value containing only native types
+ */
+export const toNativeNumbers = (value) => {
+  if (isLosslessNumber(value)) {
+    return Number(value.value);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toNativeNumbers);
+  }
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    setMember(result, key, toNativeNumbers(child));
+  }
+  return result;
+};
+
+/**
+ * Find numbers that would lose precision when read as JS numbers
+ * @param {*} value - Value parsed in lossless mode
+ * @param {string} path - Path of the current value
+ * @returns {Array} List of { path, text } entries
+ */
+export const findUnsafeNumbers = (value, path = '$') => {
+  if (isLosslessNumber(value)) {
+    return losesPrecision(value.value) ? [{ path, text: value.value }] : [];
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return [];
+  }
+
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => findUnsafeNumbers(item, `${path}[${index}]`));
+  }
+
+  return Object.entries(value).flatMap(([key, child]) => findUnsafeNumbers(child, `${path}.${key}`));
+};
+
+/**
+ * Check whether a value is an array or object (lossless numbers are leaves)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for arrays and objects
+ */
+export const isContainer = (value) => {
+  return value !== null && typeof value === 'object' && !isLosslessNumber(value);
+};
+
+/**
+ * Check whether a value is a JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-array objects other than lossless numbers
+ */
+export const isObject = (value) => isContainer(value) && !Array.isArray(value);
+
+/**
+ * Check an object for an own property
+ * @param {Object} obj - Object to check
+ * @param {string} key - Property name
+ * @returns {boolean} True if obj has key itself
+ */
+export const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/**
+ * Set an own member. Plain assignment would run the "__proto__" setter and change the
+ * prototype instead; like JSON.parse, this keeps it an ordinary key. Redefining an
+ * existing member keeps its position.
+ * @param {Object|Array} target - Object or array to write to
+ * @param {string|number} key - Member name or index
+ * @param {*} value - Value
+ * @returns {Object|Array} The target
+ */
+export const setMember = (target, key, value) => {
+  Object.defineProperty(target, key, {
+    value,
+    enumerable: true,
+    writable: true,
+    configurable: true
+  });
+  return target;
+};
+
+/**
+ * Build an object from entries with setMember
+ * @param {Array} entries - [key, value] pairs
+ * @returns {Object} New object
+ */
+export const buildObject = (entries) => {
+  return entries.reduce((obj, [key, value]) => setMember(obj, key, value), {});
+};
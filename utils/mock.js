@@ -0,0 +1,417 @@
+/**
+ * Mock Data Generation
+ * Builds realistic, reproducible fixtures that follow a JSON Schema
+ */
+
+import { hasOwn, isObject, setMember } from './lossless.js';
+
+import { createRefResolver } from './schema.js';
+
+// Below this depth objects only get their required members and arrays their minimum length,
+// so recursive schemas end
+const SHALLOW_DEPTH = 6;
+
+// Nesting allowed before giving up on a schema that requires itself
+const MAX_DEPTH = 32;
+
+// $ref hops allowed without moving into the value
+const MAX_REF_HOPS = 64;
+
+// Chance that a member missing from "required" is generated
+const OPTIONAL_PROBABILITY = 0.7;
+
+// Range of generated dates: 2020-01-01 to 2025-12-31
+const DATE_START = Date.UTC(2020, 0, 1);
+const DATE_END = Date.UTC(2026, 0, 1);
+
+/**
+ * Generate documents that follow a schema. Supports type (and type lists), const, enum, format,
+ * properties/required, items/prefixItems, minItems/maxItems, minimum/maximum (and their exclusive
+ * forms), multipleOf, minLength/maxLength, anyOf/oneOf (one branch is picked), allOf and $ref
+ * within the schema. Strings without a format get a value suggested by their key (names, emails,
+ * cities...) or a few words.
+ * @param {Object|boolean} schema - Parsed JSON Schema
+ * @param {Object} options - Generation options
+ * @param {number} options.count - Number of documents
+ * @param {string|number} options.seed - Seed; the same seed and schema give the same documents
+ * @param {number} options.arrayMin - Shortest generated array (raised to minItems)
+ * @param {number} options.arrayMax - Longest generated array (lowered to maxItems)
+ * @param {number} options.nullProbability - Chance (0 to 1) of null where the schema allows null
+ * @returns {Array} Generated documents
+ * @throws {Error} If the schema has an unresolvable $ref, a $ref loop or requires itself endlessly
+ */
+export const generateMockData = (schema, options = {}) => {
+  const {
+    count = 1,
+    seed = Math.floor(Math.random() * 2 ** 32),
+    arrayMin = 1,
+    arrayMax = 5,
+    nullProbability = 0.1
+  } = options;
+  const random = createRandom(seed);
+  const resolveRef = createRefResolver(schema);
+  
+  // Follow $ref, keeping the keywords written next to it
+  const resolve = (node) => {
+    for (let hops = 0; isObject(node) && typeof node.$ref === 'string'; hops++) {
+      if (hops === MAX_REF_HOPS) {
+        throw new Error(`The schema has a $ref loop at "${node.$ref}"`);
+      }
+      const { $ref, ...rest } = node;
+      const target = resolveRef($ref).schema;
+      node = target === true ? rest : isObject(target) ? { ...target, ...rest } : target;
+    }
+    return node === true || node === undefined ? {} : node;
+  };
+  
+  const generate = (node, key, depth) => {
+    if (depth > MAX_DEPTH) {
+      throw new Error('The schema nests too deeply to generate data (does it require itself?)');
+    }
+    node = resolve(node);
+    if (node === false) {
+      throw new Error(`No value is allowed at "${key}"`);
+    }
+    
+    if (hasOwn(node, 'const')) {
+      return node.const;
+    }
+    if (Array.isArray(node.enum) && node.enum.length > 0) {
+      const values = node.enum.filter(value => value !== null);
+      return values.length === 0 || (values.length < node.enum.length && random.chance(nullProbability)) ? null : random.pick(values);
+    }
+    
+    const branches = Array.isArray(node.anyOf) ? node.anyOf : node.oneOf;
+    if (Array.isArray(branches) && branches.length > 0) {
+      const { anyOf, oneOf, ...rest } = node;
+      return generate(mergeSchemas(rest, resolve(random.pick(branches))), key, depth);
+    }
+    if (Array.isArray(node.allOf)) {
+      const { allOf, ...rest } = node;
+      return generate(allOf.map(resolve).reduce(mergeSchemas, rest), key, depth);
+    }
+    
+    const types = getTypes(node);
+    const valueTypes = types.filter(type => type !== 'null');
+    if (valueTypes.length === 0 || (valueTypes.length < types.length && random.chance(nullProbability))) {
+      return null;
+    }
+    
+    switch (random.pick(valueTypes)) {
+      case 'object':
+        return generateObject(node, depth);
+      case 'array':
+        return generateArray(node, key, depth);
+      case 'integer':
+        return generateNumber(node, key, true);
+      case 'number':
+        return generateNumber(node, key, false);
+      case 'boolean':
+        return random.chance(0.5);
+      default:
+        return generateString(node, key);
+    }
+  };
+  
+  const generateObject = (node, depth) => {
+    const obj = {};
+    const properties = isObject(node.properties) ? node.properties : {};
+    const required = new Set(Array.isArray(node.required) ? node.required : []);
+    
+    for (const [name, child] of Object.entries(properties)) {
+      if (child === false) continue;
+      if (!required.has(name) && (depth >= SHALLOW_DEPTH || !random.chance(OPTIONAL_PROBABILITY))) continue;
+      setMember(obj, name, generate(child, name, depth + 1));
+    }
+    for (const name of required) {
+      if (!hasOwn(obj, name)) setMember(obj, name, generate({}, name, depth + 1));
+    }
+    return obj;
+  };
+  
+  const generateArray = (node, key, depth) => {
+    const prefix = Array.isArray(node.prefixItems) ? node.prefixItems : [];
+    const minItems = Math.max(0, node.minItems ?? 0);
+    const maxItems = node.maxItems ?? Infinity;
+    // The options' range, moved inside what the schema allows
+    const shortest = Math.min(Math.max(arrayMin, minItems), maxItems);
+    const longest = depth >= SHALLOW_DEPTH ? shortest : Math.max(Math.min(arrayMax, maxItems), shortest);
+    // A tuple cannot grow past its prefix when the schema forbids more items
+    const length = node.items === false ? Math.min(prefix.length, random.int(shortest, longest)) : random.int(shortest, longest);
+    
+    return Array.from({ length }, (item, index) => generate(index < prefix.length ? prefix[index] : node.items, key, depth + 1));
+  };
+  
+  const generateNumber = (node, key, integer) => {
+    const exclusiveMin = typeof node.exclusiveMinimum === 'number';
+    const exclusiveMax = typeof node.exclusiveMaximum === 'number';
+    let min = exclusiveMin ? node.exclusiveMinimum : node.minimum;
+    let max = exclusiveMax ? node.exclusiveMaximum : node.maximum;
+    
+    if (typeof min !== 'number' && typeof max !== 'number') {
+      [min, max] = NUMBER_HINTS.find(([pattern]) => pattern.test(toWords(key)))?.[1] ?? [0, 1000];
+    } else if (typeof min !== 'number') {
+      min = Math.min(0, max - 1000);
+    } else if (typeof max !== 'number') {
+      max = Math.max(min + 1000, 1000);
+    }
+    
+    if (typeof node.multipleOf === 'number' && node.multipleOf > 0) {
+      // Quotients within rounding error of a whole number count as multiples, as in schema.js
+      const low = min / node.multipleOf;
+      const high = max / node.multipleOf;
+      let first = Math.ceil(low - 1e-9);
+      let last = Math.floor(high + 1e-9);
+      // An exclusive bound that is a multiple itself is not allowed
+      if (exclusiveMin && Math.abs(low - first) < 1e-9) first++;
+      if (exclusiveMax && Math.abs(high - last) < 1e-9) last--;
+      if (first <= last) return roundToMultiple(random.int(first, last) * node.multipleOf, node.multipleOf);
+    }
+    
+    if (integer) {
+      const low = exclusiveMin ? Math.floor(min) + 1 : Math.ceil(min);
+      const high = exclusiveMax ? Math.ceil(max) - 1 : Math.floor(max);
+      return random.int(low, Math.max(low, high));
+    }
+    const value = roundNumber(min + random.next() * (max - min));
+    return (exclusiveMin && value <= min) || (exclusiveMax && value >= max) ? (min + max) / 2 : value;
+  };
+  
+  const generateString = (node, key) => {
+    if (hasOwn(FORMAT_GENERATORS, node.format)) {
+      return FORMAT_GENERATORS[node.format](random);
+    }
+    
+    const hint = STRING_HINTS.find(([pattern]) => pattern.test(toWords(key)));
+    let value = hint ? hint[1](random) : words(random, random.int(1, 3));
+    
+    const minLength = node.minLength ?? 0;
+    const maxLength = node.maxLength ?? Infinity;
+    while (value.length < minLength) {
+      value += ` ${random.pick(WORDS)}`;
+    }
+    return value.length > maxLength ? value.slice(0, maxLength) : value;
+  };
+  
+  return Array.from({ length: Math.max(0, count) }, () => generate(schema, '', 0));
+};
+
+/**
+ * Create a seeded random source (mulberry32 over an FNV-1a hash of the seed)
+ * @param {string|number} seed - Seed
+ * @returns {Object} Source with next() in [0, 1), int(min, max) inclusive, pick(list) and chance(probability)
+ */
+const createRandom = (seed) => {
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.codePointAt(0), 16777619);
+  }
+  
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (list) => list[Math.floor(next() * list.length)],
+    chance: (probability) => next() < probability
+  };
+};
+
+/**
+ * Get the types a schema allows, guessing from its keywords when it has no "type"
+ * @param {Object} node - Schema
+ * @returns {Array<string>} Type names
+ */
+const getTypes = (node) => {
+  if (typeof node.type === 'string') return [node.type];
+  if (Array.isArray(node.type) && node.type.length > 0) return node.type;
+  if (node.properties || node.required || node.additionalProperties) return ['object'];
+  if (node.items || node.prefixItems) return ['array'];
+  if (node.minimum !== undefined || node.maximum !== undefined || node.multipleOf !== undefined) return ['number'];
+  // Anything goes: a string is the most useful placeholder
+  return ['string'];
+};
+
+/**
+ * Combine two schemas that both apply, joining their properties and required lists
+ * @param {Object} a - Schema
+ * @param {Object} b - Schema
+ * @returns {Object} Combined schema
+ */
+const mergeSchemas = (a, b) => {
+  if (!isObject(b)) return a;
+  
+  const merged = { ...a, ...b };
+  if (a.properties || b.properties) {
+    merged.properties = {};
+    for (const [key, child] of [...Object.entries(a.properties || {}), ...Object.entries(b.properties || {})]) {
+      setMember(merged.properties, key, child);
+    }
+  }
+  if (a.required || b.required) {
+    merged.required = [...(a.required || []), ...(b.required || [])];
+  }
+  return merged;
+};
+
+/**
+ * Split a key into lowercase words for matching hints (createdAt -> "created at")
+ * @param {string} key - Member name
+ * @returns {string} Words separated by spaces
+ */
+const toWords = (key) => {
+  return key.replace(/([a-z\d])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z\d]+/).filter(Boolean).join(' ');
+};
+
+/**
+ * Round to two decimals, as prices and measurements usually are
+ * @param {number} value - Number
+ * @returns {number} Rounded number
+ */
+const roundNumber = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Round away the binary error of a multiple of a decimal step (3 * 0.1 is 0.30000000000000004)
+ * @param {number} value - Multiple of step
+ * @param {number} step - multipleOf value
+ * @returns {number} Value with no more decimals than step
+ */
+const roundToMultiple = (value, step) => {
+  const [digits, exponent = '0'] = String(step).split('e');
+  const decimals = (digits.split('.')[1]?.length ?? 0) - Number(exponent);
+  return decimals > 0 ? Number(value.toFixed(Math.min(decimals, 100))) : value;
+};
+
+const FIRST_NAMES = ['Alice', 'Amara', 'Ben', 'Carlos', 'Chen', 'Daniel', 'Elena', 'Emma', 'Fatima', 'Grace', 'Hiro', 'Isabel', 'James', 'Jonas', 'Kofi', 'Laura', 'Liam', 'Maya', 'Noah', 'Olivia', 'Omar', 'Priya', 'Rosa', 'Sofia', 'Tomas', 'Yuki', 'Zoe'];
+
+const LAST_NAMES = ['Andersen', 'Brown', 'Costa', 'Dubois', 'Garcia', 'Hansen', 'Ivanova', 'Johnson', 'Kim', 'Kowalski', 'Lee', 'Martin', 'Mensah', 'Miller', 'Nguyen', 'Novak', 'Okafor', 'Patel', 'Rossi', 'Schmidt', 'Silva', 'Smith', 'Tanaka', 'Wilson'];
+
+const CITIES = ['Amsterdam', 'Austin', 'Berlin', 'Buenos Aires', 'Cape Town', 'Chicago', 'Dublin', 'Lagos', 'Lisbon', 'London', 'Madrid', 'Melbourne', 'Montreal', 'Mumbai', 'Nairobi', 'Osaka', 'Paris', 'Prague', 'Seoul', 'Singapore', 'Stockholm', 'Toronto', 'Vienna'];
+
+const COUNTRIES = ['Argentina', 'Australia', 'Brazil', 'Canada', 'France', 'Germany', 'India', 'Ireland', 'Italy', 'Japan', 'Kenya', 'Mexico', 'Netherlands', 'Nigeria', 'Poland', 'Portugal', 'South Africa', 'South Korea', 'Spain', 'Sweden', 'United Kingdom', 'United States'];
+
+const STREETS = ['Maple Street', 'Oak Avenue', 'Park Road', 'Station Road', 'High Street', 'Church Lane', 'Mill Road', 'River Drive', 'Elm Court', 'Harbor Way'];
+
+const COMPANIES = ['Acme', 'Bluebird', 'Brightline', 'Cobalt', 'Evergreen', 'Globex', 'Initech', 'Northwind', 'Orbit', 'Pinnacle', 'Redwood', 'Summit', 'Umbrella', 'Vertex'];
+
+const COMPANY_SUFFIXES = ['Inc.', 'Ltd', 'LLC', 'Group', 'Labs', 'Systems', 'Partners'];
+
+const WORDS = ['alpha', 'amber', 'anchor', 'atlas', 'beacon', 'bright', 'canvas', 'cedar', 'cloud', 'coral', 'delta', 'echo', 'ember', 'field', 'forest', 'harbor', 'horizon', 'island', 'lumen', 'meadow', 'nova', 'ocean', 'orbit', 'pixel', 'prairie', 'quartz', 'river', 'signal', 'silver', 'spark', 'stone', 'summit', 'tide', 'velvet', 'willow'];
+
+// Reserved for documentation (RFC 2606), so fixtures never point at real mailboxes or sites
+const DOMAINS = ['example.com', 'example.org', 'example.net'];
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'INR'];
+
+const LOCALES = ['en-US', 'en-GB', 'de-DE', 'fr-FR', 'es-ES', 'it-IT', 'ja-JP', 'pt-BR'];
+
+/**
+ * Join random words
+ * @param {Object} random - Random source
+ * @param {number} count - Number of words
+ * @returns {string} Words separated by spaces
+ */
+const words = (random, count) => Array.from({ length: count }, () => random.pick(WORDS)).join(' ');
+
+/**
+ * Capitalize the first letter of a string
+ * @param {string} str - String
+ * @returns {string} Capitalized string
+ */
+const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
+
+/**
+ * Random lowercase hex digits
+ * @param {Object} random - Random source
+ * @param {number} length - Number of digits
+ * @returns {string} Hex string
+ */
+const hex = (random, length) => Array.from({ length }, () => random.int(0, 15).toString(16)).join('');
+
+/**
+ * Random instant in the generated date range
+ * @param {Object} random - Random source
+ * @returns {string} ISO 8601 UTC timestamp without milliseconds
+ */
+const dateTime = (random) => {
+  const time = DATE_START + Math.floor(random.next() * (DATE_END - DATE_START) / 1000) * 1000;
+  return new Date(time).toISOString().replace('.000Z', 'Z');
+};
+
+/**
+ * Random address at a documentation domain
+ * @param {Object} random - Random source
+ * @returns {string} Email address
+ */
+const email = (random) => `${random.pick(FIRST_NAMES)}.${random.pick(LAST_NAMES)}@${random.pick(DOMAINS)}`.toLowerCase();
+
+/**
+ * Random page URL at a documentation domain
+ * @param {Object} random - Random source
+ * @returns {string} URL
+ */
+const url = (random) => `https://www.${random.pick(DOMAINS)}/${random.pick(WORDS)}/${random.pick(WORDS)}`;
+
+// Values for the formats JSON Schema defines (and jsonToSchema detects)
+const FORMAT_GENERATORS = {
+  'date-time': dateTime,
+  date: (random) => dateTime(random).slice(0, 10),
+  time: (random) => dateTime(random).slice(11),
+  uuid: (random) => `${hex(random, 8)}-${hex(random, 4)}-4${hex(random, 3)}-${random.pick(['8', '9', 'a', 'b'])}${hex(random, 3)}-${hex(random, 12)}`,
+  email,
+  'idn-email': email,
+  hostname: (random) => `${random.pick(WORDS)}.${random.pick(DOMAINS)}`,
+  ipv4: (random) => `${random.int(1, 223)}.${random.int(0, 255)}.${random.int(0, 255)}.${random.int(1, 254)}`,
+  ipv6: (random) => `2001:db8:${Array.from({ length: 6 }, () => hex(random, 4)).join(':')}`,
+  uri: url,
+  'uri-reference': url,
+  iri: url
+};
+
+// Strings suggested by the words of a key, tried in order
+const STRING_HINTS = [
+  [/\b(e ?mails?|mail)\b/, email],
+  [/\b(url|uri|link|website|homepage|href)s?\b/, url],
+  [/\b(uuid|guid)s?\b/, FORMAT_GENERATORS.uuid],
+  [/\b(first|given) name\b|\bfirstname\b/, (random) => random.pick(FIRST_NAMES)],
+  [/\b(last|family) name\b|\b(lastname|surname)\b/, (random) => random.pick(LAST_NAMES)],
+  [/\b(user ?name|login|handle|nickname)\b/, (random) => `${random.pick(FIRST_NAMES).toLowerCase()}${random.int(1, 99)}`],
+  [/\b(company|organi[sz]ation|employer|vendor)\b/, (random) => `${random.pick(COMPANIES)} ${random.pick(COMPANY_SUFFIXES)}`],
+  [/^((full|display|author|customer|contact|owner|user) )?name$|^(author|owner|customer|contact)$/, (random) => `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`],
+  [/\b(city|town)\b/, (random) => random.pick(CITIES)],
+  [/\bcountry\b/, (random) => random.pick(COUNTRIES)],
+  [/\b(street|address)\b/, (random) => `${random.int(1, 999)} ${random.pick(STREETS)}`],
+  [/\b(zip|postal|postcode)\b/, (random) => String(random.int(10000, 99999))],
+  [/\b(phone|mobile|tel|telephone)\b/, (random) => `+1-555-01${String(random.int(0, 99)).padStart(2, '0')}`],
+  [/\b(ip|ip address)\b/, FORMAT_GENERATORS.ipv4],
+  [/\b(host|hostname|domain)\b/, FORMAT_GENERATORS.hostname],
+  [/\b(colou?r)\b/, (random) => `#${hex(random, 6)}`],
+  [/\bcurrency\b/, (random) => random.pick(CURRENCIES)],
+  [/\b(lang|language|locale)\b/, (random) => random.pick(LOCALES)],
+  [/\b(password|token|secret|hash|key)\b/, (random) => hex(random, 32)],
+  [/\b(date|birthday|dob)\b/, FORMAT_GENERATORS.date],
+  [/\b(at|time|timestamp|created|updated|modified)$/, dateTime],
+  [/\b(tags?|keywords?|categor(y|ies))\b/, (random) => random.pick(WORDS)],
+  [/\bslug\b/, (random) => `${random.pick(WORDS)}-${random.pick(WORDS)}`],
+  [/\bname\b/, (random) => `${capitalize(random.pick(WORDS))} ${capitalize(random.pick(WORDS))}`],
+  [/\b(title|subject|headline|label)\b/, (random) => capitalize(words(random, random.int(2, 4)))],
+  [/\b(description|bio|summary|comment|message|text|body|content|notes?)\b/, (random) => `${capitalize(words(random, random.int(6, 12)))}.`],
+  [/\bid$/, (random) => hex(random, 12)]
+];
+
+// Ranges suggested by the words of a key for numbers without minimum or maximum
+const NUMBER_HINTS = [
+  [/\bage\b/, [18, 90]],
+  [/\b(lat|latitude)\b/, [-90, 90]],
+  [/\b(lng|lon|long|longitude)\b/, [-180, 180]],
+  [/\byear\b/, [1990, 2025]],
+  [/\b(price|amount|cost|total|balance|salary)\b/, [1, 500]],
+  [/\b(count|quantity|qty|stock)\b/, [0, 100]],
+  [/\b(rating|stars)\b/, [1, 5]],
+  [/\b(percent|percentage|progress)\b/, [0, 100]]
+];
@@ -0,0 +1,111 @@
+/**
+ * Worker Pipeline
+ * Runs heavy JSON tasks in a Web Worker with progress reporting and cancellation
+ */
+
+/**
+ * Create a pipeline backed by one module worker.
+ * A busy worker cannot be interrupted, so cancelling (or starting a new task
+ * while one is running) terminates it and the next task starts a fresh one.
+ * @param {string|URL} workerUrl - Worker script
+ * @returns {Object} Pipeline with run(task, input, options, onProgress) and cancel()
+ */
+export const createPipeline = (workerUrl) => {
+  let worker = null;
+  let pending = null;
+  let nextId = 1;
+  
+  const stop = (error) => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    
+    if (pending) {
+      const job = pending;
+      pending = null;
+      job.reject(error);
+    }
+  };
+  
+  const handleMessage = (e) => {
+    const { id, type } = e.data;
+    if (!pending || pending.id !== id) return;
+    
+    if (type === 'progress') {
+      pending.onProgress(e.data.progress);
+      return;
+    }
+    
+    const job = pending;
+    pending = null;
+    if (type === 'result') {
+      job.resolve(e.data.result);
+    } else {
+      job.reject(new Error(e.data.error));
+    }
+  };
+  
+  const handleError = (e) => {
+    e.preventDefault();
+    stop(new Error(e.message || 'Worker failed to run'));
+  };
+  
+  const getWorker = () => {
+    if (!worker) {
+      worker = new Worker(workerUrl, { type: 'module' });
+      worker.addEventListener('message', handleMessage);
+      worker.addEventListener('error', handleError);
+    }
+    return worker;
+  };
+  
+  return {
+    /**
+     * Run a task, cancelling the one still in progress
+     * @param {string} task - Task name handled by the worker
+     * @param {string} input - Input text
+     * @param {Object} options - Task options (must be structured-cloneable)
+     * @param {Function} onProgress - Called with { label, step, steps } as phases start
+     * @returns {Promise<Object>} Task result; rejects with a CANCELLED error when superseded
+     */
+    run: (task, input, options = {}, onProgress = () => {}) => {
+      if (pending) {
+        stop(createCancelledError());
+      }
+      
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending = { id, resolve, reject, onProgress };
+        getWorker().postMessage({ id, task, input, options });
+      });
+    },
+    
+    /**
+     * Cancel the running task, if any
+     * @returns {boolean} True if a task was cancelled
+     */
+    cancel: () => {
+      if (!pending) return false;
+      stop(createCancelledError());
+      return true;
+    }
+  };
+};
+
+/**
+ * Check whether a task failed because it was cancelled
+ * @param {Error} error - Rejection reason from run()
+ * @returns {boolean} True for cancellations
+ */
+export const isCancelled = (error) => error?.code === 'CANCELLED';
+
+/**
+ * Create the error cancelled tasks reject with
+ * @returns {Error} Error with code CANCELLED
+ */
+const createCancelledError = () => {
+  const error = new Error('Task cancelled');
+  error.code = 'CANCELLED';
+  return error;
+};
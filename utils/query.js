@@ -3,6 +3,8 @@
  * Implements JSONPath query syntax for JSON data
  */
 
+import { isContainer, isLosslessNumber } from './lossless.js';
+
 /**
  * Execute JSONPath query on JSON data
  * @param {*} json - Parsed JSON object
@@ -53,6 +55,37 @@ export const queryJSONPath = (json, path) => {
   }
 };
 
+/**
+ * Execute a JSONPath query on every record of JSON Lines input
+ * @param {Array} records - Records as { line, value } (see parseNDJSON)
+ * @param {string} path - JSONPath expression, applied to each record as its own root
+ * @returns {Object} Query result as from queryJSONPath, plus the input line of each match
+ */
+export const queryRecords = (records, path) => {
+  const results = [];
+  const paths = [];
+  const lines = [];
+  
+  for (const { line, value } of records) {
+    const result = queryJSONPath(value, path);
+    if (!result.success) {
+      return result;
+    }
+    
+    results.push(...result.results);
+    paths.push(...result.paths);
+    lines.push(...result.results.map(() => line));
+  }
+  
+  return {
+    success: true,
+    results,
+    paths,
+    lines,
+    count: results.length
+  };
+};
+
 /**
  * Tokenize JSONPath expression
  * @param {string} path - JSONPath expression
@@ -163,7 +196,7 @@ const applyToken = (token, current, currentPath) => {
   
   switch (token.type) {
     case 'key':
-      if (current !== null && typeof current === 'object' && !Array.isArray(current)) {
+      if (isContainer(current) && !Array.isArray(current)) {
         if (token.value in current) {
           values.push(current[token.value]);
           paths.push([...currentPath, token.value]);
@@ -184,7 +217,7 @@ const applyToken = (token, current, currentPath) => {
           values.push(current[i]);
           paths.push([...currentPath, i]);
         }
-      } else if (current !== null && typeof current === 'object') {
+      } else if (isContainer(current)) {
         for (const key of Object.keys(current)) {
           values.push(current[key]);
           paths.push([...currentPath, key]);
@@ -206,7 +239,7 @@ const applyToken = (token, current, currentPath) => {
     case 'recursive':
       // Recursive descent - collect all values recursively
       const collect = (obj, path) => {
-        if (obj === null || typeof obj !== 'object') {
+        if (!isContainer(obj)) {
           return;
         }
         
@@ -260,7 +293,9 @@ const evaluateFilter = (item, expression) => {
   if (!match) return false;
   
   const [, property, operator, valueStr] = match;
-  const itemValue = item[property];
+  if (!isContainer(item)) return false;
+  const rawValue = item[property];
+  const itemValue = isLosslessNumber(rawValue) ? Number(rawValue.value) : rawValue;
   
   // Parse value
   let compareValue;
@@ -0,0 +1,622 @@
+/**
+ * JSON Schema Validation
+ * Checks a parsed document against a draft 2020-12 or draft-07 schema without any network access
+ */
+
+import { compareNumbers, hasOwn, isLosslessNumber, isObject, normalizeNumberText } from './lossless.js';
+
+// $ref hops allowed without moving into the document, so a self-referencing schema cannot loop forever
+const MAX_REF_DEPTH = 64;
+
+// Base for resolving relative $id and $ref values when the root schema has no absolute $id
+const DEFAULT_BASE = 'json-schema:///';
+
+/**
+ * Validate a document against a schema.
+ * Supports type, enum, const, numeric and length limits, pattern, format, items/prefixItems
+ * (and draft-07 tuple items/additionalItems), contains, uniqueItems, required, properties,
+ * patternProperties, additionalProperties, propertyNames, dependentRequired/dependentSchemas
+ * (draft-07 dependencies), allOf/anyOf/oneOf/not, if/then/else and $ref within the schema.
+ * unevaluatedProperties/unevaluatedItems and references to other documents are not supported.
+ * @param {*} value - Parsed document (lossless numbers allowed)
+ * @param {Object|boolean} schema - Parsed schema
+ * @returns {Object} { valid, errors } where each error is { pointer, keyword, schemaPath, message }
+ * @throws {Error} If the schema has an unresolvable $ref, an invalid pattern or a $ref loop
+ */
+export const validateAgainstSchema = (value, schema) => {
+  // draft-07 and older: $ref replaces its sibling keywords
+  const legacy = isObject(schema) && /draft-0[4-7]/.test(String(schema.$schema ?? ''));
+  const resolveRef = createRefResolver(schema);
+  
+  const check = (instance, node, pointer, schemaPath, refDepth) => {
+    if (node === true) return [];
+    if (node === false) {
+      return [{ pointer, keyword: 'false', schemaPath, message: 'No value is allowed here' }];
+    }
+    if (!isObject(node)) return [];
+    
+    const errors = [];
+    const fail = (keyword, message, at = pointer) => {
+      errors.push({ pointer: at, keyword, schemaPath: `${schemaPath}/${keyword}`, message });
+    };
+    const sub = (child, keyword) => [child, `${schemaPath}/${keyword}`];
+    const checkChild = (childInstance, childPointer, [childSchema, childPath]) => {
+      errors.push(...check(childInstance, childSchema, childPointer, childPath, 0));
+    };
+    const checkHere = ([childSchema, childPath]) => check(instance, childSchema, pointer, childPath, refDepth);
+    
+    if (typeof node.$ref === 'string') {
+      if (refDepth >= MAX_REF_DEPTH) {
+        throw new Error(`$ref at ${schemaPath || '#'} keeps referring to itself`);
+      }
+      const target = resolveRef(node.$ref);
+      errors.push(...check(instance, target.schema, pointer, target.path, refDepth + 1));
+      if (legacy) return errors;
+    }
+    
+    // Generic keywords
+    if (node.type !== undefined) {
+      const types = Array.isArray(node.type) ? node.type : [node.type];
+      if (!types.some(type => matchesType(instance, type))) {
+        fail('type', `Expected ${types.join(' or ')}, got ${getType(instance)}`);
+      }
+    }
+    
+    if (Array.isArray(node.enum) && !node.enum.some(option => isEqual(option, instance))) {
+      const options = node.enum.slice(0, 5).map(option => JSON.stringify(option));
+      fail('enum', `Must be one of ${options.join(', ')}${node.enum.length > 5 ? ', \u2026' : ''}`);
+    }
+    
+    if (node.const !== undefined && !isEqual(node.const, instance)) {
+      fail('const', `Must equal ${JSON.stringify(node.const)}`);
+    }
+    
+    // Numbers
+    if (isNumber(instance)) {
+      if (typeof node.multipleOf === 'number' && !isMultipleOf(instance, node.multipleOf)) {
+        fail('multipleOf', `Must be a multiple of ${node.multipleOf}`);
+      }
+      
+      // draft-04 spelled exclusive limits as booleans next to maximum/minimum
+      const exclusiveMax = node.exclusiveMaximum === true;
+      const exclusiveMin = node.exclusiveMinimum === true;
+      const toMaximum = typeof node.maximum === 'number' ? compareNumbers(instance, node.maximum) : -1;
+      const toMinimum = typeof node.minimum === 'number' ? compareNumbers(instance, node.minimum) : 1;
+      if (exclusiveMax ? toMaximum >= 0 : toMaximum > 0) {
+        fail('maximum', `Must be ${exclusiveMax ? '<' : '<='} ${node.maximum}`);
+      }
+      if (typeof node.exclusiveMaximum === 'number' && compareNumbers(instance, node.exclusiveMaximum) >= 0) {
+        fail('exclusiveMaximum', `Must be < ${node.exclusiveMaximum}`);
+      }
+      if (exclusiveMin ? toMinimum <= 0 : toMinimum < 0) {
+        fail('minimum', `Must be ${exclusiveMin ? '>' : '>='} ${node.minimum}`);
+      }
+      if (typeof node.exclusiveMinimum === 'number' && compareNumbers(instance, node.exclusiveMinimum) <= 0) {
+        fail('exclusiveMinimum', `Must be > ${node.exclusiveMinimum}`);
+      }
+    }
+    
+    // Strings
+    if (typeof instance === 'string') {
+      // Lengths count code points, not UTF-16 units
+      const length = [...instance].length;
+      
+      if (typeof node.maxLength === 'number' && length > node.maxLength) {
+        fail('maxLength', `Must be at most ${node.maxLength} characters long, got ${length}`);
+      }
+      if (typeof node.minLength === 'number' && length < node.minLength) {
+        fail('minLength', `Must be at least ${node.minLength} characters long, got ${length}`);
+      }
+      if (typeof node.pattern === 'string' && !compilePattern(node.pattern).test(instance)) {
+        fail('pattern', `Must match the pattern /${node.pattern}/`);
+      }
+      if (typeof node.format === 'string' && FORMATS[node.format] && !FORMATS[node.format](instance)) {
+        fail('format', `Must be a valid ${node.format}`);
+      }
+    }
+    
+    // Arrays
+    if (Array.isArray(instance)) {
+      // A tuple is prefixItems in 2020-12 and an items array in draft-07
+      const tuple = Array.isArray(node.items) ? sub(node.items, 'items') : Array.isArray(node.prefixItems) ? sub(node.prefixItems, 'prefixItems') : null;
+      const rest = Array.isArray(node.items) ? sub(node.additionalItems, 'additionalItems') : sub(node.items, 'items');
+      const tupleLength = tuple ? tuple[0].length : 0;
+      
+      instance.forEach((item, index) => {
+        const itemPointer = `${pointer}/${index}`;
+        if (index < tupleLength) {
+          checkChild(item, itemPointer, [tuple[0][index], `${tuple[1]}/${index}`]);
+        } else if (rest[0] === false) {
+          fail(rest[1].slice(rest[1].lastIndexOf('/') + 1), `Only ${tupleLength} item${tupleLength === 1 ? '' : 's'} allowed`, itemPointer);
+        } else if (rest[0] !== undefined) {
+          checkChild(item, itemPointer, rest);
+        }
+      });
+      
+      if (node.contains !== undefined) {
+        const matches = instance.filter((item, index) => check(item, node.contains, `${pointer}/${index}`, `${schemaPath}/contains`, 0).length === 0).length;
+        const min = typeof node.minContains === 'number' ? node.minContains : 1;
+        if (matches < min) {
+          fail('contains', `Must contain at least ${min} matching item${min === 1 ? '' : 's'}, found ${matches}`);
+        }
+        if (typeof node.maxContains === 'number' && matches > node.maxContains) {
+          fail('maxContains', `Must contain at most ${node.maxContains} matching item${node.maxContains === 1 ? '' : 's'}, found ${matches}`);
+        }
+      }
+      
+      if (typeof node.maxItems === 'number' && instance.length > node.maxItems) {
+        fail('maxItems', `Must have at most ${node.maxItems} items, got ${instance.length}`);
+      }
+      if (typeof node.minItems === 'number' && instance.length < node.minItems) {
+        fail('minItems', `Must have at least ${node.minItems} items, got ${instance.length}`);
+      }
+      if (node.uniqueItems === true) {
+        const duplicate = findDuplicateItems(instance);
+        if (duplicate) {
+          fail('uniqueItems', `Items ${duplicate[0]} and ${duplicate[1]} are equal; items must be unique`);
+        }
+      }
+    }
+    
+    // Objects
+    if (isObject(instance)) {
+      const keys = Object.keys(instance);
+      const properties = isObject(node.properties) ? node.properties : {};
+      const patterns = isObject(node.patternProperties)
+        ? Object.keys(node.patternProperties).map(pattern => ({ pattern, regex: compilePattern(pattern) }))
+        : [];
+      
+      if (Array.isArray(node.required)) {
+        for (const key of node.required) {
+          if (!hasOwn(instance, key)) {
+            fail('required', `Missing required property "${key}"`);
+          }
+        }
+      }
+      
+      for (const key of keys) {
+        const keyPointer = `${pointer}/${escapePointer(key)}`;
+        let matched = false;
+        
+        if (hasOwn(properties, key)) {
+          matched = true;
+          checkChild(instance[key], keyPointer, [properties[key], `${schemaPath}/properties/${escapePointer(key)}`]);
+        }
+        for (const { pattern, regex } of patterns) {
+          if (regex.test(key)) {
+            matched = true;
+            checkChild(instance[key], keyPointer, [node.patternProperties[pattern], `${schemaPath}/patternProperties/${escapePointer(pattern)}`]);
+          }
+        }
+        
+        if (!matched && node.additionalProperties === false) {
+          fail('additionalProperties', `Property "${key}" is not allowed`, keyPointer);
+        } else if (!matched && node.additionalProperties !== undefined) {
+          checkChild(instance[key], keyPointer, sub(node.additionalProperties, 'additionalProperties'));
+        }
+        
+        if (node.propertyNames !== undefined) {
+          for (const error of check(key, node.propertyNames, keyPointer, `${schemaPath}/propertyNames`, 0)) {
+            errors.push({ ...error, message: `Property name "${key}": ${error.message}` });
+          }
+        }
+      }
+      
+      if (typeof node.maxProperties === 'number' && keys.length > node.maxProperties) {
+        fail('maxProperties', `Must have at most ${node.maxProperties} properties, got ${keys.length}`);
+      }
+      if (typeof node.minProperties === 'number' && keys.length < node.minProperties) {
+        fail('minProperties', `Must have at least ${node.minProperties} properties, got ${keys.length}`);
+      }
+      
+      // draft-07 dependencies holds both forms that 2020-12 split in two
+      for (const keyword of ['dependentRequired', 'dependentSchemas', 'dependencies']) {
+        if (!isObject(node[keyword])) continue;
+        
+        for (const [key, dependency] of Object.entries(node[keyword])) {
+          if (!hasOwn(instance, key)) continue;
+          
+          if (Array.isArray(dependency)) {
+            for (const required of dependency.filter(name => !hasOwn(instance, name))) {
+              fail(keyword, `Property "${required}" is required when "${key}" is present`);
+            }
+          } else {
+            errors.push(...checkHere(sub(dependency, `${keyword}/${escapePointer(key)}`)));
+          }
+        }
+      }
+    }
+    
+    // Combinators
+    if (Array.isArray(node.allOf)) {
+      node.allOf.forEach((child, index) => errors.push(...checkHere(sub(child, `allOf/${index}`))));
+    }
+    
+    if (Array.isArray(node.anyOf)) {
+      const passes = node.anyOf.some((child, index) => checkHere(sub(child, `anyOf/${index}`)).length === 0);
+      if (!passes) {
+        fail('anyOf', `Does not match any of the ${node.anyOf.length} anyOf schemas`);
+      }
+    }
+    
+    if (Array.isArray(node.oneOf)) {
+      const passing = node.oneOf
+        .map((child, index) => (checkHere(sub(child, `oneOf/${index}`)).length === 0 ? index : -1))
+        .filter(index => index !== -1);
+      if (passing.length === 0) {
+        fail('oneOf', `Does not match any of the ${node.oneOf.length} oneOf schemas`);
+      } else if (passing.length > 1) {
+        fail('oneOf', `Matches oneOf schemas ${passing.join(', ')}; exactly one must match`);
+      }
+    }
+    
+    if (node.not !== undefined && checkHere(sub(node.not, 'not')).length === 0) {
+      fail('not', 'Must not match the "not" schema');
+    }
+    
+    if (node.if !== undefined) {
+      const branch = checkHere(sub(node.if, 'if')).length === 0 ? 'then' : 'else';
+      if (node[branch] !== undefined) {
+        errors.push(...checkHere(sub(node[branch], branch)));
+      }
+    }
+    
+    return errors;
+  };
+  
+  const errors = check(value, schema, '', '#', 0);
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Check a string against a format the validator knows
+ * @param {string} format - Format name, e.g. 'email' or 'date-time'
+ * @param {string} value - String to check
+ * @returns {boolean} True if valid; false for unknown formats
+ */
+export const checkFormat = (format, value) => Boolean(FORMATS[format]) && FORMATS[format](value);
+
+/**
+ * Map each JSON Pointer in a value to its line in the expanded output of
+ * stringifyJSON(value, indent), whatever the indent
+ * @param {*} value - Parsed JSON value
+ * @returns {Map<string, number>} Pointer to 1-based line number
+ */
+export const getPointerLines = (value) => {
+  const lines = new Map();
+  let line = 0;
+  
+  const visit = (current, pointer) => {
+    line++;
+    lines.set(pointer, line);
+    if (!isObject(current) && !Array.isArray(current)) return;
+    
+    const entries = Object.entries(current);
+    for (const [key, child] of entries) {
+      visit(child, `${pointer}/${escapePointer(key)}`);
+    }
+    // Non-empty containers close on a line of their own
+    if (entries.length > 0) line++;
+  };
+  
+  visit(value, '');
+  return lines;
+};
+
+/**
+ * Index the $id and $anchor locations of a schema and return a $ref resolver
+ * @param {Object|boolean} root - Root schema
+ * @returns {Function} Resolver from a $ref value to { schema, path }
+ */
+export const createRefResolver = (root) => {
+  const rootBase = isObject(root) && typeof root.$id === 'string' ? resolveUri(root.$id, DEFAULT_BASE) : DEFAULT_BASE;
+  const ids = new Map();
+  const anchors = new Map();
+  
+  const walk = (node, path, base) => {
+    if (Array.isArray(node)) {
+      node.forEach((child, index) => walk(child, `${path}/${index}`, base));
+      return;
+    }
+    if (!isObject(node)) return;
+    
+    let nodeBase = base;
+    if (typeof node.$id === 'string') {
+      if (node.$id.startsWith('#')) {
+        // draft-07 plain-name fragment
+        anchors.set(node.$id.slice(1), { schema: node, path });
+      } else {
+        nodeBase = resolveUri(node.$id, base);
+        ids.set(stripFragment(nodeBase), { schema: node, path });
+      }
+    }
+    if (typeof node.$anchor === 'string') {
+      anchors.set(node.$anchor, { schema: node, path });
+    }
+    
+    for (const [key, child] of Object.entries(node)) {
+      // These hold instance data, not subschemas
+      if (key === 'enum' || key === 'const' || key === 'default' || key === 'examples') continue;
+      walk(child, `${path}/${escapePointer(key)}`, nodeBase);
+    }
+  };
+  
+  walk(root, '#', rootBase);
+  ids.set(stripFragment(rootBase), { schema: root, path: '#' });
+  
+  return (ref) => {
+    const hashIndex = ref.indexOf('#');
+    const uri = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+    const fragment = hashIndex === -1 ? '' : decodeURIComponent(ref.slice(hashIndex + 1));
+    
+    const document = uri ? ids.get(stripFragment(resolveUri(uri, rootBase))) : ids.get(stripFragment(rootBase));
+    if (!document) {
+      throw new Error(`Cannot resolve $ref "${ref}": only references within the schema are supported`);
+    }
+    
+    if (fragment === '') return document;
+    if (!fragment.startsWith('/')) {
+      if (!anchors.has(fragment)) {
+        throw new Error(`Cannot resolve $ref "${ref}": no $anchor named "${fragment}"`);
+      }
+      return anchors.get(fragment);
+    }
+    
+    let { schema, path } = document;
+    for (const token of fragment.slice(1).split('/')) {
+      const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (schema === null || typeof schema !== 'object' || !hasOwn(schema, key)) {
+        throw new Error(`Cannot resolve $ref "${ref}": nothing at "${key}"`);
+      }
+      schema = schema[key];
+      path = `${path}/${token}`;
+    }
+    return { schema, path };
+  };
+};
+
+/**
+ * Resolve a URI reference against a base, keeping it as written if it cannot be parsed
+ * @param {string} uri - URI reference
+ * @param {string} base - Base URI
+ * @returns {string} Absolute URI
+ */
+const resolveUri = (uri, base) => {
+  try {
+    return new URL(uri, base).href;
+  } catch {
+    return uri;
+  }
+};
+
+/**
+ * Drop the fragment (and a bare trailing #) from a URI
+ * @param {string} uri - URI
+ * @returns {string} URI without fragment
+ */
+const stripFragment = (uri) => {
+  const hashIndex = uri.indexOf('#');
+  return hashIndex === -1 ? uri : uri.slice(0, hashIndex);
+};
+
+// Compiled pattern and patternProperties regexes, shared across validations
+const patternCache = new Map();
+
+/**
+ * Compile a schema pattern as a Unicode regex (patterns are not anchored)
+ * @param {string} pattern - ECMA-262 regular expression
+ * @returns {RegExp} Compiled regex
+ * @throws {Error} If the pattern is not a valid regex
+ */
+const compilePattern = (pattern) => {
+  if (!patternCache.has(pattern)) {
+    try {
+      patternCache.set(pattern, new RegExp(pattern, 'u'));
+    } catch (error) {
+      throw new Error(`Invalid pattern /${pattern}/: ${error.message}`);
+    }
+  }
+  return patternCache.get(pattern);
+};
+
+/**
+ * Format checks by name; unknown formats are not checked
+ */
+const FORMATS = {
+  'date-time': (str) => {
+    const match = /^(\d{4}-\d{2}-\d{2})[Tt](.+)$/.exec(str);
+    return Boolean(match) && isValidDate(match[1]) && isValidTime(match[2]);
+  },
+  date: (str) => isValidDate(str),
+  time: (str) => isValidTime(str),
+  duration: (str) => /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?$/.test(str),
+  email: (str) => /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*$/.test(str),
+  'idn-email': (str) => /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*$/.test(str),
+  hostname: (str) => str.length <= 253 && str.split('.').every(label => /^[a-z\d]([a-z\d-]{0,61}[a-z\d])?$/i.test(label)),
+  ipv4: (str) => /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(str),
+  ipv6: (str) => {
+    if (!/^[\da-f:.]+$/i.test(str)) return false;
+    try {
+      new URL(`http://[${str}]`);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  uri: (str) => /^[a-z][a-z\d+.-]*:[^\s]*$/i.test(str),
+  'uri-reference': (str) => /^[^\s]*$/.test(str),
+  iri: (str) => /^[a-z][a-z\d+.-]*:[^\s]*$/i.test(str),
+  'iri-reference': (str) => /^[^\s]*$/.test(str),
+  uuid: (str) => /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i.test(str),
+  'json-pointer': (str) => /^(\/([^~/]|~[01])*)*$/.test(str),
+  'relative-json-pointer': (str) => /^(0|[1-9]\d*)(#|(\/([^~/]|~[01])*)*)$/.test(str),
+  regex: (str) => {
+    try {
+      new RegExp(str, 'u');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+/**
+ * Check a full-date (YYYY-MM-DD), including the days in the month
+ * @param {string} str - Date text
+ * @returns {boolean} True if valid
+ */
+const isValidDate = (str) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str);
+  if (!match) return false;
+  
+  const [year, month, day] = match.slice(1).map(Number);
+  const leap = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+  const days = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+  return days !== undefined && day >= 1 && day <= days;
+};
+
+/**
+ * Check a full-time with offset (HH:MM:SS[.frac](Z|+HH:MM)); second 60 allows leap seconds
+ * @param {string} str - Time text
+ * @returns {boolean} True if valid
+ */
+const isValidTime = (str) => {
+  const match = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-](\d{2}):(\d{2}))$/.exec(str);
+  if (!match) return false;
+  
+  const [hour, minute, second] = match.slice(1, 4).map(Number);
+  const offsetValid = match[6] === undefined || (Number(match[6]) < 24 && Number(match[7]) < 60);
+  return hour < 24 && minute < 60 && second <= 60 && offsetValid;
+};
+
+/**
+ * Check whether a value is a JSON number
+ * @param {*} value - Value to check
+ * @returns {boolean} True for numbers and lossless numbers
+ */
+const isNumber = (value) => typeof value === 'number' || isLosslessNumber(value);
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to check
+ * @returns {string} 'null', 'boolean', 'integer', 'number', 'string', 'array' or 'object'
+ */
+const getType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (isNumber(value)) return isInteger(value) ? 'integer' : 'number';
+  if (typeof value === 'object') return 'object';
+  return typeof value;
+};
+
+/**
+ * Check whether a number is whole, reading lossless numbers exactly
+ * @param {number|Object} value - Number or lossless number
+ * @returns {boolean} True for integers (including 1.0)
+ */
+const isInteger = (value) => {
+  if (!isLosslessNumber(value)) return Number.isInteger(value);
+  const match = /e(-?\d+)$/.exec(normalizeNumberText(value.value));
+  return !match || parseInt(match[1], 10) >= 0;
+};
+
+/**
+ * Check a value against one type name; integers are numbers too
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} True if the value has the type
+ */
+const matchesType = (value, type) => {
+  const actual = getType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Check divisibility, allowing for binary rounding of decimal divisors like 0.01;
+ * lossless numbers are divided exactly as decimals
+ * @param {number|Object} number - Value (number or lossless number)
+ * @param {number} divisor - multipleOf value
+ * @returns {boolean} True if number is a multiple of divisor
+ */
+const isMultipleOf = (number, divisor) => {
+  const value = isLosslessNumber(number) ? toDecimal(number.value) : null;
+  const step = value ? toDecimal(String(divisor)) : null;
+  if (value && step && step.digits !== 0n) {
+    // Bring both to the smaller exponent so the test is integer division
+    const exponent = Math.min(value.exponent, step.exponent);
+    const scaled = value.digits * 10n ** BigInt(value.exponent - exponent);
+    return scaled % (step.digits * 10n ** BigInt(step.exponent - exponent)) === 0n;
+  }
+  
+  const quotient = Number(number) / divisor;
+  return Number.isFinite(quotient) && Math.abs(quotient - Math.round(quotient)) < 1e-9;
+};
+
+/**
+ * Read a number literal as an integer times a power of ten
+ * @param {string} text - Number literal
+ * @returns {Object|null} { digits, exponent } with digits a BigInt, or null for non-finite text
+ *   or exponents too large to scale
+ */
+const toDecimal = (text) => {
+  const normalized = normalizeNumberText(text);
+  if (normalized === '0') return { digits: 0n, exponent: 0 };
+  const match = /^(-?\d+)e(-?\d+)$/.exec(normalized);
+  if (!match || Math.abs(parseInt(match[2], 10)) > 1000) return null;
+  return { digits: BigInt(match[1]), exponent: parseInt(match[2], 10) };
+};
+
+/**
+ * Compare two JSON values structurally; numbers compare by value, so 1 equals 1.0
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+const isEqual = (a, b) => {
+  if (isNumber(a) && isNumber(b)) return compareNumbers(a, b) === 0;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => hasOwn(b, key) && isEqual(a[key], b[key]));
+  }
+  return a === b;
+};
+
+/**
+ * Find the first pair of equal items
+ * @param {Array} items - Array to check
+ * @returns {Array<number>|null} [firstIndex, secondIndex], or null if all items differ
+ */
+const findDuplicateItems = (items) => {
+  const seen = new Map();
+  for (let i = 0; i < items.length; i++) {
+    const key = canonicalize(items[i]);
+    if (seen.has(key)) return [seen.get(key), i];
+    seen.set(key, i);
+  }
+  return null;
+};
+
+/**
+ * Serialize a value so that values isEqual considers equal get the same text
+ * @param {*} value - JSON value
+ * @returns {string} Canonical text with sorted keys and normalized numbers
+ */
+const canonicalize = (value) => {
+  if (isNumber(value)) return Number.isFinite(Number(value)) ? normalizeNumberText(String(value)) : String(value);
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (isObject(value)) {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Escape a key for use as a JSON Pointer token
+ * @param {string} key - Object key
+ * @returns {string} Token with ~ and / escaped
+ */
+const escapePointer = (key) => key.replace(/~/g, '~0').replace(/\//g, '~1');
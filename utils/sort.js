@@ -0,0 +1,184 @@
+/**
+ * JSON Sorting Utilities
+ * Sorts object keys and arrays of objects for stable, reviewable output
+ */
+
+import { compareNumbers, hasOwn, isLosslessNumber, isObject, setMember } from './lossless.js';
+
+/**
+ * Sort object keys recursively.
+ * Integer-like keys ("2", "10") always come first in ascending order whatever the options,
+ * because that is how JS objects store them.
+ * @param {*} value - Parsed JSON value
+ * @param {Object} options - Sort options
+ * @param {boolean} options.natural - Compare digit runs by value, so item2 comes before item10
+ * @param {boolean} options.ignoreCase - Compare keys case-insensitively
+ * @param {boolean} options.reverse - Reverse the key order (and the order of sorted arrays)
+ * @param {Array<string>} options.priority - Keys placed first, in this order, before the sorted rest
+ * @param {string} options.arrayKey - Dot-separated key path to sort arrays of objects by
+ *   (arrays holding anything other than objects are left in order)
+ * @returns {*} Sorted copy
+ */
+export const sortObjectKeys = (value, options = {}) => {
+  const { reverse = false, priority = [], arrayKey = '' } = options;
+  const compareText = createTextComparator(options);
+  const direction = reverse ? -1 : 1;
+  const compareKeys = (a, b) => direction * compareText(a, b);
+  const priorityIndex = new Map(priority.map((key, i) => [key, i]));
+  const keyPath = arrayKey ? arrayKey.split('.') : null;
+  
+  const sortValue = (current) => {
+    if (current === null || typeof current !== 'object' || isLosslessNumber(current)) {
+      return current;
+    }
+    
+    if (Array.isArray(current)) {
+      const items = current.map(sortValue);
+      if (keyPath && items.length > 1 && items.every(isObject)) {
+        // Array.prototype.sort is stable, so equal and missing values keep their order
+        return items
+          .map(item => ({ item, key: getPath(item, keyPath) }))
+          .sort((a, b) => {
+            // Items without the key stay last in either direction
+            if ((a.key === undefined) !== (b.key === undefined)) {
+              return a.key === undefined ? 1 : -1;
+            }
+            return direction * compareValues(a.key, b.key, compareText);
+          })
+          .map(({ item }) => item);
+      }
+      return items;
+    }
+    
+    const keys = Object.keys(current);
+    const first = keys
+      .filter(key => priorityIndex.has(key))
+      .sort((a, b) => priorityIndex.get(a) - priorityIndex.get(b));
+    const rest = keys.filter(key => !priorityIndex.has(key)).sort(compareKeys);
+    
+    const sorted = {};
+    for (const key of [...first, ...rest]) {
+      setMember(sorted, key, sortValue(current[key]));
+    }
+    return sorted;
+  };
+  
+  return sortValue(value);
+};
+
+/**
+ * Parse a comma-separated priority list as typed in the sort dialog
+ * @param {string} text - e.g. "id, name, type"
+ * @returns {Array<string>} Keys, without blanks or duplicates
+ */
+export const parsePriorityList = (text) => {
+  return [...new Set(text.split(',').map(key => key.trim()).filter(Boolean))];
+};
+
+/**
+ * Build a string comparator for the given options
+ * @param {Object} options - Sort options (natural, ignoreCase)
+ * @returns {Function} Comparator returning a negative, zero or positive number
+ */
+const createTextComparator = ({ natural = false, ignoreCase = false }) => {
+  const compareUnits = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  
+  return (a, b) => {
+    const left = ignoreCase ? a.toLowerCase() : a;
+    const right = ignoreCase ? b.toLowerCase() : b;
+    const result = natural ? compareNatural(left, right) : compareUnits(left, right);
+    // Fall back to exact code units so the order never depends on input order
+    return result || compareUnits(a, b);
+  };
+};
+
+/**
+ * Compare strings treating runs of digits as numbers
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Comparison result
+ */
+const compareNatural = (a, b) => {
+  const left = a.match(/\d+|\D+/g) || [];
+  const right = b.match(/\d+|\D+/g) || [];
+  
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    const x = left[i];
+    const y = right[i];
+    if (x === y) continue;
+    
+    if (/^\d/.test(x) && /^\d/.test(y)) {
+      // Compare without converting, so long digit runs stay exact
+      const xDigits = x.replace(/^0+(?=\d)/, '');
+      const yDigits = y.replace(/^0+(?=\d)/, '');
+      if (xDigits.length !== yDigits.length) return xDigits.length - yDigits.length;
+      if (xDigits !== yDigits) return xDigits < yDigits ? -1 : 1;
+      // Same value: fewer leading zeros first
+      return x.length - y.length;
+    }
+    
+    return x < y ? -1 : 1;
+  }
+  
+  return left.length - right.length;
+};
+
+/**
+ * Rank of each value type when sorting arrays by a key: numbers, strings, booleans, null, missing
+ */
+const TYPE_RANK = {
+  number: 0,
+  string: 1,
+  boolean: 2,
+  null: 3,
+  other: 4,
+  missing: 5
+};
+
+/**
+ * Compare two values found at the array sort key
+ * @param {*} a - First value (undefined when missing)
+ * @param {*} b - Second value
+ * @param {Function} compareText - String comparator
+ * @returns {number} Comparison result
+ */
+const compareValues = (a, b, compareText) => {
+  const rankA = TYPE_RANK[getSortType(a)];
+  const rankB = TYPE_RANK[getSortType(b)];
+  if (rankA !== rankB) return rankA - rankB;
+  
+  if (rankA === TYPE_RANK.number) return compareNumbers(a, b);
+  if (rankA === TYPE_RANK.string) return compareText(a, b);
+  if (rankA === TYPE_RANK.boolean) return Number(a) - Number(b);
+  return 0;
+};
+
+/**
+ * Get the type group a value sorts in
+ * @param {*} value - Value to check
+ * @returns {string} Key of TYPE_RANK
+ */
+const getSortType = (value) => {
+  if (value === undefined) return 'missing';
+  if (value === null) return 'null';
+  if (isLosslessNumber(value)) return 'number';
+  if (typeof value === 'object') return 'other';
+  return typeof value;
+};
+
+/**
+ * Read a value by key path
+ * @param {Object} obj - Object to read from
+ * @param {Array<string>} path - Keys to follow
+ * @returns {*} Value, or undefined if the path does not exist
+ */
+const getPath = (obj, path) => {
+  let current = obj;
+  for (const key of path) {
+    if (!isObject(current) || !hasOwn(current, key)) {
+      return undefined;
+    }
+    current = current[key];
+  }
+  return current;
+};
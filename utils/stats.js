@@ -0,0 +1,150 @@
+/**
+ * Deep JSON Statistics
+ * Finds what makes a document big: value types, heavy subtrees, long arrays and strings, repeated keys
+ */
+
+import { isLosslessNumber } from './lossless.js';
+
+// Entries kept in each top list
+const TOP_COUNT = 10;
+
+/**
+ * Analyze a parsed value. Sizes are UTF-8 bytes of the minified serialization.
+ * @param {*} value - Parsed JSON value (lossless numbers are measured as written)
+ * @returns {Object} Report with types, bytes, largestSubtrees, longestArrays, longestStrings and repeatedKeys
+ */
+export const analyzeJSON = (value) => {
+  const types = { object: 0, array: 0, string: 0, number: 0, boolean: 0, null: 0 };
+  const largestSubtrees = createTopList();
+  const longestArrays = createTopList();
+  const longestStrings = createTopList();
+  const keys = new Map();
+  
+  // Returns the minified size of current, collecting everything else on the way
+  const visit = (current, path) => {
+    if (current === null) {
+      types.null++;
+      return 4;
+    }
+    
+    if (isLosslessNumber(current)) {
+      types.number++;
+      return current.value.length;
+    }
+    
+    if (typeof current !== 'object') {
+      types[typeof current]++;
+      if (typeof current === 'string') {
+        longestStrings.add(current.length, { path, length: current.length });
+      }
+      return utf8Length(JSON.stringify(current));
+    }
+    
+    let bytes;
+    if (Array.isArray(current)) {
+      types.array++;
+      longestArrays.add(current.length, { path, length: current.length });
+      bytes = 2 + Math.max(0, current.length - 1);
+      current.forEach((item, index) => {
+        bytes += visit(item, `${path}[${index}]`);
+      });
+    } else {
+      types.object++;
+      const entries = Object.entries(current);
+      bytes = 2 + Math.max(0, entries.length - 1);
+      for (const [key, child] of entries) {
+        // "key": costs the quoted name plus the colon
+        const keyBytes = utf8Length(JSON.stringify(key)) + 1;
+        const stat = keys.get(key) || { key, count: 0, bytes: 0 };
+        stat.count++;
+        stat.bytes += keyBytes;
+        keys.set(key, stat);
+        
+        bytes += keyBytes + visit(child, `${path}.${key}`);
+      }
+    }
+    
+    if (path !== '$') {
+      largestSubtrees.add(bytes, { path, bytes });
+    }
+    return bytes;
+  };
+  
+  const bytes = visit(value, '$');
+  const repeatedKeys = [...keys.values()]
+    .filter(stat => stat.count > 1)
+    .sort((a, b) => b.bytes - a.bytes)
+    .slice(0, TOP_COUNT);
+  
+  return {
+    types,
+    bytes,
+    largestSubtrees: largestSubtrees.list(),
+    longestArrays: longestArrays.list(),
+    longestStrings: longestStrings.list(),
+    repeatedKeys
+  };
+};
+
+/**
+ * Estimate compressed transfer sizes with the browser's CompressionStream
+ * @param {string} text - Text to compress
+ * @returns {Promise<Object|null>} { gzip, deflate } in bytes, or null if CompressionStream is unavailable
+ */
+export const estimateCompressedSize = async (text) => {
+  if (typeof CompressionStream === 'undefined') {
+    return null;
+  }
+  
+  const [gzip, deflate] = await Promise.all(['gzip', 'deflate'].map(async (format) => {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream(format));
+    const compressed = await new Response(stream).arrayBuffer();
+    return compressed.byteLength;
+  }));
+  
+  return { gzip, deflate };
+};
+
+/**
+ * Keep the entries with the highest scores, largest first
+ * @returns {Object} List with add(score, entry) and list()
+ */
+const createTopList = () => {
+  const items = [];
+  
+  return {
+    add: (score, entry) => {
+      if (items.length === TOP_COUNT && score <= items[items.length - 1].score) return;
+      
+      let i = items.length;
+      while (i > 0 && items[i - 1].score < score) i--;
+      items.splice(i, 0, { score, entry });
+      if (items.length > TOP_COUNT) items.pop();
+    },
+    list: () => items.map(({ entry }) => entry)
+  };
+};
+
+/**
+ * Count the UTF-8 bytes of a string without encoding it
+ * @param {string} str - String to measure
+ * @returns {number} Byte length
+ */
+const utf8Length = (str) => {
+  let bytes = 0;
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i);
+    if (code < 0x80) {
+      bytes += 1;
+    } else if (code < 0x800) {
+      bytes += 2;
+    } else if (code >= 0xD800 && code <= 0xDBFF && i + 1 < str.length) {
+      // Surrogate pair: one 4-byte character
+      bytes += 4;
+      i++;
+    } else {
+      bytes += 3;
+    }
+  }
+  return bytes;
+};
@@ -0,0 +1,120 @@
+/**
+ * JSON Tree View Utilities
+ * Renders parsed JSON as a collapsible tree of <details> elements
+ */
+
+import { isContainer, isLosslessNumber } from './lossless.js';
+
+import { escapeHtml } from './html.js';
+
+import { VALUE_TYPES, getValueType } from './edit.js';
+
+/**
+ * Render a parsed JSON value as collapsible tree HTML
+ * @param {*} value - Parsed JSON value
+ * @param {Object} options - Render options
+ * @param {number} options.expandDepth - Containers shallower than this start expanded
+ * @param {Set<string>} options.embeddedPointers - JSON Pointers of values expanded from strings,
+ *   which get a badge
+ * @param {boolean} options.editable - Add data-pointer attributes and the editing controls
+ *   (elements with data-action 'rename', 'edit', 'type', 'add' and 'delete')
+ * @returns {string} HTML for the tree
+ */
+export const renderJSONTree = (value, options = {}) => {
+  const { expandDepth = Infinity, embeddedPointers = new Set(), editable = false } = options;
+
+  const renderNode = (current, key, depth, isLast, pointer) => {
+    const badge = embeddedPointers.has(pointer)
+      ? '<span class="tree-badge" title="Expanded from a JSON string">JSON string</span>'
+      : '';
+    const rename = editable && typeof key === 'string' ? ' data-action="rename" title="Rename"' : '';
+    const keyHtml = key === null
+      ? badge
+      : `<span class="${typeof key === 'number' ? 'tree-index' : 'json-key'}"${rename}>${escapeHtml(typeof key === 'number' ? key : JSON.stringify(key))}</span>: ${badge}`;
+    const comma = isLast ? '' : '<span class="json-bracket">,</span>';
+    const pointerAttr = editable ? ` data-pointer="${escapeHtml(pointer)}"` : '';
+    const tools = editable ? renderEditTools(current, pointer) : '';
+
+    if (!isContainer(current)) {
+      const valueHtml = editable
+        ? `<span class="tree-value" data-action="edit" title="Edit value">${renderPrimitive(current)}</span>`
+        : renderPrimitive(current);
+      return `<div class="tree-node tree-leaf"${pointerAttr}>${keyHtml}${valueHtml}${comma}${tools}</div>`;
+    }
+
+    const isArray = Array.isArray(current);
+    const entries = isArray ? current.map((item, index) => [index, item]) : Object.entries(current);
+    const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+
+    if (entries.length === 0) {
+      return `<div class="tree-node tree-leaf"${pointerAttr}>${keyHtml}<span class="json-bracket">${open}${close}</span>${comma}${tools}</div>`;
+    }
+
+    const count = isArray
+      ? `${entries.length} item${entries.length === 1 ? '' : 's'}`
+      : `${entries.length} key${entries.length === 1 ? '' : 's'}`;
+    const children = entries
+      .map(([childKey, child], index) => {
+        const childPointer = `${pointer}/${String(childKey).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+        return renderNode(child, childKey, depth + 1, index === entries.length - 1, childPointer);
+      })
+      .join('');
+
+    // No whitespace between tags: the output pane preserves it
+    const summary = `<summary>${keyHtml}<span class="json-bracket">${open}</span>` +
+      `<span class="tree-count">${count}</span>` +
+      `<span class="tree-collapsed-close json-bracket">${close}${isLast ? '' : ','}</span>${tools}</summary>`;
+
+    return `<details class="tree-node" data-depth="${depth}"${pointerAttr}${depth < expandDepth ? ' open' : ''}>${summary}` +
+      `<div class="tree-children">${children}</div>` +
+      `<div class="tree-close"><span class="json-bracket">${close}</span>${comma}</div></details>`;
+  };
+
+  return `<div class="json-tree${editable ? ' editable' : ''}">${renderNode(value, null, 0, true, '')}</div>`;
+};
+
+/**
+ * Render the editing controls of one node
+ * @param {*} value - Node value
+ * @param {string} pointer - JSON Pointer of the node
+ * @returns {string} HTML for the type menu and the add/delete buttons
+ */
+const renderEditTools = (value, pointer) => {
+  const type = getValueType(value);
+  const typeOptions = VALUE_TYPES
+    .map(option => `<option value="${option}"${option === type ? ' selected' : ''}>${option}</option>`)
+    .join('');
+  const add = isContainer(value)
+    ? `<button class="tree-tool" data-action="add" title="Add ${type === 'array' ? 'an item' : 'a member'}">+</button>`
+    : '';
+  const remove = pointer === ''
+    ? ''
+    : '<button class="tree-tool" data-action="delete" title="Delete">\u00d7</button>';
+
+  return `<span class="tree-tools"><select class="tree-type" data-action="type" title="Change type">${typeOptions}</select>${add}${remove}</span>`;
+};
+
+/**
+ * Render a primitive value with the same classes as highlightJSON
+ * @param {*} value - Primitive value
+ * @returns {string} HTML span
+ */
+const renderPrimitive = (value) => {
+  if (value === null) {
+    return '<span class="json-null">null</span>';
+  }
+
+  if (isLosslessNumber(value)) {
+    return `<span class="json-number">${escapeHtml(value.value)}</span>`;
+  }
+
+  if (typeof value === 'string') {
+    return `<span class="json-string">${escapeHtml(JSON.stringify(value))}</span>`;
+  }
+
+  if (typeof value === 'boolean') {
+    return `<span class="json-boolean">${value}</span>`;
+  }
+
+  return `<span class="json-number">${escapeHtml(JSON.stringify(value))}</span>`;
+};
@@ -0,0 +1,251 @@
+/**
+ * Virtualized Line Viewport
+ * Renders only the lines of a large text that are scrolled into view
+ */
+
+// Must match .viewport-line in styles.css
+const LINE_HEIGHT = 20;
+
+// Lines rendered above and below the visible area
+const OVERSCAN = 20;
+
+// Longer lines are split into segments so a minified document never becomes one huge DOM node
+const MAX_SEGMENT_LENGTH = 2000;
+
+// What a split line's segment ends inside of, so the next segment can continue a string's highlighting
+const SEGMENT_END_STATES = [null, 'string', 'key'];
+
+// Browsers cap element heights at roughly 33.5M pixels; past this the scroll position is scaled
+const MAX_SCROLL_HEIGHT = 15000000;
+
+/**
+ * Index the line (and long-line segment) boundaries of a text.
+ * Long lines are cut outside escape sequences, and each segment records whether
+ * it ends inside a JSON string (and whether that string is a key).
+ * Runs in the worker too, so it must not touch the DOM.
+ * @param {string} text - Text to index
+ * @returns {Object} { starts, ends, states, count } where starts/ends are Uint32Array offsets
+ *   and states a Uint8Array index into SEGMENT_END_STATES
+ */
+export const indexLines = (text) => {
+  let starts = new Uint32Array(1024);
+  let ends = new Uint32Array(1024);
+  let states = new Uint8Array(1024);
+  let count = 0;
+  
+  const push = (start, end, state = 0) => {
+    if (count === starts.length) {
+      starts = growArray(starts);
+      ends = growArray(ends);
+      states = growArray(states);
+    }
+    starts[count] = start;
+    ends[count] = end;
+    states[count] = state;
+    count++;
+  };
+  
+  // Split a long line, tracking strings so a cut inside one is marked as such
+  const splitLine = (lineStart, lineEnd) => {
+    let segmentStart = lineStart;
+    let inString = false;
+    // Segments cut inside the current string; whether it is a key is known once it closes
+    let pending = [];
+    let pos = lineStart;
+    while (pos < lineEnd) {
+      if (pos - segmentStart >= MAX_SEGMENT_LENGTH) {
+        if (inString) pending.push(count);
+        push(segmentStart, pos, inString ? 1 : 0);
+        segmentStart = pos;
+      }
+      
+      const char = text[pos];
+      if (inString && char === '\\') {
+        pos += text[pos + 1] === 'u' ? 6 : 2;
+        continue;
+      }
+      if (char === '"') {
+        inString = !inString;
+        if (!inString && pending.length > 0) {
+          const isKey = /^[ \t\r]*:/.test(text.slice(pos + 1, pos + 64));
+          for (const segment of pending) {
+            states[segment] = isKey ? 2 : 1;
+          }
+          pending = [];
+        }
+      }
+      pos++;
+    }
+    push(segmentStart, lineEnd);
+  };
+  
+  let lineStart = 0;
+  while (lineStart <= text.length) {
+    let lineEnd = text.indexOf('\n', lineStart);
+    if (lineEnd === -1) lineEnd = text.length;
+    
+    if (lineEnd - lineStart > MAX_SEGMENT_LENGTH) {
+      splitLine(lineStart, lineEnd);
+    } else {
+      push(lineStart, lineEnd);
+    }
+    
+    lineStart = lineEnd + 1;
+  }
+  
+  return {
+    starts: starts.slice(0, count),
+    ends: ends.slice(0, count),
+    states: states.slice(0, count),
+    count
+  };
+};
+
+/**
+ * Double the capacity of a typed array
+ * @param {Uint32Array|Uint8Array} array - Full array
+ * @returns {Uint32Array|Uint8Array} Larger copy of the same type
+ */
+const growArray = (array) => {
+  const grown = new array.constructor(array.length * 2);
+  grown.set(array);
+  return grown;
+};
+
+/**
+ * Create a viewport that renders a text line by line inside a scrolling container
+ * @param {HTMLElement} container - Scrolling element that receives the lines
+ * @returns {Object} Viewport with show(text, index, renderLine, lineClasses), scrollToLine(line),
+ *   refresh() and clear()
+ */
+export const createLineViewport = (container) => {
+  let text = '';
+  let index = null;
+  let renderLine = null;
+  let segmentClasses = new Map();
+  let windowEl = null;
+  let frame = 0;
+  
+  // Whether segment i begins a text line rather than continuing a split one
+  const isLineStart = (i) => i === 0 || text[index.starts[i] - 1] === '\n';
+  
+  // First segment of a 1-based text line
+  const findSegment = (line) => {
+    let current = 0;
+    for (let i = 0; i < index.count; i++) {
+      if (isLineStart(i)) current++;
+      if (current === line) return i;
+    }
+    return -1;
+  };
+  
+  const render = () => {
+    frame = 0;
+    if (!index || !windowEl) return;
+    
+    const totalHeight = index.count * LINE_HEIGHT;
+    const viewHeight = container.clientHeight;
+    const spacerHeight = Math.min(totalHeight, MAX_SCROLL_HEIGHT);
+    
+    // Map the real scroll position onto the full document height
+    const scale = spacerHeight > viewHeight && totalHeight > spacerHeight
+      ? (totalHeight - viewHeight) / (spacerHeight - viewHeight)
+      : 1;
+    const virtualTop = container.scrollTop * scale;
+    
+    const first = Math.max(0, Math.floor(virtualTop / LINE_HEIGHT) - OVERSCAN);
+    const last = Math.min(index.count, Math.ceil((virtualTop + viewHeight) / LINE_HEIGHT) + OVERSCAN);
+    
+    const html = [];
+    for (let i = first; i < last; i++) {
+      const extraClass = segmentClasses.has(i) ? ` ${segmentClasses.get(i)}` : '';
+      const strings = {
+        startsIn: isLineStart(i) ? null : SEGMENT_END_STATES[index.states[i - 1]],
+        endsIn: SEGMENT_END_STATES[index.states[i]]
+      };
+      html.push(`<div class="viewport-line${extraClass}">${renderLine(text.slice(index.starts[i], index.ends[i]), strings) || ' '}</div>`);
+    }
+    
+    windowEl.style.transform = `translateY(${container.scrollTop - (virtualTop - first * LINE_HEIGHT)}px)`;
+    windowEl.innerHTML = html.join('');
+  };
+  
+  const scheduleRender = () => {
+    if (!frame) {
+      frame = requestAnimationFrame(render);
+    }
+  };
+  
+  container.addEventListener('scroll', scheduleRender);
+  window.addEventListener('resize', scheduleRender);
+  
+  return {
+    /**
+     * Show a text in the viewport
+     * @param {string} nextText - Full text
+     * @param {Object} nextIndex - Line index from indexLines
+     * @param {Function} nextRenderLine - Turns one line of text into HTML; also receives
+     *   { startsIn, endsIn }, the kind of string ('string', 'key' or null) a split line's segment
+     *   continues from the previous segment or into the next
+     * @param {Map<number, string>} lineClasses - Extra class for some 1-based text lines
+     */
+    show: (nextText, nextIndex, nextRenderLine, lineClasses = new Map()) => {
+      text = nextText;
+      index = nextIndex;
+      renderLine = nextRenderLine;
+      
+      // Give every segment of a line its class
+      segmentClasses = new Map();
+      if (lineClasses.size > 0) {
+        let line = 0;
+        for (let i = 0; i < index.count; i++) {
+          if (isLineStart(i)) line++;
+          if (lineClasses.has(line)) segmentClasses.set(i, lineClasses.get(line));
+        }
+      }
+      
+      const height = Math.min(index.count * LINE_HEIGHT, MAX_SCROLL_HEIGHT);
+      container.classList.add('viewport');
+      container.innerHTML = `<div class="viewport-spacer" style="height: ${height}px"><div class="viewport-window"></div></div>`;
+      container.scrollTop = 0;
+      windowEl = container.querySelector('.viewport-window');
+      render();
+    },
+    
+    /**
+     * Re-render the visible lines, e.g. after the container becomes visible
+     */
+    refresh: scheduleRender,
+    
+    /**
+     * Scroll a text line to the top of the viewport
+     * @param {number} line - 1-based text line
+     */
+    scrollToLine: (line) => {
+      if (!index) return;
+      
+      const segment = findSegment(line);
+      if (segment === -1) return;
+      
+      const totalHeight = index.count * LINE_HEIGHT;
+      const spacerHeight = Math.min(totalHeight, MAX_SCROLL_HEIGHT);
+      const viewHeight = container.clientHeight;
+      const scale = spacerHeight > viewHeight && totalHeight > spacerHeight
+        ? (totalHeight - viewHeight) / (spacerHeight - viewHeight)
+        : 1;
+      container.scrollTop = Math.max(0, segment - 2) * LINE_HEIGHT / scale;
+      scheduleRender();
+    },
+    
+    /**
+     * Stop rendering lines so the container can show other content
+     */
+    clear: () => {
+      text = '';
+      index = null;
+      windowEl = null;
+      container.classList.remove('viewport');
+      container.innerHTML = '';
+    }
+  };
+};
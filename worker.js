@@ -0,0 +1,100 @@
+// Worker for JSON Formatter Pro
+// Parses, formats, validates and measures JSON off the popup's main thread
+
+import { formatJSON, minifyJSON, validateJSON, validateWithSchema, getJSONStats } from './utils/formatter.js';
+import { indexLines } from './utils/viewport.js';
+import { estimateCompressedSize } from './utils/stats.js';
+
+const PHASE_LABELS = {
+  parse: 'Parsing',
+  stringify: 'Formatting',
+  index: 'Preparing output'
+};
+
+self.addEventListener('message', async (e) => {
+  const { id, task, input, options } = e.data;
+  
+  const phases = task === 'format' || task === 'minify' ? ['parse', 'stringify', 'index']
+    : task === 'schema' ? ['parse', 'index']
+    : ['parse'];
+  const onProgress = (phase) => {
+    self.postMessage({
+      id,
+      type: 'progress',
+      progress: { label: PHASE_LABELS[phase], step: phases.indexOf(phase), steps: phases.length }
+    });
+  };
+  
+  try {
+    const { result, transfer } = await runTask(task, input, options, onProgress);
+    self.postMessage({ id, type: 'result', result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: error.message });
+  }
+});
+
+/**
+ * Run one task
+ * @param {string} task - 'format', 'minify', 'validate', 'schema', 'stats' or 'report'
+ * @param {string} input - Input text
+ * @param {Object} options - Task options
+ * @param {Function} onProgress - Phase callback
+ * @returns {Promise<Object>} { result, transfer } ready for postMessage
+ */
+const runTask = async (task, input, options, onProgress) => {
+  switch (task) {
+    case 'format':
+      return withLineIndex(formatJSON(input, options.indent, options.sortKeys, { ...options, onProgress }), onProgress);
+    case 'minify':
+      return withLineIndex(minifyJSON(input, { ...options, onProgress }), onProgress);
+    case 'validate':
+      onProgress('parse');
+      return { result: validateJSON(input, options), transfer: [] };
+    case 'schema':
+      onProgress('parse');
+      return withLineIndex(validateWithSchema(input, options.schema, options), onProgress);
+    case 'stats':
+      return { result: getJSONStats(input, options), transfer: [] };
+    case 'report':
+      return { result: await getReportStats(input, options), transfer: [] };
+    default:
+      throw new Error(`Unknown task: ${task}`);
+  }
+};
+
+/**
+ * Drop the parsed value (lossless numbers carry functions, which cannot be cloned)
+ * and index the output lines for the virtualized viewport
+ * @param {Object} result - formatJSON/minifyJSON/validateWithSchema result
+ * @param {Function} onProgress - Phase callback
+ * @returns {Object} { result, transfer }
+ */
+const withLineIndex = ({ parsed, ...result }, onProgress) => {
+  if (!result.success) {
+    return { result, transfer: [] };
+  }
+  
+  onProgress('index');
+  const lines = indexLines(result.output);
+  return {
+    result: { ...result, lines },
+    transfer: [lines.starts.buffer, lines.ends.buffer, lines.states.buffer]
+  };
+};
+
+/**
+ * Collect the deep statistics, plus compressed sizes of the minified document
+ * @param {string} input - Input text
+ * @param {Object} options - Parse options
+ * @returns {Promise<Object>} getJSONStats result with report.compressed set
+ */
+const getReportStats = async (input, options) => {
+  const stats = getJSONStats(input, { ...options, deep: true });
+  if (!stats.report) {
+    return stats;
+  }
+  
+  const minified = minifyJSON(input, { ...options, lossless: true });
+  stats.report.compressed = minified.success ? await estimateCompressedSize(minified.output) : null;
+  return stats;
+};